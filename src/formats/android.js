@@ -0,0 +1,143 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { escapeXml, decodeXml } = require('./xml');
+const { pluralQuantities, splitPlural, joinPlural, formatArgs, toPrintf, fromPrintf } = require('./placeholders');
+
+// Android strings.xml 编解码
+//   key     login.title -> 资源名 login_title（只允许字母、数字、下划线，重名时追加 _2、_3）
+//   复数    vue-i18n 复数分支 -> <plurals>，计数为 %1$d，其余占位符为 %n$s
+const QUANTITY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+function resourceName(key) {
+  const name = key.replace(/[^A-Za-z0-9_]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+// 为一组 key 生成不重复的资源名；导入时用同一组 key 反查
+function buildNameMap(keys) {
+  const map = new Map();
+  const used = new Set();
+  for (const key of keys) {
+    const base = resourceName(key);
+    let name = base;
+    for (let i = 2; used.has(name); i++) name = `${base}_${i}`;
+    used.add(name);
+    map.set(key, name);
+  }
+  return map;
+}
+
+// aapt 转义：反斜杠、引号、换行，以及开头的 @ / ?（否则会被当作资源引用）
+const escapeAndroid = (text) => escapeXml(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/&quot;/g, '\\"')
+  .replace(/'/g, "\\'")
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t')
+  .replace(/^([@?])/, '\\$1');
+
+const ANDROID_UNESCAPES = { n: '\n', t: '\t' };
+
+function unescapeAndroid(raw) {
+  let text = decodeXml(raw).trim();
+  // 整体被双引号包裹的字符串保留原样空白
+  if (text.length >= 2 && text.startsWith('"') && text.endsWith('"') && !text.endsWith('\\"')) {
+    text = text.slice(1, -1);
+  }
+  return text.replace(/\\u([0-9a-fA-F]{4})|\\(.)/g, (match, hex, ch) => {
+    if (hex) return String.fromCharCode(parseInt(hex, 16));
+    return ANDROID_UNESCAPES[ch] ?? ch;
+  });
+}
+
+// sources 为默认语言的拍平内容（决定 key 集合、资源名与参数顺序），targets 为要输出的语言；空值不输出
+function buildStringsXml({ sources, targets, nameMap }) {
+  const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<resources>'];
+
+  for (const [key, source] of Object.entries(sources)) {
+    const target = targets[key];
+    if (typeof source !== 'string' || typeof target !== 'string' || target === '') continue;
+    const name = nameMap.get(key);
+    const args = formatArgs(source);
+
+    if (pluralQuantities(source)) {
+      // 译文分支数与源文本不同（如日语只有一种形式）时按译文自身的分支数对应
+      const branches = splitPlural(target);
+      const quantities = pluralQuantities(target) || ['other'];
+      lines.push(`    <plurals name="${name}">`);
+      branches.slice(0, quantities.length).forEach((branch, i) => {
+        lines.push(`        <item quantity="${quantities[i]}">${escapeAndroid(toPrintf(branch, args, 'android'))}</item>`);
+      });
+      lines.push('    </plurals>');
+    } else {
+      const text = toPrintf(target, args, 'android');
+      // 不含参数但有 % 的字符串需声明不参与格式化
+      const formatted = args.length === 0 && text.includes('%') ? ' formatted="false"' : '';
+      lines.push(`    <string name="${name}"${formatted}>${escapeAndroid(text)}</string>`);
+    }
+  }
+
+  lines.push('</resources>');
+  return `${lines.join('\n')}\n`;
+}
+
+const toArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// 解析 strings.xml，返回 { values: { key: value }, unknownNames: [] }；translatable="false" 的条目忽略
+function parseStringsXml(xml, { sources, nameMap }) {
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new Error(`Invalid strings.xml: ${validation.err.msg} (line ${validation.err.line})`);
+  }
+
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseAttributeValue: false,
+    parseTagValue: false,
+    trimValues: false,
+    stopNodes: ['resources.string', 'resources.plurals.item']
+  });
+  const resources = parser.parse(xml).resources;
+  if (resources === undefined) throw new Error('Invalid strings.xml: missing <resources> root element');
+
+  const keyOf = new Map([...nameMap].map(([key, name]) => [name, key]));
+  const textOf = (node) => unescapeAndroid(typeof node === 'object' ? (node['#text'] ?? '') : node);
+  const values = {};
+  const unknownNames = [];
+
+  const resolve = (node) => {
+    if (typeof node !== 'object' || node.translatable === 'false') return null;
+    const key = keyOf.get(node.name);
+    if (!key) unknownNames.push(node.name);
+    return key ? { key, args: formatArgs(sources[key]) } : null;
+  };
+
+  for (const node of toArray(resources.string)) {
+    const target = resolve(node);
+    if (target) values[target.key] = fromPrintf(textOf(node), target.args);
+  }
+
+  for (const node of toArray(resources.plurals)) {
+    const target = resolve(node);
+    if (!target) continue;
+    const items = toArray(node.item).filter(item => typeof item === 'object');
+    items.sort((a, b) => QUANTITY_ORDER.indexOf(a.quantity) - QUANTITY_ORDER.indexOf(b.quantity));
+    values[target.key] = joinPlural(items.map(item => fromPrintf(textOf(item), target.args)));
+  }
+
+  return { values, unknownNames };
+}
+
+// Android 资源目录限定符：ja-JP -> ja-rJP
+function valuesDir(code, isDefault) {
+  if (isDefault) return 'values';
+  const [language, region] = code.split('-');
+  return region ? `values-${language}-r${region}` : `values-${language}`;
+}
+
+module.exports = {
+  buildNameMap,
+  buildStringsXml,
+  parseStringsXml,
+  valuesDir
+};
@@ -0,0 +1,198 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { escapeXml, decodeXml } = require('./xml');
+const { pluralQuantities, splitPlural, joinPlural, formatArgs, toPrintf, fromPrintf } = require('./placeholders');
+
+// iOS Localizable.strings / Localizable.stringsdict 编解码
+//   key    直接使用拍平后的 key 路径（"login.title" = "...";）
+//   复数   vue-i18n 复数分支写入 .stringsdict（NSStringPluralRuleType），其余写入 .strings
+//   占位符 {name} -> %@（多个参数时 %1$@、%2$@），复数计数为 %d
+const QUANTITY_ORDER = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const escapeStrings = (text) => text
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t');
+
+const STRINGS_UNESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+function buildStrings({ sources, targets }) {
+  const lines = [];
+  for (const [key, source] of Object.entries(sources)) {
+    const target = targets[key];
+    if (typeof source !== 'string' || typeof target !== 'string' || target === '' || pluralQuantities(source)) continue;
+    lines.push(`"${escapeStrings(key)}" = "${escapeStrings(toPrintf(target, formatArgs(source), 'ios'))}";`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// 解析 .strings：支持 /* */ 与 // 注释、未加引号的 key
+function parseStrings(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const pairs = {};
+  let i = 0;
+
+  const fail = (message) => {
+    const line = text.slice(0, i).split('\n').length;
+    throw new Error(`Invalid .strings file at line ${line}: ${message}`);
+  };
+  const skip = () => {
+    while (i < text.length) {
+      if (/\s/.test(text[i])) i++;
+      else if (text.startsWith('/*', i)) {
+        const end = text.indexOf('*/', i + 2);
+        if (end === -1) fail('unterminated comment');
+        i = end + 2;
+      } else if (text.startsWith('//', i)) {
+        const end = text.indexOf('\n', i);
+        i = end === -1 ? text.length : end + 1;
+      } else break;
+    }
+  };
+  const readToken = () => {
+    if (text[i] !== '"') {
+      const match = text.slice(i).match(/^[A-Za-z0-9_.\-$]+/);
+      if (!match) fail(`unexpected character ${JSON.stringify(text[i])}`);
+      i += match[0].length;
+      return match[0];
+    }
+    let value = '';
+    i++;
+    while (i < text.length && text[i] !== '"') {
+      if (text[i] === '\\') {
+        const ch = text[i + 1];
+        if (ch === 'U' || ch === 'u') {
+          value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+          i += 6;
+          continue;
+        }
+        value += STRINGS_UNESCAPES[ch] ?? ch;
+        i += 2;
+      } else {
+        value += text[i++];
+      }
+    }
+    if (i >= text.length) fail('unterminated string');
+    i++;
+    return value;
+  };
+  const expect = (ch) => {
+    skip();
+    if (text[i] !== ch) fail(`expected ${ch}`);
+    i++;
+  };
+
+  skip();
+  while (i < text.length) {
+    const key = readToken();
+    expect('=');
+    skip();
+    pairs[key] = readToken();
+    expect(';');
+    skip();
+  }
+  return pairs;
+}
+
+function buildStringsdict({ sources, targets }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    '<dict>'
+  ];
+
+  for (const [key, source] of Object.entries(sources)) {
+    const target = targets[key];
+    if (typeof target !== 'string' || target === '' || !pluralQuantities(source)) continue;
+    const args = formatArgs(source);
+    const variable = args[0].name;
+    const branches = splitPlural(target);
+    const quantities = pluralQuantities(target) || ['other'];
+
+    lines.push(`  <key>${escapeXml(key)}</key>`);
+    lines.push('  <dict>');
+    lines.push('    <key>NSStringLocalizedFormatKey</key>');
+    lines.push(`    <string>%#@${variable}@</string>`);
+    lines.push(`    <key>${variable}</key>`);
+    lines.push('    <dict>');
+    lines.push('      <key>NSStringFormatSpecTypeKey</key>');
+    lines.push('      <string>NSStringPluralRuleType</string>');
+    lines.push('      <key>NSStringFormatValueTypeKey</key>');
+    lines.push('      <string>d</string>');
+    branches.slice(0, quantities.length).forEach((branch, i) => {
+      lines.push(`      <key>${quantities[i]}</key>`);
+      lines.push(`      <string>${escapeXml(toPrintf(branch, args, 'ios'))}</string>`);
+    });
+    lines.push('    </dict>');
+    lines.push('  </dict>');
+  }
+
+  lines.push('</dict>');
+  lines.push('</plist>');
+  return `${lines.join('\n')}\n`;
+}
+
+// plist（preserveOrder 结构）转普通对象，只处理 dict / string / 数字
+function plistValue(node) {
+  const [tag] = Object.keys(node).filter(name => name !== ':@');
+  const children = node[tag];
+  if (tag === 'dict') {
+    const result = {};
+    let key = null;
+    for (const child of children) {
+      if (child['#text'] !== undefined) continue; // 元素之间的空白
+      if (child.key) key = decodeXml(child.key.map(c => c['#text'] ?? '').join(''));
+      else if (key !== null) {
+        result[key] = plistValue(child);
+        key = null;
+      }
+    }
+    return result;
+  }
+  return decodeXml(children.map(c => c['#text'] ?? '').join(''));
+}
+
+// 解析 .stringsdict，返回 { key: "分支 | 分支" }；只取第一个复数变量
+function parseStringsdict(xml, { sources }) {
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new Error(`Invalid .stringsdict file: ${validation.err.msg} (line ${validation.err.line})`);
+  }
+  const parser = new XMLParser({ preserveOrder: true, parseTagValue: false, trimValues: false, processEntities: false });
+  const plist = parser.parse(xml).find(node => node.plist);
+  const root = plist && plist.plist.find(node => node.dict);
+  if (!root) throw new Error('Invalid .stringsdict file: missing root <dict>');
+
+  const values = {};
+  for (const [key, entry] of Object.entries(plistValue(root))) {
+    if (typeof entry !== 'object') continue;
+    const variable = Object.values(entry).find(v => typeof v === 'object' && v.NSStringFormatSpecTypeKey === 'NSStringPluralRuleType');
+    if (!variable) continue;
+    const args = typeof sources[key] === 'string' ? formatArgs(sources[key]) : [];
+    const branches = QUANTITY_ORDER.filter(q => typeof variable[q] === 'string').map(q => fromPrintf(variable[q], args));
+    values[key] = joinPlural(branches);
+  }
+  return values;
+}
+
+// 解析 .strings 并还原占位符
+function parseStringsFile(content, { sources }) {
+  const values = {};
+  for (const [key, value] of Object.entries(parseStrings(content))) {
+    values[key] = typeof sources[key] === 'string' ? fromPrintf(value, formatArgs(sources[key])) : value;
+  }
+  return values;
+}
+
+// Xcode 中文使用脚本子标签
+const LPROJ_NAMES = { 'zh-CN': 'zh-Hans', 'zh-TW': 'zh-Hant' };
+const lprojDir = (code) => `${LPROJ_NAMES[code] || code}.lproj`;
+
+module.exports = {
+  buildStrings,
+  parseStringsFile,
+  buildStringsdict,
+  parseStringsdict,
+  lprojDir
+};
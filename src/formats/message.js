@@ -0,0 +1,245 @@
+// vue-i18n / ICU 消息语法解析与校验（只提取结构，不做格式化）
+//   {name} / {0} / {'@'}                          插值与字面量
+//   @:key / @.lower:key / @:(key)                 链接消息；其他位置的 @ 须写成 {'@'}
+//   "a | b | c"                                   vue-i18n 复数分支（顶层的 |）
+//   {count, plural, one {# item} other {# items}} ICU plural / selectordinal / select（必须包含 other）
+//   {price, number} / {d, date, short}            ICU 格式化参数
+const ICU_OPTION_TYPES = ['plural', 'selectordinal', 'select'];
+const ICU_SIMPLE_TYPES = ['number', 'date', 'time'];
+const ARGUMENT = /[A-Za-z0-9_$]+/y;
+const SELECTOR = /=?[A-Za-z0-9_]+/y;
+const OFFSET = /offset:\s*\d+/y;
+const LINK_KEY = /[A-Za-z0-9_-]+(?:\.[A-Za-z0-9_-]+)*/y;
+const MODIFIER = /[a-z]+/y;
+
+function readPattern(p, pattern) {
+  pattern.lastIndex = p.i;
+  const match = pattern.exec(p.text);
+  if (!match) return null;
+  p.i += match[0].length;
+  return match[0];
+}
+
+function skipSpaces(p) {
+  while (p.i < p.text.length && /\s/.test(p.text[p.i])) p.i++;
+}
+
+function fail(p, message, offset = p.i) {
+  p.result.errors.push({ message, offset });
+}
+
+// 解析消息；返回 { branches, placeholders, icu: [{ name, type, selectors }], links, errors: [{ message, offset }] }
+function parseMessage(text) {
+  const result = { branches: 1, placeholders: [], icu: [], links: [], errors: [] };
+  const p = { text, i: 0, result };
+  parseBody(p, false);
+  return result;
+}
+
+// nested 为 ICU 选项内的子消息：遇到 } 结束，| 不是复数分隔符
+function parseBody(p, nested) {
+  const start = p.i;
+  while (p.i < p.text.length) {
+    const ch = p.text[p.i];
+    if (ch === '{') {
+      parsePlaceholder(p);
+    } else if (ch === '}') {
+      if (nested) return true;
+      fail(p, "Unexpected '}'");
+      p.i++;
+    } else if (ch === '@') {
+      parseLink(p);
+    } else {
+      if (ch === '|' && !nested) p.result.branches++;
+      p.i++;
+    }
+  }
+  if (nested) fail(p, "Unclosed ICU option, missing '}'", start);
+  return false;
+}
+
+function addPlaceholder(p, name) {
+  if (!p.result.placeholders.includes(name)) p.result.placeholders.push(name);
+}
+
+function parsePlaceholder(p) {
+  const start = p.i++;
+  skipSpaces(p);
+
+  // 字面量 {'...'}
+  if (p.text[p.i] === "'") {
+    const end = p.text.indexOf("'", p.i + 1);
+    if (end === -1) {
+      p.i = p.text.length;
+      return fail(p, 'Unclosed literal', start);
+    }
+    p.i = end + 1;
+    skipSpaces(p);
+    if (p.text[p.i] !== '}') return fail(p, "Unclosed placeholder, missing '}'", start);
+    p.i++;
+    return;
+  }
+
+  const name = readPattern(p, ARGUMENT);
+  skipSpaces(p);
+  if (!name) {
+    if (p.i >= p.text.length) return fail(p, "Unclosed placeholder, missing '}'", start);
+    const message = p.text[p.i] === '}' ? 'Empty placeholder' : 'Invalid placeholder name';
+    skipToClose(p);
+    return fail(p, message, start);
+  }
+  addPlaceholder(p, name);
+  if (p.text[p.i] === '}') {
+    p.i++;
+    return;
+  }
+  if (p.text[p.i] !== ',') {
+    skipToClose(p);
+    return fail(p, p.i >= p.text.length ? "Unclosed placeholder, missing '}'" : `Invalid placeholder {${name}...}`, start);
+  }
+
+  // ICU 参数 {name, type[, ...]}
+  p.i++;
+  skipSpaces(p);
+  const type = readPattern(p, ARGUMENT);
+  skipSpaces(p);
+  if (ICU_SIMPLE_TYPES.includes(type)) {
+    if (p.text[p.i] === '}') {
+      p.i++;
+      return;
+    }
+    if (p.text[p.i] !== ',' || !skipToClose(p)) fail(p, "Unclosed placeholder, missing '}'", start);
+    return;
+  }
+  if (!ICU_OPTION_TYPES.includes(type)) {
+    skipToClose(p);
+    return fail(p, `Unsupported ICU argument type '${type || ''}' in {${name}}`, start);
+  }
+  if (p.text[p.i] !== ',') {
+    skipToClose(p);
+    return fail(p, `ICU ${type} {${name}} has no options`, start);
+  }
+  p.i++;
+
+  const selectors = [];
+  for (;;) {
+    skipSpaces(p);
+    if (type !== 'select' && selectors.length === 0 && readPattern(p, OFFSET)) continue;
+    if (p.i >= p.text.length) return fail(p, "Unclosed placeholder, missing '}'", start);
+    if (p.text[p.i] === '}') {
+      p.i++;
+      break;
+    }
+    const selector = readPattern(p, SELECTOR);
+    skipSpaces(p);
+    if (!selector || p.text[p.i] !== '{') {
+      skipToClose(p);
+      return fail(p, `Invalid ICU ${type} option in {${name}}`, start);
+    }
+    if (selectors.includes(selector)) fail(p, `Duplicate ICU option '${selector}' in {${name}}`);
+    selectors.push(selector);
+    p.i++;
+    if (!parseBody(p, true)) return;
+    p.i++;
+  }
+
+  if (!selectors.includes('other')) fail(p, `ICU ${type} {${name}} must have an 'other' option`, start);
+  p.result.icu.push({ name, type, selectors });
+}
+
+// 跳过本层占位符剩余的内容（含结尾的 }），出错后继续解析后面的文本；没有 } 时返回 false
+function skipToClose(p) {
+  let depth = 0;
+  while (p.i < p.text.length) {
+    const ch = p.text[p.i++];
+    if (ch === '{') depth++;
+    if (ch === '}') {
+      if (depth === 0) return true;
+      depth--;
+    }
+  }
+  return false;
+}
+
+function parseLink(p) {
+  const start = p.i++;
+  if (p.text[p.i] === '.') {
+    p.i++;
+    if (!readPattern(p, MODIFIER)) return fail(p, 'Invalid linked message modifier', start);
+  }
+  if (p.text[p.i] !== ':') {
+    return fail(p, p.i === start + 1 ? "Unescaped '@', write it as {'@'}" : "Invalid linked message, missing ':'", start);
+  }
+  p.i++;
+
+  if (p.text[p.i] === '(') {
+    const end = p.text.indexOf(')', p.i);
+    const key = end === -1 ? '' : p.text.slice(p.i + 1, end).trim();
+    if (!key) return fail(p, 'Invalid linked message key', start);
+    p.i = end + 1;
+    if (!p.result.links.includes(key)) p.result.links.push(key);
+    return;
+  }
+  // 动态链接 @:{name}，key 由参数决定
+  if (p.text[p.i] === '{') return parsePlaceholder(p);
+
+  const key = readPattern(p, LINK_KEY);
+  if (!key) return fail(p, 'Invalid linked message key', start);
+  if (!p.result.links.includes(key)) p.result.links.push(key);
+}
+
+const difference = (a, b) => a.filter(item => !b.includes(item));
+const icuSignature = (icu) => icu.map(arg => `${arg.name}:${arg.type === 'selectordinal' ? 'plural' : arg.type}`).sort();
+
+// 以源文本（默认语言）为准检查译文，返回 [{ type, message, ... }]
+//   syntax               语法错误
+//   placeholder_missing  源文本中的占位符在译文中缺失
+//   placeholder_extra    译文中出现源文本没有的占位符
+//   plural_mismatch      vue-i18n 复数分支数量不一致
+//   icu_mismatch         ICU plural / select 参数不一致
+//   link_missing / link_extra  链接消息引用的 key 不一致
+function compareMessages(source, target) {
+  const parsed = parseMessage(target);
+  const issues = parsed.errors.map(error => ({ type: 'syntax', message: error.message, offset: error.offset }));
+  if (typeof source !== 'string' || source === '') return issues;
+
+  const expected = parseMessage(source);
+  // 源文本本身有语法错误时只报告译文的语法问题
+  if (expected.errors.length > 0 || issues.length > 0) return issues;
+
+  const missing = difference(expected.placeholders, parsed.placeholders);
+  if (missing.length > 0) {
+    issues.push({ type: 'placeholder_missing', message: `Missing placeholders: ${missing.map(n => `{${n}}`).join(', ')}`, placeholders: missing });
+  }
+  const extra = difference(parsed.placeholders, expected.placeholders);
+  if (extra.length > 0) {
+    issues.push({ type: 'placeholder_extra', message: `Unknown placeholders: ${extra.map(n => `{${n}}`).join(', ')}`, placeholders: extra });
+  }
+  if (parsed.branches !== expected.branches) {
+    issues.push({
+      type: 'plural_mismatch',
+      message: `Expected ${expected.branches} plural branches separated by '|', found ${parsed.branches}`,
+      expected: expected.branches,
+      found: parsed.branches
+    });
+  }
+  const expectedIcu = icuSignature(expected.icu);
+  const foundIcu = icuSignature(parsed.icu);
+  if (expectedIcu.join() !== foundIcu.join()) {
+    issues.push({ type: 'icu_mismatch', message: `Expected ICU arguments [${expectedIcu.join(', ')}], found [${foundIcu.join(', ')}]`, expected: expectedIcu, found: foundIcu });
+  }
+  const linksMissing = difference(expected.links, parsed.links);
+  if (linksMissing.length > 0) {
+    issues.push({ type: 'link_missing', message: `Missing linked messages: ${linksMissing.map(k => `@:${k}`).join(', ')}`, links: linksMissing });
+  }
+  const linksExtra = difference(parsed.links, expected.links);
+  if (linksExtra.length > 0) {
+    issues.push({ type: 'link_extra', message: `Unexpected linked messages: ${linksExtra.map(k => `@:${k}`).join(', ')}`, links: linksExtra });
+  }
+  return issues;
+}
+
+module.exports = {
+  parseMessage,
+  compareMessages
+};
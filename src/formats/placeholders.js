@@ -0,0 +1,74 @@
+// vue-i18n 占位符与 printf 风格（Android / iOS）互转
+//   {name} / {0}        命名与列表插值，按源文本中首次出现的顺序编号
+//   "a | b" / "a | b | c"  复数分支，分别对应 one/other 与 zero/one/other
+// 位置编号以源语言（默认语言）的占位符顺序为准，译文调整语序后编号仍然一致
+const PLACEHOLDER = /\{\s*([A-Za-z0-9_$]+)\s*\}/g;
+const PLURAL_SEPARATOR = ' | ';
+const PLURAL_QUANTITIES = {
+  2: ['one', 'other'],
+  3: ['zero', 'one', 'other']
+};
+// vue-i18n 复数中隐式传入的计数变量名
+const COUNT_NAMES = ['count', 'n'];
+
+function placeholderNames(text) {
+  const names = [];
+  for (const match of text.matchAll(PLACEHOLDER)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+// 复数文本返回各分支对应的 quantity，非复数（或分支数不支持）返回 null
+function pluralQuantities(text) {
+  if (typeof text !== 'string' || !text.includes(PLURAL_SEPARATOR)) return null;
+  return PLURAL_QUANTITIES[text.split(PLURAL_SEPARATOR).length] || null;
+}
+
+const splitPlural = (text) => text.split(PLURAL_SEPARATOR);
+const joinPlural = (branches) => branches.join(PLURAL_SEPARATOR);
+
+// 参数表：[{ name, type }]，复数时计数变量固定为第 1 个参数（%1$d）
+function formatArgs(source) {
+  const names = placeholderNames(source);
+  if (!pluralQuantities(source)) return names.map(name => ({ name, type: 'object' }));
+  const countName = names.find(name => COUNT_NAMES.includes(name)) || COUNT_NAMES[0];
+  return [
+    { name: countName, type: 'integer' },
+    ...names.filter(name => name !== countName).map(name => ({ name, type: 'object' }))
+  ];
+}
+
+// 转换为 printf 格式；platform 为 android（%1$s）或 ios（%1$@，只有一个参数时为 %@）
+// 含参数的文本中字面 % 转义为 %%，否则保留（不经过格式化的字符串不会处理 %%）
+function toPrintf(text, args, platform) {
+  if (args.length === 0) return text;
+  const objectSpec = platform === 'ios' ? '@' : 's';
+  return text.replace(/%/g, '%%').replace(PLACEHOLDER, (match, name) => {
+    const index = args.findIndex(arg => arg.name === name);
+    if (index === -1) return match;
+    const spec = args[index].type === 'integer' ? 'd' : objectSpec;
+    return platform === 'ios' && args.length === 1 ? `%${spec}` : `%${index + 1}$${spec}`;
+  });
+}
+
+// printf 格式还原为 vue-i18n 占位符；无编号的参数按出现顺序依次对应
+function fromPrintf(text, args) {
+  if (args.length === 0) return text;
+  let next = 0;
+  return text.replace(/%%|%(?:(\d+)\$)?l{0,2}[sd@]/g, (match, position) => {
+    if (match === '%%') return '%';
+    const index = position ? Number(position) - 1 : next++;
+    return args[index] ? `{${args[index].name}}` : match;
+  });
+}
+
+module.exports = {
+  placeholderNames,
+  pluralQuantities,
+  splitPlural,
+  joinPlural,
+  formatArgs,
+  toPrintf,
+  fromPrintf
+};
@@ -0,0 +1,335 @@
+// gettext PO/POT 编解码
+//   msgctxt  拍平后的 key 路径（如 login.title），导入时据此写回嵌套结构
+//   msgid    源语言（默认语言）文本
+//   msgstr   目标语言文本
+// vue-i18n 复数用 " | " 分隔分支（"one apple | {count} apples" 或 "none | one | {count}"）：
+// 导出为 msgid（单数分支）+ msgid_plural（最后一个分支），msgstr[0..nplurals-1] 按目标语言的 Plural-Forms 输出；
+// 每个 gettext 复数索引取一个代表数字 n，填入 vue-i18n 对 n 选中的分支。导入时反向：
+// vue-i18n 的每个分支取代表数字，按文件头的 Plural-Forms 找到对应的 msgstr[i]，再用 " | " 拼回
+const PLURAL_SEPARATOR = ' | ';
+
+// 常见语言的 Plural-Forms；未列出的按英语规则
+const PLURAL_FORMS = {
+  zh: 'nplurals=1; plural=0;',
+  ja: 'nplurals=1; plural=0;',
+  ko: 'nplurals=1; plural=0;',
+  th: 'nplurals=1; plural=0;',
+  vi: 'nplurals=1; plural=0;',
+  id: 'nplurals=1; plural=0;',
+  fr: 'nplurals=2; plural=(n > 1);',
+  pt: 'nplurals=2; plural=(n != 1);',
+  ru: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  uk: 'nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  pl: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+  ar: 'nplurals=6; plural=(n==0 ? 0 : n==1 ? 1 : n==2 ? 2 : n%100>=3 && n%100<=10 ? 3 : n%100>=11 ? 4 : 5);'
+};
+const DEFAULT_PLURAL_FORMS = 'nplurals=2; plural=(n != 1);';
+
+const pluralFormsOf = (code) => PLURAL_FORMS[String(code).split(/[-_]/)[0].toLowerCase()] || DEFAULT_PLURAL_FORMS;
+
+// Plural-Forms 的 plural 表达式（C 语法子集）：n、整数、( )、! % * / + -、比较、&& ||、?:
+// 按语法解析为求值函数，不执行文件中的代码；长度与嵌套深度有上限，解析与求值都是线性的
+const MAX_PLURAL_EXPRESSION = 500;
+const MAX_PLURAL_DEPTH = 32;
+const PLURAL_TOKEN = /\s*(\d+|n|&&|\|\||==|!=|<=|>=|[<>!%*/+\-?:()])/y;
+
+const BINARY_OPERATORS = [
+  ['||', (a, b) => (a || b ? 1 : 0)],
+  ['&&', (a, b) => (a && b ? 1 : 0)],
+  ['==', (a, b) => (a === b ? 1 : 0), '!=', (a, b) => (a !== b ? 1 : 0)],
+  ['<', (a, b) => (a < b ? 1 : 0), '<=', (a, b) => (a <= b ? 1 : 0), '>', (a, b) => (a > b ? 1 : 0), '>=', (a, b) => (a >= b ? 1 : 0)],
+  ['+', (a, b) => a + b, '-', (a, b) => a - b],
+  ['*', (a, b) => a * b, '/', (a, b) => (b === 0 ? 0 : Math.trunc(a / b)), '%', (a, b) => (b === 0 ? 0 : a % b)]
+];
+
+function compilePluralExpression(source) {
+  if (source.length > MAX_PLURAL_EXPRESSION) throw new Error('expression is too long');
+  const tokens = [];
+  PLURAL_TOKEN.lastIndex = 0;
+  while (PLURAL_TOKEN.lastIndex < source.trimEnd().length) {
+    const offset = PLURAL_TOKEN.lastIndex;
+    const match = PLURAL_TOKEN.exec(source);
+    if (!match) throw new Error(`unexpected character at ${offset}`);
+    tokens.push(match[1]);
+  }
+
+  let pos = 0;
+  let depth = 0;
+  const peek = () => tokens[pos];
+  const expect = (token) => {
+    if (tokens[pos] !== token) throw new Error(`expected ${token}`);
+    pos++;
+  };
+
+  const parseTernary = () => {
+    if (++depth > MAX_PLURAL_DEPTH) throw new Error('expression is nested too deeply');
+    const condition = parseBinary(0);
+    let result = condition;
+    if (peek() === '?') {
+      pos++;
+      const whenTrue = parseTernary();
+      expect(':');
+      const whenFalse = parseTernary();
+      result = (n) => (condition(n) ? whenTrue(n) : whenFalse(n));
+    }
+    depth--;
+    return result;
+  };
+  const parseBinary = (level) => {
+    if (level === BINARY_OPERATORS.length) return parseUnary();
+    const operators = BINARY_OPERATORS[level];
+    let left = parseBinary(level + 1);
+    for (let i = operators.indexOf(peek()); i !== -1 && i % 2 === 0; i = operators.indexOf(peek())) {
+      pos++;
+      const apply = operators[i + 1];
+      const a = left;
+      const b = parseBinary(level + 1);
+      left = (n) => apply(a(n), b(n));
+    }
+    return left;
+  };
+  const parseUnary = () => {
+    const token = peek();
+    pos++;
+    if (token === '!') {
+      if (++depth > MAX_PLURAL_DEPTH) throw new Error('expression is nested too deeply');
+      const operand = parseUnary();
+      depth--;
+      return (n) => (operand(n) ? 0 : 1);
+    }
+    if (token === 'n') return (n) => n;
+    if (/^\d+$/.test(token || '')) {
+      const value = Number(token);
+      return () => value;
+    }
+    if (token === '(') {
+      const inner = parseTernary();
+      expect(')');
+      return inner;
+    }
+    throw new Error(token === undefined ? 'unexpected end of expression' : `unexpected ${token}`);
+  };
+
+  const evaluate = parseTernary();
+  if (pos !== tokens.length) throw new Error(`unexpected ${tokens[pos]}`);
+  return evaluate;
+}
+
+// 解析 Plural-Forms，返回 { nplurals, plural(n) => index }；无法解析时返回 null
+function parsePluralForms(value) {
+  const match = /^\s*nplurals\s*=\s*(\d+)\s*;\s*plural\s*=\s*([^;]+);?\s*$/.exec(value || '');
+  if (!match) return null;
+  const nplurals = Number(match[1]);
+  if (nplurals < 1 || nplurals > 6) return null;
+  let evaluate;
+  try {
+    evaluate = compilePluralExpression(match[2]);
+  } catch {
+    return null;
+  }
+  return { nplurals, plural: (n) => Math.min(Math.max(evaluate(n), 0), nplurals - 1) };
+}
+
+const pluralRuleOf = (code) => parsePluralForms(pluralFormsOf(code));
+
+// vue-i18n 默认的分支选择（两个分支为 单数 | 复数，三个及以上为 零 | 单数 | 复数）
+const vueBranchOf = (n, count) => {
+  if (count === 2) return n === 1 ? 0 : 1;
+  return Math.min(n, 2, count - 1);
+};
+// 导入时各分支的代表数字
+const vueSampleOf = (branch, count) => (count === 2 ? [1, 5][branch] : [0, 1, 5][Math.min(branch, 2)]);
+
+// 导出时 gettext 各复数形式的代表数字：优先取最小的正整数，0 最后考虑
+// n=1 所在的形式同时包含 2 时（如中日文只有一种形式），它代表的是复数而不是单数
+// 目标语言没有独立的“零”形式时，vue-i18n 的零分支无法导出，导入时零分支取 0 所在形式的译文
+function gettextSamples(rule) {
+  const samples = new Array(rule.nplurals);
+  let found = 0;
+  for (let n = 1; found < rule.nplurals && n <= 1001; n++) {
+    const value = n === 1001 ? 0 : n;
+    const index = rule.plural(value);
+    if (samples[index] === undefined) {
+      samples[index] = value;
+      found++;
+    }
+  }
+  if (rule.plural(1) === rule.plural(2)) samples[rule.plural(1)] = 2;
+  return samples;
+}
+
+// zh-CN <-> zh_CN（gettext 使用下划线）
+const toPoLanguage = (code) => code.replace(/-/g, '_');
+const fromPoLanguage = (language) => language.trim().replace(/_/g, '-');
+
+const splitPlural = (text) => text.split(PLURAL_SEPARATOR);
+
+const escapePo = (text) => text
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\t/g, '\\t')
+  .replace(/\r/g, '\\r')
+  .replace(/\n/g, '\\n');
+
+const UNESCAPES = { n: '\n', t: '\t', r: '\r', '"': '"', '\\': '\\' };
+const unescapePo = (text) => text.replace(/\\(.)/g, (match, ch) => UNESCAPES[ch] ?? ch);
+
+// 含换行的字符串按 gettext 惯例拆成多行
+function formatString(keyword, text) {
+  if (!text.includes('\n') || text.indexOf('\n') === text.length - 1) {
+    return `${keyword} "${escapePo(text)}"`;
+  }
+  const parts = text.split(/(?<=\n)/);
+  return [`${keyword} ""`, ...parts.map(part => `"${escapePo(part)}"`)].join('\n');
+}
+
+// sources / targets 为拍平后的 { key: value }；targetLanguage 为空时生成 POT 模板
+function buildPo({ sourceLanguage, targetLanguage = null, sources, targets = {}, version }) {
+  const now = new Date().toISOString().replace('T', ' ').replace(/\.\d+Z$/, '+0000');
+  const header = [
+    `Project-Id-Version: vue3-i18n-api ${version}`,
+    `POT-Creation-Date: ${now}`,
+    `PO-Revision-Date: ${targetLanguage ? now : 'YEAR-MO-DA HO:MI+ZONE'}`,
+    `Language: ${targetLanguage ? toPoLanguage(targetLanguage) : ''}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    `Plural-Forms: ${targetLanguage ? pluralFormsOf(targetLanguage) : 'nplurals=INTEGER; plural=EXPRESSION;'}`,
+    `X-Source-Language: ${toPoLanguage(sourceLanguage)}`
+  ];
+
+  const rule = targetLanguage ? pluralRuleOf(targetLanguage) : null;
+  const blocks = [
+    ['msgid ""', 'msgstr ""', ...header.map(line => `"${escapePo(line)}\\n"`)].join('\n')
+  ];
+
+  for (const [key, source] of Object.entries(sources)) {
+    if (typeof source !== 'string') continue;
+    const target = typeof targets[key] === 'string' ? targets[key] : '';
+    const lines = [`#: ${key}`, formatString('msgctxt', key)];
+
+    const branches = splitPlural(source);
+    if (branches.length > 1) {
+      // 两个分支为 单数 | 复数，三个分支为 零 | 单数 | 复数
+      lines.push(formatString('msgid', branches.length === 2 ? branches[0] : branches[1]));
+      lines.push(formatString('msgid_plural', branches[branches.length - 1]));
+      if (!rule) {
+        // POT 模板没有目标语言，按 gettext 惯例输出两个空的 msgstr
+        lines.push(formatString('msgstr[0]', ''), formatString('msgstr[1]', ''));
+      } else {
+        const targetBranches = splitPlural(target);
+        gettextSamples(rule).forEach((n, i) => {
+          const branch = n === undefined ? targetBranches.length - 1 : vueBranchOf(n, targetBranches.length);
+          lines.push(formatString(`msgstr[${i}]`, targetBranches[branch]));
+        });
+      }
+    } else {
+      lines.push(formatString('msgid', source));
+      lines.push(formatString('msgstr', target));
+    }
+    blocks.push(lines.join('\n'));
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+// 解析 PO，返回 { language, headers, pluralRule, entries: [{ context, id, idPlural, strings, fuzzy }] }
+// 忽略注释与已废弃（#~）条目；strings 为 msgstr（复数时按 msgstr[n] 顺序）
+function parsePo(content) {
+  const entries = [];
+  let entry = null;
+  let field = null; // 当前可续行的字段：{ name, index }
+
+  const flush = () => {
+    if (entry && entry.id !== undefined) entries.push(entry);
+    entry = null;
+    field = null;
+  };
+  const current = () => {
+    if (!entry) entry = { context: undefined, id: undefined, idPlural: undefined, strings: [], fuzzy: false };
+    return entry;
+  };
+  const append = (text) => {
+    const target = current();
+    if (field.name === 'msgstr') target.strings[field.index] = (target.strings[field.index] || '') + text;
+    else target[field.name] = (target[field.name] || '') + text;
+  };
+
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    if (line === '') {
+      flush();
+      return;
+    }
+    if (line.startsWith('#')) {
+      // 注释出现在已有内容之后表示新条目开始
+      if (entry && entry.id !== undefined && field) flush();
+      if (line.startsWith('#,') && line.includes('fuzzy')) current().fuzzy = true;
+      return;
+    }
+
+    const match = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[(\d+)\])?)\s+"(.*)"$/);
+    if (match) {
+      const [, keyword, index, text] = match;
+      if ((keyword === 'msgctxt' || keyword === 'msgid') && entry && entry.id !== undefined) flush();
+      if (keyword === 'msgctxt') field = { name: 'context' };
+      else if (keyword === 'msgid') field = { name: 'id' };
+      else if (keyword === 'msgid_plural') field = { name: 'idPlural' };
+      else field = { name: 'msgstr', index: index === undefined ? 0 : Number(index) };
+      append(unescapePo(text));
+      return;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation && field) {
+      append(unescapePo(continuation[1]));
+      return;
+    }
+
+    throw new Error(`Invalid PO syntax at line ${i + 1}: ${line}`);
+  });
+  flush();
+
+  // msgid "" 且无 msgctxt 的条目为文件头
+  const headers = {};
+  const headerIndex = entries.findIndex(e => e.id === '' && e.context === undefined);
+  if (headerIndex !== -1) {
+    for (const line of (entries[headerIndex].strings[0] || '').split('\n')) {
+      const separator = line.indexOf(':');
+      if (separator > 0) headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+    entries.splice(headerIndex, 1);
+  }
+
+  const pluralRule = headers['Plural-Forms'] ? parsePluralForms(headers['Plural-Forms']) : null;
+  if (headers['Plural-Forms'] && !pluralRule) {
+    throw new Error(`Unsupported Plural-Forms header: ${headers['Plural-Forms']}`);
+  }
+
+  return {
+    language: headers.Language ? fromPoLanguage(headers.Language) : null,
+    headers,
+    // 文件声明的 Plural-Forms，缺失时为 null（由调用方按目标语言推断）
+    pluralRule,
+    entries: entries.map(e => ({ ...e, strings: Array.from(e.strings, s => s || '') }))
+  };
+}
+
+// 条目的译文；全部为空时返回 ''
+// 复数条目按 vue-i18n 的 " | " 拼接：branches 为源文本的分支数，rule 为文件的复数规则（parsePo 的 pluralRule 或 pluralRuleOf）
+function entryTranslation(entry, { branches = 2, rule = null } = {}) {
+  if (entry.strings.every(s => s === '')) return '';
+  if (entry.idPlural === undefined) return entry.strings[0];
+  if (!rule) return entry.strings.join(PLURAL_SEPARATOR);
+  return Array.from({ length: branches }, (_, branch) => entry.strings[rule.plural(vueSampleOf(branch, branches))] || '')
+    .join(PLURAL_SEPARATOR);
+}
+
+module.exports = {
+  splitPlural,
+  pluralRuleOf,
+  buildPo,
+  parsePo,
+  entryTranslation
+};
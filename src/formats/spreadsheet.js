@@ -0,0 +1,126 @@
+const ExcelJS = require('exceljs');
+
+// key 矩阵表格：第一行为表头 ['key', 语言代码...]，之后每行一个拍平后的 key
+// 行数据统一为字符串二维数组，CSV / XLSX 只负责编解码
+const KEY_HEADER = 'key';
+
+// flatByCode: { code: { key: value } }；keys 为行顺序；只输出字符串值，缺失为空单元格
+function buildMatrix(codes, flatByCode, keys) {
+  const rows = [[KEY_HEADER, ...codes]];
+  for (const key of keys) {
+    rows.push([key, ...codes.map(code => {
+      const value = flatByCode[code][key];
+      return typeof value === 'string' ? value : '';
+    })]);
+  }
+  return rows;
+}
+
+const quoteCsv = (cell) => (/[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+
+// Excel 打开 CSV 时把以 = + - @（及制表符、回车）开头的单元格当作公式（如链接消息 @:login.title），
+// 导出时加前缀 ' 使其按文本显示，导入时去掉；本身以 ' 开头且后面是这些字符的值也加前缀，保证往返不变
+const FORMULA_PREFIX = /^'?[=+\-@\t\r]/;
+const escapeFormula = (cell) => (FORMULA_PREFIX.test(cell) ? `'${cell}` : cell);
+const unescapeFormula = (cell) => (cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell);
+
+// RFC 4180，带 UTF-8 BOM 以便 Excel 正确识别中日文
+function toCsv(rows) {
+  return `\uFEFF${rows.map(row => row.map(cell => quoteCsv(escapeFormula(String(cell)))).join(',')).join('\r\n')}\r\n`;
+}
+
+function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error('Invalid CSV: unterminated quoted field');
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  // 忽略完全空白的行
+  return rows.filter(r => r.some(c => c !== '')).map(r => r.map(unescapeFormula));
+}
+
+async function toXlsx(rows, sheetName = 'messages') {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', xSplit: 1, ySplit: 1 }] });
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+  sheet.columns.forEach((column, i) => {
+    column.width = i === 0 ? 40 : 30;
+    column.alignment = { wrapText: true, vertical: 'top' };
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// 富文本、公式等单元格统一取显示文本
+function cellText(cell) {
+  const value = cell.value;
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return String(value.text);
+  if (value.result !== undefined) return String(value.result);
+  return cell.text || '';
+}
+
+// 读取第一个工作表
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new Error(`Invalid XLSX: ${error.message}`);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) throw new Error('Invalid XLSX: workbook has no worksheets');
+
+  const width = sheet.getRow(1).cellCount;
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= width; col++) cells.push(cellText(row.getCell(col)));
+    rows.push(cells);
+  });
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+module.exports = {
+  KEY_HEADER,
+  buildMatrix,
+  toCsv,
+  parseCsv,
+  toXlsx,
+  parseXlsx
+};
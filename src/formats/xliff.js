@@ -0,0 +1,97 @@
+const { XMLParser, XMLValidator } = require('fast-xml-parser');
+const { escapeXml, decodeXml } = require('./xml');
+
+// XLIFF 2.0 编解码：每个拍平后的 key 对应一个 <unit>，unit id 即 key
+// 只处理字符串值；<source>/<target> 按纯文本处理（内联标记原样转义）
+const XLIFF_NS = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// sources / targets 为拍平后的 { key: value }；未翻译的 unit 不输出 <target>
+function buildXliff({ sourceLanguage, targetLanguage, sources, targets = {} }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NS}" version="2.0" srcLang="${escapeXml(sourceLanguage)}" trgLang="${escapeXml(targetLanguage)}">`,
+    '  <file id="messages">'
+  ];
+
+  for (const [key, source] of Object.entries(sources)) {
+    if (typeof source !== 'string') continue;
+    const target = targets[key];
+    const translated = typeof target === 'string' && target !== '';
+    lines.push(`    <unit id="${escapeXml(key)}" name="${escapeXml(key)}">`);
+    lines.push(`      <segment state="${translated ? 'translated' : 'initial'}">`);
+    lines.push(`        <source>${escapeXml(source)}</source>`);
+    if (translated) lines.push(`        <target>${escapeXml(target)}</target>`);
+    lines.push('      </segment>');
+    lines.push('    </unit>');
+  }
+
+  lines.push('  </file>');
+  lines.push('</xliff>');
+  return `${lines.join('\n')}\n`;
+}
+
+const toArray = (value) => (value === undefined ? [] : Array.isArray(value) ? value : [value]);
+
+// 解析 XLIFF 2.0，返回 { sourceLanguage, targetLanguage, units: [{ key, source, target }] }
+// 一个 unit 含多个 segment 时按顺序拼接；没有 <target> 的 unit 其 target 为 undefined
+function parseXliff(xml) {
+  const validation = XMLValidator.validate(xml);
+  if (validation !== true) {
+    throw new Error(`Invalid XLIFF: ${validation.err.msg} (line ${validation.err.line})`);
+  }
+
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseAttributeValue: false,
+    parseTagValue: false,
+    trimValues: false,
+    // 内联元素（<ph/>、<pc> 等）保留原始文本，不拆成子节点
+    stopNodes: ['*.source', '*.target']
+  });
+
+  const root = parser.parse(xml).xliff;
+  if (!root || typeof root !== 'object') {
+    throw new Error('Invalid XLIFF: missing <xliff> root element');
+  }
+  if (root.version && !String(root.version).startsWith('2.')) {
+    throw new Error(`Unsupported XLIFF version ${root.version}, only 2.x is supported`);
+  }
+
+  const textOf = (node) => {
+    if (node === undefined) return undefined;
+    const raw = typeof node === 'object' ? (node['#text'] ?? '') : node;
+    return decodeXml(raw);
+  };
+
+  const units = [];
+  for (const file of toArray(root.file)) {
+    // <group> 可以嵌套，递归收集 unit
+    const collect = (container) => {
+      for (const group of toArray(container.group)) collect(group);
+      for (const unit of toArray(container.unit)) {
+        const key = unit.name || unit.id;
+        if (!key) continue;
+        const segments = toArray(unit.segment);
+        const hasTarget = segments.some(s => s.target !== undefined);
+        units.push({
+          key,
+          source: segments.map(s => textOf(s.source) ?? '').join(''),
+          target: hasTarget ? segments.map(s => textOf(s.target) ?? '').join('') : undefined
+        });
+      }
+    };
+    collect(file);
+  }
+
+  return {
+    sourceLanguage: root.srcLang || null,
+    targetLanguage: root.trgLang || null,
+    units
+  };
+}
+
+module.exports = {
+  buildXliff,
+  parseXliff
+};
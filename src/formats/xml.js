@@ -0,0 +1,19 @@
+// 格式编解码共用的 XML 文本转义
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) => String(text).replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+  if (entity[0] !== '#') return ENTITIES[entity.toLowerCase()];
+  const codePoint = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+  return String.fromCodePoint(codePoint);
+});
+
+module.exports = {
+  escapeXml,
+  decodeXml
+};
@@ -0,0 +1,41 @@
+const audit = require('../services/audit');
+const { requireRole } = require('../services/auth');
+
+// 审计日志查询路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function auditRoutes(fastify) {
+
+  // 查询 key 级审计记录（新 → 旧）
+  // 过滤：key、keyPrefix、language、actor、route、version、value（旧值或新值包含）、from/to（ISO 时间）
+  fastify.get('/audit', requireRole('maintainer'), async (request, reply) => {
+    try {
+      const { offset = 0, limit = 50, ...filters } = request.query;
+      for (const field of ['from', 'to']) {
+        if (filters[field] && Number.isNaN(new Date(filters[field]).getTime())) {
+          return reply.status(400).send({
+            success: false,
+            error: `${field} must be a valid date`
+          });
+        }
+      }
+
+      const result = await audit.queryAudit(filters, {
+        offset: Math.max(Number(offset) || 0, 0),
+        limit: Math.min(Math.max(Number(limit) || 50, 1), 500)
+      });
+
+      return {
+        success: true,
+        data: result
+      };
+    } catch (error) {
+      fastify.log.error('Error querying audit log:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to query audit log',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = auditRoutes;
@@ -0,0 +1,76 @@
+const { getStorage } = require('../storage');
+const { versionEvents } = require('../services/version');
+
+const storage = getStorage();
+
+// 心跳间隔，防止代理因空闲断开连接
+const HEARTBEAT_MS = Number(process.env.I18N_SSE_HEARTBEAT_MS) || 25000;
+
+// 实时推送路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function eventRoutes(fastify) {
+
+  const clients = new Set();
+
+  const format = (event, data, id) => `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+  // 只订阅一次版本事件，再广播给所有连接
+  const onVersionChanged = (change) => {
+    const { packageFile, ...payload } = change;
+    for (const client of clients) {
+      // 指定了语言时，只推送涉及这些语言（或语言列表变化）的事件
+      if (client.languages) {
+        const affected = [...payload.languages, ...payload.languagesAdded, ...payload.languagesRemoved];
+        if (!affected.some(code => client.languages.includes(code))) continue;
+      }
+      client.raw.write(format('version-changed', payload, payload.version));
+    }
+  };
+  versionEvents.on('version-changed', onVersionChanged);
+
+  // 关闭服务前结束所有长连接，否则 server.close 会一直等待
+  fastify.addHook('preClose', async () => {
+    versionEvents.off('version-changed', onVersionChanged);
+    for (const client of clients) client.raw.end();
+    clients.clear();
+  });
+
+  // Server-Sent Events：版本递增时推送 version-changed（id 为新版本号）
+  // 可选 ?languages=ja-JP,en-US 只接收涉及这些语言的事件
+  fastify.get('/events', async (request, reply) => {
+    const languages = request.query.languages
+      ? String(request.query.languages).split(',').map(s => s.trim()).filter(Boolean)
+      : null;
+    const languageList = await storage.readLanguageList();
+
+    // 接管原始响应；保留 CORS 等插件已设置的响应头
+    reply.hijack();
+    reply.raw.writeHead(200, {
+      ...reply.getHeaders(),
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    // 连接建立后先告知当前版本，客户端据此判断是否错过了更新（例如断线重连）
+    reply.raw.write('retry: 3000\n\n');
+    reply.raw.write(format('connected', {
+      version: languageList.version,
+      lastUpdated: languageList.lastUpdated,
+      lastEventId: request.headers['last-event-id'] || null
+    }, languageList.version));
+
+    const client = { raw: reply.raw, languages };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => reply.raw.write(': ping\n\n'), HEARTBEAT_MS);
+    heartbeat.unref();
+
+    request.raw.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  });
+}
+
+module.exports = eventRoutes;
@@ -0,0 +1,196 @@
+const { getStorage } = require('../storage');
+const { buildPo, parsePo, entryTranslation, pluralRuleOf, splitPlural } = require('../formats/po');
+const { applyTranslations } = require('../services/bulk');
+const { flattenMessages } = require('../utils/keys');
+const { changeContext } = require('../utils/request');
+const { requireRole, deniedLanguages } = require('../services/auth');
+const { streamUpload, writeExclusive } = require('../services/concurrency');
+const { IMPORT_MAX_BYTES } = require('../utils/upload');
+
+const storage = getStorage();
+
+// gettext PO/POT 导入导出路由（由 i18nRoutes 注册，共享 /api/i18n 前缀），供使用 gettext 的后端服务共享文案
+async function gettextRoutes(fastify) {
+
+  const sendPo = (reply, content, fileName) => {
+    reply.header('Content-Type', 'text/x-gettext-translation; charset=utf-8');
+    reply.header('Content-Disposition', `attachment; filename="${fileName}"`);
+    return content;
+  };
+
+  // POT 模板：默认语言的全部 key，msgstr 为空
+  fastify.get('/export/pot', async (request, reply) => {
+    try {
+      const languageList = await storage.readLanguageList();
+      const source = languageList.defaultLanguage;
+      const sources = flattenMessages((await storage.readLanguage(source)) || {});
+      const content = buildPo({ sourceLanguage: source, sources, version: languageList.version });
+      return sendPo(reply, content, `messages_v${languageList.version}.pot`);
+    } catch (error) {
+      fastify.log.error('Error exporting POT:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to export POT',
+        message: error.message
+      });
+    }
+  });
+
+  // 指定语言的 PO：msgid 为默认语言文本，msgstr 为该语言译文
+  fastify.get('/export/po/:code', async (request, reply) => {
+    try {
+      const { code } = request.params;
+      const languageList = await storage.readLanguageList();
+      if (!languageList.languages.some(l => l.code === code)) {
+        return reply.status(404).send({
+          success: false,
+          error: `Language ${code} not found`
+        });
+      }
+
+      const source = languageList.defaultLanguage;
+      const sources = flattenMessages((await storage.readLanguage(source)) || {});
+      const targets = flattenMessages((await storage.readLanguage(code)) || {});
+      const content = buildPo({ sourceLanguage: source, targetLanguage: code, sources, targets, version: languageList.version });
+      return sendPo(reply, content, `${code}_v${languageList.version}.po`);
+    } catch (error) {
+      fastify.log.error(`Error exporting PO for ${request.params.code}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to export PO',
+        message: error.message
+      });
+    }
+  });
+
+  // 导入：multipart 上传 .po，目标语言取文件头 Language（可用 ?target= 覆盖）
+  // key 取 msgctxt；没有 msgctxt 时，msgid 本身是已有 key 则按 key 处理，否则按默认语言文本匹配所有相同文本的 key
+  // fuzzy 与空译文的条目不导入；整批只递增一次版本；上传与解析在写队列之外进行，只有写入时进入写队列
+  fastify.post('/import/po', streamUpload(requireRole('translator')), async (request, reply) => {
+    try {
+      const file = await request.file({ limits: { fileSize: IMPORT_MAX_BYTES } });
+      if (!file) {
+        return reply.status(400).send({
+          success: false,
+          error: 'PO file is required'
+        });
+      }
+
+      let buffer;
+      try {
+        buffer = await file.toBuffer();
+      } catch (error) {
+        if (error.code !== 'FST_REQ_FILE_TOO_LARGE') throw error;
+        return reply.status(413).send({
+          success: false,
+          error: `PO file must be at most ${IMPORT_MAX_BYTES} bytes`
+        });
+      }
+
+      let parsed;
+      try {
+        parsed = parsePo(buffer.toString('utf8'));
+      } catch (error) {
+        return reply.status(400).send({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const target = request.query.target || parsed.language;
+      if (!target) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Target language is missing: set the Language header in the file or pass ?target='
+        });
+      }
+      if (deniedLanguages(request, [target]).length > 0) {
+        return reply.status(403).send({
+          success: false,
+          error: `Not allowed to edit languages: ${target}`
+        });
+      }
+
+      const languageList = await storage.readLanguageList();
+      const sources = flattenMessages((await storage.readLanguage(languageList.defaultLanguage)) || {});
+      const keysBySource = new Map();
+      for (const [key, value] of Object.entries(sources)) {
+        if (typeof value !== 'string') continue;
+        if (!keysBySource.has(value)) keysBySource.set(value, []);
+        keysBySource.get(value).push(key);
+      }
+
+      const pluralRule = parsed.pluralRule || pluralRuleOf(target);
+      const values = {};
+      const unmatched = [];
+      let fuzzy = 0;
+      let untranslated = 0;
+      for (const entry of parsed.entries) {
+        if (entry.fuzzy) {
+          fuzzy++;
+          continue;
+        }
+        if (entry.strings.every(text => text === '')) {
+          untranslated++;
+          continue;
+        }
+
+        let keys;
+        if (entry.context !== undefined) {
+          keys = [entry.context];
+        } else if (Object.prototype.hasOwnProperty.call(sources, entry.id)) {
+          keys = [entry.id];
+        } else {
+          // 复数条目的源文本需按 vue-i18n 格式还原后再匹配
+          const sourceText = entry.idPlural !== undefined ? `${entry.id} | ${entry.idPlural}` : entry.id;
+          keys = keysBySource.get(sourceText) || [];
+        }
+
+        if (keys.length === 0) unmatched.push(entry.id);
+        // 复数条目按源文本的分支数与文件的 Plural-Forms 还原 vue-i18n 分支
+        for (const key of keys) {
+          const branches = typeof sources[key] === 'string' ? splitPlural(sources[key]).length : 2;
+          values[key] = entryTranslation(entry, { branches, rule: pluralRule });
+        }
+      }
+
+      return await writeExclusive(request, reply, async () => {
+        const result = await applyTranslations({ [target]: values }, { meta: changeContext(request) });
+        if (result.unknownLanguages.length > 0) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${target} not found`
+          });
+        }
+
+        const stats = result.languages[target];
+        return {
+          success: true,
+          message: result.changed
+            ? `Imported ${stats.updated.length} translations into ${target}`
+            : 'No changes to import',
+          data: {
+            language: target,
+            version: result.version,
+            entries: parsed.entries.length,
+            updated: stats.updated.map(u => u.key),
+            unchanged: stats.unchanged,
+            untranslated,
+            fuzzy,
+            unknownKeys: result.unknownKeys[target] || [],
+            unmatched
+          }
+        };
+      });
+    } catch (error) {
+      fastify.log.error('Error importing PO:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to import PO',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = gettextRoutes;
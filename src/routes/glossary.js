@@ -0,0 +1,144 @@
+const { getStorage } = require('../storage');
+const glossary = require('../services/glossary');
+const { requireRole } = require('../services/auth');
+
+const storage = getStorage();
+
+// 术语表管理路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）；读取对所有人开放，修改需要 maintainer
+async function glossaryRoutes(fastify) {
+
+  const notFound = (reply, id) => reply.status(404).send({
+    success: false,
+    error: `Glossary term ${id} not found`
+  });
+
+  const conflict = (reply, existing) => reply.status(409).send({
+    success: false,
+    error: `Glossary term '${existing.term}' already exists`,
+    code: 'TERM_ALREADY_EXISTS',
+    data: { id: existing.id }
+  });
+
+  const languageCodes = async () => (await storage.readLanguageList()).languages.map(l => l.code);
+
+  // 术语列表，可选 ?q= 按术语或任一语言的译法过滤（不区分大小写）
+  fastify.get('/glossary', async (request, reply) => {
+    try {
+      const q = (request.query.q || '').toLowerCase();
+      const terms = (await glossary.readTerms()).filter(t => !q
+        || t.term.toLowerCase().includes(q)
+        || Object.values(t.translations).some(tr => tr.approved.toLowerCase().includes(q)));
+      return {
+        success: true,
+        data: terms
+      };
+    } catch (error) {
+      fastify.log.error('Error listing glossary terms:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to list glossary terms',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.get('/glossary/:id', async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const term = (await glossary.readTerms()).find(t => t.id === id);
+      if (!term) return notFound(reply, id);
+      return {
+        success: true,
+        data: term
+      };
+    } catch (error) {
+      fastify.log.error(`Error reading glossary term ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to read glossary term',
+        message: error.message
+      });
+    }
+  });
+
+  // 新增术语
+  // body: { term, description?, caseSensitive?, translations: { code: { approved, forbidden: [] } } }
+  fastify.post('/glossary', requireRole('maintainer'), async (request, reply) => {
+    try {
+      const errors = glossary.validateTerm(request.body, { languageCodes: await languageCodes() });
+      if (errors.length > 0) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Invalid glossary term',
+          errors
+        });
+      }
+
+      const { term, conflict: existing } = await glossary.createTerm(request.body);
+      if (existing) return conflict(reply, existing);
+      return {
+        success: true,
+        message: `Glossary term '${term.term}' created successfully`,
+        data: term
+      };
+    } catch (error) {
+      fastify.log.error('Error creating glossary term:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to create glossary term',
+        message: error.message
+      });
+    }
+  });
+
+  // 修改术语；translations 按语言合并，某语言传 null 时移除
+  fastify.put('/glossary/:id', requireRole('maintainer'), async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const errors = glossary.validateTerm(request.body, { partial: true, languageCodes: await languageCodes() });
+      if (errors.length > 0) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Invalid glossary term',
+          errors
+        });
+      }
+
+      const result = await glossary.updateTerm(id, request.body || {});
+      if (!result) return notFound(reply, id);
+      if (result.conflict) return conflict(reply, result.conflict);
+      return {
+        success: true,
+        message: `Glossary term '${result.term.term}' updated successfully`,
+        data: result.term
+      };
+    } catch (error) {
+      fastify.log.error(`Error updating glossary term ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to update glossary term',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.delete('/glossary/:id', requireRole('maintainer'), async (request, reply) => {
+    try {
+      const { id } = request.params;
+      if (!await glossary.deleteTerm(id)) return notFound(reply, id);
+      return {
+        success: true,
+        message: `Glossary term ${id} deleted successfully`
+      };
+    } catch (error) {
+      fastify.log.error(`Error deleting glossary term ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to delete glossary term',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = glossaryRoutes;
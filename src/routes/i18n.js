@@ -1,19 +1,107 @@
 const fs = require('fs-extra');
 const path = require('path');
-const archiver = require('archiver');
-
-const LANGUAGES_DIR = path.join(__dirname, '../../data/languages');
-const LANGUAGE_LIST_FILE = path.join(__dirname, '../../data/language-list.json');
-const DOWNLOADS_DIR = path.join(__dirname, '../../downloads');
-
-// 确保下载目录存在
-fs.ensureDirSync(DOWNLOADS_DIR);
+const { getStorage } = require('../storage');
+const history = require('../services/history');
+const { DOWNLOADS_DIR, incrementVersion, createLanguagePackage } = require('../services/version');
+const { changeContext } = require('../utils/request');
+const auth = require('../services/auth');
+const { runExclusive } = require('../utils/write-queue');
+const { replyNotModified } = require('../utils/http');
+const { flattenMessages } = require('../utils/keys');
+const { rejectStaleWrite, guardConflicts } = require('../services/concurrency');
+const glossary = require('../services/glossary');
+const validation = require('../services/validation');
+const autoTranslated = require('../services/auto-translated');
+const keyMeta = require('../services/key-meta');
+const screenshots = require('../services/screenshots');
+const { requireRole } = auth;
+
+const storage = getStorage();
 
 // i18n 路由
 async function i18nRoutes(fastify, options) {
 
+  // 鉴权：对本插件及其子插件内的全部路由生效（权限由各路由 config.access 声明）
+  if (!auth.enabled) {
+    fastify.log.warn('No API keys or JWT secret configured, i18n write routes are not protected');
+  }
+  fastify.addHook('preHandler', auth.authHook);
+
+  // 写路由（非 GET/HEAD）整体放入全局写队列串行执行：读-改-写与版本递增不会与其他写请求交错
+  // 在队列内先做乐观并发检查（If-Match / baseVersion），过期的写请求直接返回 409
+  fastify.addHook('onRoute', (routeOptions) => {
+    const methods = [].concat(routeOptions.method);
+    if (methods.every(m => m === 'GET' || m === 'HEAD')) return;
+    // 不修改数据、或自行在写入时进入队列的非 GET 路由可声明 config.exclusive=false 跳过写队列
+    if (routeOptions.config && routeOptions.config.exclusive === false) return;
+    const handler = routeOptions.handler;
+    routeOptions.handler = function (request, reply) {
+      return runExclusive(async () => {
+        if (await rejectStaleWrite(request, reply)) return reply;
+        return handler.call(this, request, reply);
+      });
+    };
+  });
+
+  // 为当前版本补基线快照，保证首次变更即可回滚
+  await history.ensureBaseline();
+
+  // 版本历史与回滚
+  fastify.register(require('./versions'));
+
+  // key 级审计日志
+  fastify.register(require('./audit'));
+
+  // 版本递增 Webhook
+  fastify.register(require('./webhooks'));
+
+  // 版本变更实时推送（SSE）
+  fastify.register(require('./events'));
+
+  // XLIFF 2.0 导入导出
+  fastify.register(require('./xliff'));
+
+  // gettext PO/POT 导入导出
+  fastify.register(require('./gettext'));
+
+  // 表格（CSV / XLSX）key 矩阵导入导出
+  fastify.register(require('./spreadsheet'));
+
+  // Android / iOS 资源文件导入导出
+  fastify.register(require('./mobile'));
+
+  // 语言包 zip 导入（merge / replace）
+  fastify.register(require('./package-import'));
+
+  // 机器翻译补全与审校标记
+  fastify.register(require('./translate'));
+
+  // 后台机器翻译任务
+  fastify.register(require('./jobs'));
+
+  // 翻译记忆建议
+  fastify.register(require('./suggest'));
+
+  // 术语表
+  fastify.register(require('./glossary'));
+
+  // 翻译覆盖率报告
+  fastify.register(require('./reports'));
+
+  // 全文搜索
+  fastify.register(require('./search'));
+
+  // 分页 key 表格
+  fastify.register(require('./keys'));
+
+  // key 元数据（说明、上下文、长度限制、标签）
+  fastify.register(require('./key-meta'));
+
+  // 界面截图上传与 key 关联
+  fastify.register(require('./screenshots'));
+
   // 前缀内健康检查 /api/i18n/health
-  fastify.get('/health', async () => ({ status: 'ok' }));
+  fastify.get('/health', { config: { access: { public: true } } }, async () => ({ status: 'ok' }));
 
   // 语言文件管理API
 
@@ -23,10 +111,9 @@ async function i18nRoutes(fastify, options) {
   fastify.get('/language/:code', async (request, reply) => {
     try {
       const { code } = request.params;
-      const filePath = path.join(LANGUAGES_DIR, `${code}.json`);
       
-      // 检查文件是否存在
-      if (!await fs.pathExists(filePath)) {
+      // 检查语言是否存在
+      if (!await storage.hasLanguage(code)) {
         return reply.status(404).send({
           success: false,
           error: 'Language file not found',
@@ -34,7 +121,13 @@ async function i18nRoutes(fastify, options) {
         });
       }
 
-      const translations = await fs.readJson(filePath);
+      // 任何写操作都会递增版本号，版本号 + 语言代码即可作为强 ETag
+      const languageList = await storage.readLanguageList();
+      if (replyNotModified(request, reply, { etag: `"${languageList.version}-${code}"`, lastModified: languageList.lastUpdated })) {
+        return reply;
+      }
+
+      const translations = await storage.readLanguage(code);
       // 直接返回翻译内容，不包装额外的结构
       return {
         success: true,
@@ -56,7 +149,14 @@ async function i18nRoutes(fastify, options) {
       const includeDisabled = request.query.includeDisabled === 'true';
       
       // 读取语言列表（包含版本信息）
-      const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
+      const languageList = await storage.readLanguageList();
+      
+      // 版本未变化时直接返回 304，无需读取翻译文件
+      reply.header('Cache-Control', 'public, max-age=300'); // 5分钟缓存
+      const etag = `"${languageList.version}${includeDisabled ? '-all' : ''}"`;
+      if (replyNotModified(request, reply, { etag, lastModified: languageList.lastUpdated })) {
+        return reply;
+      }
       
       // 筛选启用的语言
       const target = includeDisabled ? languageList.languages : languageList.languages.filter(l => l.enabled);
@@ -64,13 +164,12 @@ async function i18nRoutes(fastify, options) {
       // 读取对应的翻译文件
       const messages = {};
       for (const lang of target) {
-        const filePath = path.join(LANGUAGES_DIR, `${lang.code}.json`);
-        if (await fs.pathExists(filePath)) {
-          messages[lang.code] = await fs.readJson(filePath);
+        const translations = await storage.readLanguage(lang.code);
+        if (translations) {
+          messages[lang.code] = translations;
         }
       }
       
-      reply.header('Cache-Control', 'public, max-age=300'); // 5分钟缓存
       return {
         success: true,
         version: languageList.version,
@@ -90,8 +189,70 @@ async function i18nRoutes(fastify, options) {
     }
   });
 
+  // 增量接口：返回自 since 版本以来每种语言新增/修改/删除的 key（key 为拍平后的路径）
+  // 历史不足以覆盖该区间时返回 fullReloadRequired=true，客户端应改用 /data/complete
+  fastify.get('/data/changes', async (request, reply) => {
+    try {
+      const { since } = request.query;
+      const includeDisabled = request.query.includeDisabled === 'true';
+
+      if (!since || typeof since !== 'string') {
+        return reply.status(400).send({
+          success: false,
+          error: 'since query parameter is required'
+        });
+      }
+
+      const languageList = await storage.readLanguageList();
+      const delta = await history.getChangesSince(since, languageList.version);
+
+      const base = {
+        success: true,
+        since,
+        version: languageList.version,
+        lastUpdated: languageList.lastUpdated
+      };
+
+      if (!delta) {
+        return { ...base, fullReloadRequired: true };
+      }
+
+      // 与 /data/complete 一致，默认只返回启用语言的变更
+      const target = includeDisabled ? languageList.languages : languageList.languages.filter(l => l.enabled);
+      const targetCodes = new Set(target.map(l => l.code));
+      const changes = {};
+      for (const [code, diff] of Object.entries(delta.messages)) {
+        if (targetCodes.has(code)) changes[code] = diff;
+      }
+
+      return {
+        ...base,
+        fullReloadRequired: false,
+        languagesAdded: delta.languagesAdded,
+        languagesRemoved: delta.languagesRemoved,
+        // 语言配置有变化时附带最新语言列表
+        languages: delta.languageListChanged ? languageList.languages : undefined,
+        changes
+      };
+    } catch (error) {
+      fastify.log.error('Error reading i18n changes:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to read i18n changes',
+        message: error.message
+      });
+    }
+  });
+
   // 更新指定语言的翻译文件
-  fastify.post('/language/:code/update', async (request, reply) => {
+  fastify.post('/language/:code/update', guardConflicts(
+    requireRole('translator', (request) => [request.params.code]),
+    (request) => ({
+      languages: [request.params.code],
+      values: { [request.params.code]: flattenMessages(request.body?.translations || {}) },
+      completeValues: true
+    })
+  ), async (request, reply) => {
     try {
       const { code } = request.params;
       const { translations } = request.body;
@@ -103,19 +264,30 @@ async function i18nRoutes(fastify, options) {
         });
       }
 
-      const filePath = path.join(LANGUAGES_DIR, `${code}.json`);
+      // 消息校验：语法与默认语言的占位符、复数分支、链接消息一致，严格模式下有错误时拒绝写入
+      const validationErrors = await validation.validateTranslations({ [code]: flattenMessages(translations) });
+      if (validationErrors.length > 0 && (validation.STRICT || request.body.strict === true)) {
+        return reply.status(422).send({
+          success: false,
+          error: 'Translations failed message validation',
+          code: 'INVALID_MESSAGE',
+          validationErrors
+        });
+      }
+
       // 直接保存翻译内容，不包装额外的结构
-      await fs.writeJson(filePath, translations, { spaces: 2 });
+      await storage.writeLanguage(code, translations);
       
       // 自动递增版本号
-      await incrementVersion();
+      await incrementVersion(changeContext(request));
 
       return {
         success: true,
         message: `Language file for ${code} updated successfully`,
         data: {
           code,
-          translations
+          translations,
+          validationErrors: validationErrors.length > 0 ? validationErrors : undefined
         }
       };
     } catch (error) {
@@ -129,7 +301,10 @@ async function i18nRoutes(fastify, options) {
   });
 
   // 新增key接口 - 专门用于创建新的key，包含重复检查
-  fastify.post('/languages/create-key', async (request, reply) => {
+  fastify.post('/languages/create-key', guardConflicts(
+    requireRole('maintainer'),
+    (request) => ({ keys: [request.body?.key].filter(Boolean) })
+  ), async (request, reply) => {
     try {
       const { key, translations } = request.body;
       
@@ -148,65 +323,53 @@ async function i18nRoutes(fastify, options) {
       }
 
       // 检查key是否已存在
-      const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
-      const checkKeyExists = (obj, keyPath) => {
-        const parts = keyPath.split('.');
-        let current = obj;
-        for (const part of parts) {
-          if (!current || typeof current !== 'object' || !(part in current)) {
-            return false;
-          }
-          current = current[part];
-        }
-        return true;
-      };
+      const languageList = await storage.readLanguageList();
       
-      // 检查所有语言文件中是否已存在该key
+      // 检查所有语言中是否已存在该key
       for (const lang of languageList.languages) {
-        const filePath = path.join(LANGUAGES_DIR, `${lang.code}.json`);
-        if (await fs.pathExists(filePath)) {
-          try {
-            const data = await fs.readJson(filePath);
-            if (checkKeyExists(data, key)) {
-              return reply.status(409).send({
-                success: false,
-                error: `Key '${key}' already exists. Please use a different key name.`,
-                code: 'KEY_ALREADY_EXISTS'
-              });
-            }
-          } catch { /* ignore file read errors */ }
+        let exists = false;
+        try {
+          exists = await storage.getKey(lang.code, key) !== undefined;
+        } catch { /* ignore file read errors */ }
+        if (exists) {
+          return reply.status(409).send({
+            success: false,
+            error: `Key '${key}' already exists. Please use a different key name.`,
+            code: 'KEY_ALREADY_EXISTS'
+          });
         }
       }
 
+      // 消息校验（同 /language/:code/update）
+      const validationErrors = await validation.validateTranslations(keyUpdates(key, translations));
+      if (validationErrors.length > 0 && (validation.STRICT || request.body.strict === true)) {
+        return reply.status(422).send({
+          success: false,
+          error: 'Translations failed message validation',
+          code: 'INVALID_MESSAGE',
+          validationErrors
+        });
+      }
+
+      // 术语检查：违反术语表时在 warnings 中返回，严格模式下拒绝写入
+      const warnings = await glossaryWarnings(key, translations);
+      if (warnings.length > 0 && (glossary.STRICT || request.body.strict === true)) {
+        return reply.status(422).send({
+          success: false,
+          error: 'Translations violate the glossary',
+          code: 'GLOSSARY_VIOLATION',
+          warnings
+        });
+      }
+
       // 创建新key
       const results = [];
       const errors = [];
 
       for (const [languageCode, value] of Object.entries(translations)) {
         try {
-          const filePath = path.join(LANGUAGES_DIR, `${languageCode}.json`);
-          
-          let languageTranslations = {};
-          if (await fs.pathExists(filePath)) {
-            languageTranslations = await fs.readJson(filePath);
-          }
-
           // 创建嵌套结构
-          const keys = key.split('.');
-          let current = languageTranslations;
-          
-          for (let i = 0; i < keys.length - 1; i++) {
-            const k = keys[i];
-            if (!current[k] || typeof current[k] !== 'object') {
-              current[k] = {};
-            }
-            current = current[k];
-          }
-          
-          const lastKey = keys[keys.length - 1];
-          current[lastKey] = value || '';
-
-          await fs.writeJson(filePath, languageTranslations, { spaces: 2 });
+          await storage.setKey(languageCode, key, value || '');
           
           results.push({
             code: languageCode,
@@ -226,7 +389,7 @@ async function i18nRoutes(fastify, options) {
       // 传播到所有其他语言
       if (results.length > 0) {
         const providedMap = Object.fromEntries(results.map(r => [r.code, r.value]))
-        await propagateKeyToAllLanguages(key, null, '', providedMap)
+        await propagateKeyToAllLanguages(key, null, '', providedMap, changeContext(request))
       }
 
       // 注意：版本更新在 propagateKeyToAllLanguages 中已处理
@@ -239,7 +402,9 @@ async function i18nRoutes(fastify, options) {
           successCount: results.length,
           errorCount: errors.length,
           results,
-          errors: errors.length > 0 ? errors : undefined
+          errors: errors.length > 0 ? errors : undefined,
+          validationErrors: validationErrors.length > 0 ? validationErrors : undefined,
+          warnings: warnings.length > 0 ? warnings : undefined
         }
       });
     } catch (error) {
@@ -253,7 +418,15 @@ async function i18nRoutes(fastify, options) {
   });
 
   // 更新现有key接口 - 专门用于修改现有key的翻译内容，不检查重复
-  fastify.put('/languages/update-key', async (request, reply) => {
+  fastify.put('/languages/update-key', guardConflicts(
+    requireRole('translator', (request) => Object.keys(request.body?.translations || {})),
+    (request) => {
+      const { key, translations = {} } = request.body || {};
+      const values = {};
+      for (const [code, value] of Object.entries(translations)) values[code] = { [key]: value || '' };
+      return { languages: Object.keys(translations), keys: [key].filter(Boolean), values };
+    }
+  ), async (request, reply) => {
     try {
       const { key, translations } = request.body;
       
@@ -271,35 +444,36 @@ async function i18nRoutes(fastify, options) {
         });
       }
 
+      // 消息校验（同 /language/:code/update）
+      const validationErrors = await validation.validateTranslations(keyUpdates(key, translations));
+      if (validationErrors.length > 0 && (validation.STRICT || request.body.strict === true)) {
+        return reply.status(422).send({
+          success: false,
+          error: 'Translations failed message validation',
+          code: 'INVALID_MESSAGE',
+          validationErrors
+        });
+      }
+
+      // 术语检查（同 create-key）
+      const warnings = await glossaryWarnings(key, translations);
+      if (warnings.length > 0 && (glossary.STRICT || request.body.strict === true)) {
+        return reply.status(422).send({
+          success: false,
+          error: 'Translations violate the glossary',
+          code: 'GLOSSARY_VIOLATION',
+          warnings
+        });
+      }
+
       const results = [];
       const errors = [];
 
       // 直接更新，不检查重复
       for (const [languageCode, value] of Object.entries(translations)) {
         try {
-          const filePath = path.join(LANGUAGES_DIR, `${languageCode}.json`);
-          
-          let languageTranslations = {};
-          if (await fs.pathExists(filePath)) {
-            languageTranslations = await fs.readJson(filePath);
-          }
-
           // 创建或更新嵌套结构
-          const keys = key.split('.');
-          let current = languageTranslations;
-          
-          for (let i = 0; i < keys.length - 1; i++) {
-            const k = keys[i];
-            if (!current[k] || typeof current[k] !== 'object') {
-              current[k] = {};
-            }
-            current = current[k];
-          }
-          
-          const lastKey = keys[keys.length - 1];
-          current[lastKey] = value || '';
-
-          await fs.writeJson(filePath, languageTranslations, { spaces: 2 });
+          await storage.setKey(languageCode, key, value || '');
           
           results.push({
             code: languageCode,
@@ -317,7 +491,7 @@ async function i18nRoutes(fastify, options) {
       }
 
       // 触发版本更新
-      await incrementVersion();
+      await incrementVersion(changeContext(request));
 
       return reply.send({
         success: true,
@@ -327,7 +501,9 @@ async function i18nRoutes(fastify, options) {
           successCount: results.length,
           errorCount: errors.length,
           results,
-          errors: errors.length > 0 ? errors : undefined
+          errors: errors.length > 0 ? errors : undefined,
+          validationErrors: validationErrors.length > 0 ? validationErrors : undefined,
+          warnings: warnings.length > 0 ? warnings : undefined
         }
       });
     } catch (error) {
@@ -341,7 +517,10 @@ async function i18nRoutes(fastify, options) {
   });
 
   // 重命名 key（迁移所有语言）
-  fastify.post('/languages/rename-key', async (request, reply) => {
+  fastify.post('/languages/rename-key', guardConflicts(
+    requireRole('maintainer'),
+    (request) => ({ keys: [request.body?.oldKey, request.body?.newKey].filter(Boolean) })
+  ), async (request, reply) => {
     try {
       const { oldKey, newKey, overwrite = false } = request.body || {};
       if (!oldKey || !newKey || typeof oldKey !== 'string' || typeof newKey !== 'string') {
@@ -355,53 +534,14 @@ async function i18nRoutes(fastify, options) {
         return reply.status(400).send({ success: false, error: 'Key format invalid (module.segment[.sub]...)' });
       }
 
-      const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
-
-      // 工具函数
-      const getNestedValue = (obj, keyPath) => {
-        const parts = keyPath.split('.');
-        let cur = obj;
-        for (const p of parts) {
-          if (!cur || typeof cur !== 'object' || !(p in cur)) return undefined;
-          cur = cur[p];
-        }
-        return cur;
-      };
-      const deleteNestedKey = (obj, keyPath) => {
-        const parts = keyPath.split('.');
-        const stack = [];
-        let cur = obj;
-        for (let i = 0; i < parts.length - 1; i++) {
-          const p = parts[i];
-            if (!cur[p] || typeof cur[p] !== 'object') return false; // 不存在直接返回
-          stack.push({ parent: cur, key: p });
-          cur = cur[p];
-        }
-        const last = parts[parts.length - 1];
-        if (cur && Object.prototype.hasOwnProperty.call(cur, last)) {
-          delete cur[last];
-          // 清理空对象链
-          for (let i = stack.length - 1; i >= 0; i--) {
-            const { parent, key } = stack[i];
-            if (parent[key] && typeof parent[key] === 'object' && Object.keys(parent[key]).length === 0) {
-              delete parent[key];
-            } else break;
-          }
-          return true;
-        }
-        return false;
-      };
+      const languageList = await storage.readLanguageList();
 
       // 检查新 key 是否已存在（任意语言），除非 overwrite
       let conflict = false;
       for (const lang of languageList.languages) {
-        const filePath = path.join(LANGUAGES_DIR, `${lang.code}.json`);
-        if (await fs.pathExists(filePath)) {
-          try {
-            const data = await fs.readJson(filePath);
-            if (getNestedValue(data, newKey) !== undefined) { conflict = true; break; }
-          } catch { /* ignore */ }
-        }
+        try {
+          if (await storage.getKey(lang.code, newKey) !== undefined) { conflict = true; break; }
+        } catch { /* ignore */ }
       }
       if (conflict && !overwrite) {
         return reply.status(409).send({ success: false, error: `newKey '${newKey}' already exists (set overwrite=true to force)` });
@@ -410,27 +550,29 @@ async function i18nRoutes(fastify, options) {
       const changes = [];
       for (const lang of languageList.languages) {
         const code = lang.code;
-        const filePath = path.join(LANGUAGES_DIR, `${code}.json`);
-        let data = {};
-        if (await fs.pathExists(filePath)) {
-          try { data = await fs.readJson(filePath); } catch { data = {}; }
-        }
-        const val = getNestedValue(data, oldKey);
+        let val;
+        try { val = await storage.getKey(code, oldKey); } catch { val = undefined; }
         if (val !== undefined) {
           // 写入新 key（覆盖策略）
-          if (getNestedValue(data, newKey) === undefined || overwrite) {
-            setNestedKey(data, newKey, val);
+          if (await storage.getKey(code, newKey) === undefined || overwrite) {
+            await storage.setKey(code, newKey, val);
           }
-          deleteNestedKey(data, oldKey);
-          await fs.writeJson(filePath, data, { spaces: 2 });
+          await storage.deleteKey(code, oldKey);
           changes.push({ code, moved: true });
         } else {
           changes.push({ code, moved: false });
         }
       }
 
+      // 元数据、截图关联与机器翻译标记随 key 迁移（oldKey 在任何语言中都不存在时不迁移）
+      if (changes.some(change => change.moved)) {
+        await keyMeta.renameMeta(oldKey, newKey, { overwrite });
+        await screenshots.renameKey(oldKey, newKey, { overwrite });
+        await autoTranslated.renameMarkers(oldKey, newKey, { overwrite });
+      }
+
       // bump 版本
-      await incrementVersion();
+      await incrementVersion(changeContext(request));
 
       return reply.send({
         success: true,
@@ -449,7 +591,10 @@ async function i18nRoutes(fastify, options) {
   });
 
   // 删除 key（所有语言与模板）
-  fastify.post('/languages/delete-key', async (request, reply) => {
+  fastify.post('/languages/delete-key', guardConflicts(
+    requireRole('maintainer'),
+    (request) => ({ keys: [request.body?.key].filter(Boolean) })
+  ), async (request, reply) => {
     try {
       const { key, cleanEmpty = true } = request.body || {};
       if (!key || typeof key !== 'string') {
@@ -459,45 +604,14 @@ async function i18nRoutes(fastify, options) {
       if (!KEY_PATTERN.test(key)) {
         return reply.status(400).send({ success: false, error: 'Key format invalid' });
       }
-      const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
-      
-      const deleteNestedKey = (obj, keyPath) => {
-        const segs = keyPath.split('.');
-        const stack = [];
-        let cur = obj;
-        for (let i = 0; i < segs.length - 1; i++) {
-          const s = segs[i];
-          if (!cur[s] || typeof cur[s] !== 'object') return false; // 不存在
-          stack.push({ parent: cur, key: s });
-          cur = cur[s];
-        }
-        const last = segs[segs.length - 1];
-        if (cur && Object.prototype.hasOwnProperty.call(cur, last)) {
-          delete cur[last];
-          if (cleanEmpty) {
-            for (let i = stack.length - 1; i >= 0; i--) {
-              const { parent, key } = stack[i];
-              if (parent[key] && typeof parent[key] === 'object' && Object.keys(parent[key]).length === 0) {
-                delete parent[key];
-              } else break;
-            }
-          }
-          return true;
-        }
-        return false;
-      };
+      const languageList = await storage.readLanguageList();
 
       const deletedLanguages = [];
       for (const lang of languageList.languages) {
         const code = lang.code;
-        const filePath = path.join(LANGUAGES_DIR, `${code}.json`);
-        if (!(await fs.pathExists(filePath))) continue;
-        let data = {};
-        try { data = await fs.readJson(filePath); } catch { data = {}; }
-        const before = JSON.stringify(data);
-        const removed = deleteNestedKey(data, key);
+        let removed = false;
+        try { removed = await storage.deleteKey(code, key, { cleanEmpty }); } catch { removed = false; }
         if (removed) {
-          await fs.writeJson(filePath, data, { spaces: 2 });
           deletedLanguages.push(code);
         }
       }
@@ -506,7 +620,12 @@ async function i18nRoutes(fastify, options) {
         return reply.send({ success: true, message: 'Key not found', data: { key, deletedLanguages: [] } });
       }
 
-      await incrementVersion();
+      // key 确实被删除后，同时删除 key（及其子 key）的元数据、机器翻译标记与截图关联，不再关联任何 key 的截图一并删除
+      await keyMeta.removeMeta(key);
+      await autoTranslated.removeMarkers(key);
+      await screenshots.unlinkKey(key);
+
+      await incrementVersion(changeContext(request));
       return reply.send({ success: true, message: 'Key deleted successfully', data: { key, deletedLanguages } });
     } catch (error) {
       fastify.log.error('Error deleting key:', error);
@@ -515,7 +634,10 @@ async function i18nRoutes(fastify, options) {
   });
 
   // 添加新的语言
-  fastify.post('/language', async (request, reply) => {
+  fastify.post('/language', guardConflicts(
+    requireRole('admin'),
+    () => ({ languageList: true, languages: [] })
+  ), async (request, reply) => {
     try {
       const { code, name, nativeName, enabled = true, overwrite = false } = request.body;
       
@@ -527,7 +649,7 @@ async function i18nRoutes(fastify, options) {
       }
 
       // 检查语言是否已存在 - 后端校验
-      const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
+      const languageList = await storage.readLanguageList();
       const existingLanguage = languageList.languages.find(lang => lang.code === code);
       
       if (existingLanguage) {
@@ -547,10 +669,8 @@ async function i18nRoutes(fastify, options) {
       };
       
       // 使用 zh-CN.json 作为模板创建语言文件
-      const zhCNPath = path.join(LANGUAGES_DIR, 'zh-CN.json');
-      let template = {};
-      if (await fs.pathExists(zhCNPath)) {
-        template = await fs.readJson(zhCNPath);
+      let template = await storage.readLanguage('zh-CN');
+      if (template) {
         // 清空所有 key 的值，保留结构
         const clearValues = (obj) => {
           for (const key in obj) {
@@ -563,21 +683,21 @@ async function i18nRoutes(fastify, options) {
           return obj;
         };
         template = clearValues({ ...template });
+      } else {
+        template = {};
       }
-      
-      const filePath = path.join(LANGUAGES_DIR, `${code}.json`);
 
       // 添加新语言到列表
       languageList.languages.push(newLanguage);
       
       // 同时写入语言列表和语言文件
       await Promise.all([
-        fs.writeJson(LANGUAGE_LIST_FILE, languageList, { spaces: 2 }),
-        fs.writeJson(filePath, template, { spaces: 2 })
+        storage.writeLanguageList(languageList),
+        storage.writeLanguage(code, template)
       ]);
       
       // 自动递增版本号
-      await incrementVersion();
+      await incrementVersion(changeContext(request));
       
       fastify.log.info(`Language files created successfully for ${code}`);
 
@@ -597,12 +717,15 @@ async function i18nRoutes(fastify, options) {
   });
 
   // 删除语言
-  fastify.post('/language/:code/delete', async (request, reply) => {
+  fastify.post('/language/:code/delete', guardConflicts(
+    requireRole('admin'),
+    (request) => ({ languageList: true, languages: [request.params.code] })
+  ), async (request, reply) => {
     try {
       const { code } = request.params;
       
       // 读取语言列表
-      const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
+      const languageList = await storage.readLanguageList();
       const languageIndex = languageList.languages.findIndex(lang => lang.code === code);
       
       if (languageIndex === -1) {
@@ -623,16 +746,13 @@ async function i18nRoutes(fastify, options) {
 
       // 从列表中移除
       languageList.languages.splice(languageIndex, 1);
-      await fs.writeJson(LANGUAGE_LIST_FILE, languageList, { spaces: 2 });
+      await storage.writeLanguageList(languageList);
       
-      // 自动递增版本号
-      await incrementVersion();
+      // 删除语言文件（先于版本递增，确保新版本语言包不再包含该语言）
+      await storage.removeLanguage(code);
 
-      // 删除语言文件
-      const filePath = path.join(LANGUAGES_DIR, `${code}.json`);
-      if (await fs.pathExists(filePath)) {
-        await fs.remove(filePath);
-      }
+      // 自动递增版本号
+      await incrementVersion(changeContext(request));
 
       return {
         success: true,
@@ -649,10 +769,10 @@ async function i18nRoutes(fastify, options) {
   });
 
   // 手动创建当前版本的语言包
-  fastify.post('/download/create-package', async (request, reply) => {
+  fastify.post('/download/create-package', requireRole('maintainer'), async (request, reply) => {
     try {
       // 读取当前版本信息
-      const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
+      const languageList = await storage.readLanguageList();
       const currentVersion = languageList.version;
       
       // 创建语言包
@@ -686,7 +806,7 @@ async function i18nRoutes(fastify, options) {
   fastify.get('/download/latest', async (request, reply) => {
     try {
       // 读取当前版本信息
-      const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
+      const languageList = await storage.readLanguageList();
       const currentVersion = languageList.version;
       const fileName = `language-${currentVersion}.zip`;
       const filePath = path.join(DOWNLOADS_DIR, fileName);
@@ -771,150 +891,49 @@ async function i18nRoutes(fastify, options) {
   });
 }
 
-// 自动递增版本号
-async function incrementVersion() {
-  try {
-    const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
-    const currentVersion = languageList.version || '1.0.0';
-    const versionParts = currentVersion.split('.').map(Number);
-    
-    // 确保有三段版本号
-    while (versionParts.length < 3) {
-      versionParts.push(0);
-    }
-    
-    // 三段式版本号自增逻辑，每段满100进位
-    versionParts[2] = (versionParts[2] || 0) + 1;
-    
-    // 检查进位
-    if (versionParts[2] >= 100) {
-      versionParts[2] = 0;
-      versionParts[1] = (versionParts[1] || 0) + 1;
-      
-      if (versionParts[1] >= 100) {
-        versionParts[1] = 0;
-        versionParts[0] = (versionParts[0] || 0) + 1;
-      }
-    }
-    
-    const newVersion = versionParts.join('.');
-    const now = new Date().toISOString();
-    
-    // 更新版本号和最后更新时间
-    languageList.version = newVersion;
-    languageList.lastUpdated = now;
-    
-    await fs.writeJson(LANGUAGE_LIST_FILE, languageList, { spaces: 2 });
-    
-    // 自动创建新版本的语言包
-    await createLanguagePackage(newVersion);
-    
-    return { version: newVersion, lastUpdated: now };
-  } catch (error) {
-    console.error('Error incrementing version:', error);
-    throw error;
-  }
+// 单个 key 的各语言译文转换为 { code: { key: value } }
+function keyUpdates(key, translations) {
+  return Object.fromEntries(Object.entries(translations).map(([code, value]) => [code, { [key]: value }]));
 }
 
-// 工具：设置嵌套 key （如 a.b.c）
-function setNestedKey(root, keyPath, value) {
-  const parts = keyPath.split('.');
-  let cur = root;
-  for (let i = 0; i < parts.length - 1; i++) {
-    const p = parts[i];
-    if (!cur[p] || typeof cur[p] !== 'object') cur[p] = {};
-    cur = cur[p];
+// 按术语表检查一个 key 的译文；translations 中没有默认语言时取其当前值作为源文本
+async function glossaryWarnings(key, translations) {
+  const { defaultLanguage } = await storage.readLanguageList();
+  let sourceValue = translations[defaultLanguage];
+  if (sourceValue === undefined) {
+    try { sourceValue = await storage.getKey(defaultLanguage, key); } catch { /* ignore */ }
   }
-  cur[parts[parts.length - 1]] = value;
+  return glossary.checkValues(translations, { sourceValue, defaultLanguage });
 }
 
 // 将 key 同步到所有语言文件（未提供翻译时填空字符串）
-async function propagateKeyToAllLanguages(key, justUpdatedCode = null, updatedValue = '', providedMap = null) {
+async function propagateKeyToAllLanguages(key, justUpdatedCode = null, updatedValue = '', providedMap = null, meta = {}) {
   try {
-    const languageList = await fs.readJson(LANGUAGE_LIST_FILE);
+    const languageList = await storage.readLanguageList();
     
     // 遍历语言文件
     for (const lang of languageList.languages) {
       const code = lang.code;
-      const filePath = path.join(LANGUAGES_DIR, `${code}.json`);
-      let data = {};
-      if (await fs.pathExists(filePath)) {
-        try { data = await fs.readJson(filePath); } catch { data = {}; }
-      }
       // 判断是否已存在
-      let exists = true;
-      let probe = data;
-      const parts = key.split('.');
-      for (let i = 0; i < parts.length; i++) {
-        const p = parts[i];
-        if (i === parts.length - 1) {
-          if (probe[p] === undefined) exists = false;
-        } else {
-          if (!probe[p] || typeof probe[p] !== 'object') { exists = false; break; }
-          probe = probe[p];
-        }
-      }
+      let exists = false;
+      try { exists = await storage.getKey(code, key) !== undefined; } catch { exists = false; }
       if (!exists) {
         const val = providedMap ? (providedMap[code] ?? '') : (code === justUpdatedCode ? updatedValue : '');
-        setNestedKey(data, key, val);
-        await fs.writeJson(filePath, data, { spaces: 2 });
+        await storage.setKey(code, key, val);
       } else if (justUpdatedCode && code === justUpdatedCode) {
         // 保证更新值写入（单 key 更新时）
-        setNestedKey(data, key, updatedValue);
-        await fs.writeJson(filePath, data, { spaces: 2 });
+        await storage.setKey(code, key, updatedValue);
       } else if (providedMap && Object.prototype.hasOwnProperty.call(providedMap, code)) {
-        setNestedKey(data, key, providedMap[code]);
-        await fs.writeJson(filePath, data, { spaces: 2 });
+        await storage.setKey(code, key, providedMap[code]);
       }
     }
 
     // 统一 bump 版本
-    await incrementVersion();
+    await incrementVersion(meta);
   } catch (err) {
     console.error('propagateKeyToAllLanguages failed:', err);
   }
 }
 
 
-// 创建语言包函数
-async function createLanguagePackage(version) {
-  try {
-    const fileName = `language-${version}.zip`;
-    const zipPath = path.join(DOWNLOADS_DIR, fileName);
-    
-    // 删除旧的同名文件（如果存在）
-    if (await fs.pathExists(zipPath)) {
-      await fs.remove(zipPath);
-    }
-    
-    const output = fs.createWriteStream(zipPath);
-    const archive = archiver('zip', { zlib: { level: 9 } });
-    
-    return new Promise((resolve, reject) => {
-      output.on('close', () => {
-        console.log(`Language package created: ${fileName} (${archive.pointer()} bytes)`);
-        resolve(fileName);
-      });
-      
-      archive.on('error', (err) => {
-        console.error('Archive error:', err);
-        reject(err);
-      });
-      
-      archive.pipe(output);
-      
-      // 添加语言配置文件
-      archive.file(LANGUAGE_LIST_FILE, { name: 'language-list.json' });
-      
-      // 添加所有语言文件
-      archive.directory(LANGUAGES_DIR, 'languages');
-      
-      archive.finalize();
-    });
-  } catch (error) {
-    console.error('Error creating language package:', error);
-    throw error;
-  }
-}
-
 module.exports = i18nRoutes;
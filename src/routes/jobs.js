@@ -0,0 +1,145 @@
+const { getStorage } = require('../storage');
+const jobs = require('../services/jobs');
+const { changeContext } = require('../utils/request');
+
+const storage = getStorage();
+
+// 后台任务路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function jobRoutes(fastify) {
+
+  // 继续执行重启前未完成的任务；关闭服务前等待当前批次写入完成
+  await jobs.resumeJobs();
+  fastify.addHook('preClose', async () => {
+    await jobs.stopJobs();
+  });
+
+  const notFound = (reply, id) => reply.status(404).send({
+    success: false,
+    error: `Job ${id} not found`
+  });
+
+  // 创建机器翻译任务，立即返回任务 ID（202）
+  // body: { target, source?, keys?: [], prefix? }
+  fastify.post('/jobs/translate', {
+    config: {
+      access: { role: 'translator', languages: (request) => [request.body?.target] },
+      exclusive: false
+    }
+  }, async (request, reply) => {
+    try {
+      const { target, keys, prefix } = request.body || {};
+      const languageList = await storage.readLanguageList();
+      const source = request.body?.source || languageList.defaultLanguage;
+      const codes = languageList.languages.map(l => l.code);
+
+      if (!target || typeof target !== 'string') {
+        return reply.status(400).send({
+          success: false,
+          error: 'target is required'
+        });
+      }
+      if (keys !== undefined && (!Array.isArray(keys) || keys.some(k => typeof k !== 'string'))) {
+        return reply.status(400).send({
+          success: false,
+          error: 'keys must be an array of strings'
+        });
+      }
+      for (const code of [source, target]) {
+        if (!codes.includes(code)) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${code} not found`
+          });
+        }
+      }
+      if (source === target) {
+        return reply.status(400).send({
+          success: false,
+          error: 'source and target must be different languages'
+        });
+      }
+
+      const job = await jobs.createTranslateJob(
+        { sourceLanguage: source, targetLanguage: target, keys: keys || null, prefix: prefix || null },
+        changeContext(request)
+      );
+      return reply.status(202).send({
+        success: true,
+        message: `Translation job created for ${job.progress.total} keys`,
+        data: jobs.toPublic(job)
+      });
+    } catch (error) {
+      fastify.log.error('Error creating translation job:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to create translation job',
+        message: error.message
+      });
+    }
+  });
+
+  // 任务列表（新 → 旧），可选 ?status=running
+  fastify.get('/jobs', async (request, reply) => {
+    try {
+      const { status } = request.query;
+      const list = jobs.listJobs().filter(job => !status || job.status === status);
+      return {
+        success: true,
+        data: list.map(job => {
+          const { failures, ...rest } = jobs.toPublic(job);
+          return rest;
+        })
+      };
+    } catch (error) {
+      fastify.log.error('Error listing jobs:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to list jobs',
+        message: error.message
+      });
+    }
+  });
+
+  // 任务详情：状态、进度、每批生成的版本、失败的 key
+  fastify.get('/jobs/:id', async (request, reply) => {
+    const job = jobs.getJob(request.params.id);
+    if (!job) return notFound(reply, request.params.id);
+    return {
+      success: true,
+      data: jobs.toPublic(job)
+    };
+  });
+
+  // 取消任务：运行中的任务在当前批次写入后停止，已写入的译文保留
+  fastify.post('/jobs/:id/cancel', {
+    config: {
+      access: {
+        role: 'translator',
+        languages: (request) => [jobs.getJob(request.params.id)?.params.targetLanguage].filter(Boolean)
+      },
+      exclusive: false
+    }
+  }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const job = await jobs.cancelJob(id);
+      if (!job) return notFound(reply, id);
+      return {
+        success: true,
+        message: job.status === 'cancelled' || job.cancelRequested
+          ? `Job ${id} cancelled`
+          : `Job ${id} has already finished`,
+        data: jobs.toPublic(job)
+      };
+    } catch (error) {
+      fastify.log.error(`Error cancelling job ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to cancel job',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = jobRoutes;
@@ -0,0 +1,116 @@
+const keyMeta = require('../services/key-meta');
+const { readFlatMessages } = require('../services/flat-messages');
+const { requireRole } = require('../services/auth');
+const { getActor } = require('../utils/request');
+
+// key 元数据路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）；读取对所有人开放，修改需要 maintainer
+async function keyMetaRoutes(fastify) {
+
+  const notFound = (reply, key) => reply.status(404).send({
+    success: false,
+    error: `No metadata for key ${key}`
+  });
+
+  // 元数据列表，可选 ?prefix=menu.&tag=navigation&owner=alice
+  fastify.get('/key-meta', async (request, reply) => {
+    try {
+      const { prefix, tag, owner } = request.query;
+      const meta = await keyMeta.readMeta();
+      const list = Object.entries(meta)
+        .filter(([key, entry]) => (!prefix || key.startsWith(prefix))
+          && (!tag || (entry.tags || []).includes(tag))
+          && (!owner || entry.owner === owner))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, entry]) => ({ key, ...entry }));
+      return {
+        success: true,
+        data: list
+      };
+    } catch (error) {
+      fastify.log.error('Error listing key metadata:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to list key metadata',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.get('/key-meta/:key', async (request, reply) => {
+    try {
+      const { key } = request.params;
+      const entry = (await keyMeta.readMeta())[key];
+      if (!entry) return notFound(reply, key);
+      return {
+        success: true,
+        data: { key, ...entry }
+      };
+    } catch (error) {
+      fastify.log.error(`Error reading metadata for ${request.params.key}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to read key metadata',
+        message: error.message
+      });
+    }
+  });
+
+  // 新增或修改（按字段合并，字段为 null 时删除）
+  // body: { description?, context?, screenshot?, maxLength?, tags?: [], owner? }
+  fastify.put('/key-meta/:key', requireRole('maintainer'), async (request, reply) => {
+    try {
+      const { key } = request.params;
+      const errors = keyMeta.validateMeta(request.body);
+      if (errors.length > 0) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Invalid key metadata',
+          errors
+        });
+      }
+
+      // 只能为已存在的 key 添加元数据
+      const { messages } = await readFlatMessages();
+      if (!Object.values(messages).some(values => values[key] !== undefined)) {
+        return reply.status(404).send({
+          success: false,
+          error: `Key ${key} not found`
+        });
+      }
+
+      const entry = await keyMeta.setMeta(key, request.body, getActor(request));
+      return {
+        success: true,
+        message: entry ? `Metadata for ${key} saved successfully` : `Metadata for ${key} cleared`,
+        data: entry ? { key, ...entry } : null
+      };
+    } catch (error) {
+      fastify.log.error(`Error saving metadata for ${request.params.key}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to save key metadata',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.delete('/key-meta/:key', requireRole('maintainer'), async (request, reply) => {
+    try {
+      const { key } = request.params;
+      if (!await keyMeta.deleteMeta(key)) return notFound(reply, key);
+      return {
+        success: true,
+        message: `Metadata for ${key} deleted successfully`
+      };
+    } catch (error) {
+      fastify.log.error(`Error deleting metadata for ${request.params.key}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to delete key metadata',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = keyMetaRoutes;
@@ -0,0 +1,65 @@
+const { getStorage } = require('../storage');
+const keyTable = require('../services/key-table');
+
+const storage = getStorage();
+
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// key 表格路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function keyRoutes(fastify) {
+
+  // 分页的拍平 key 列表：GET /keys?offset=0&limit=50&prefix=menu.&sort=key|-key|status
+  // 可选 languages=zh-CN,en-US（只返回这些语言的列）、status=empty,outdated（只返回有这些状态的行）
+  fastify.get('/keys', async (request, reply) => {
+    try {
+      const { prefix, sort = 'key' } = request.query;
+      if (!keyTable.SORTS.includes(sort)) {
+        return reply.status(400).send({
+          success: false,
+          error: `sort must be one of ${keyTable.SORTS.join(', ')}`
+        });
+      }
+
+      const status = request.query.status ? splitList(request.query.status) : null;
+      if (status && status.some(s => !keyTable.STATUSES.includes(s))) {
+        return reply.status(400).send({
+          success: false,
+          error: `status must be one of ${keyTable.STATUSES.join(', ')}`
+        });
+      }
+
+      const languages = request.query.languages ? splitList(request.query.languages) : null;
+      if (languages) {
+        const codes = (await storage.readLanguageList()).languages.map(l => l.code);
+        const unknown = languages.filter(code => !codes.includes(code));
+        if (unknown.length > 0) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${unknown.join(', ')} not found`
+          });
+        }
+      }
+
+      return {
+        success: true,
+        data: await keyTable.listKeys({
+          offset: Math.max(Number(request.query.offset) || 0, 0),
+          limit: Math.min(Math.max(Number(request.query.limit) || 50, 1), 500),
+          prefix: prefix || null,
+          languages,
+          status,
+          sort
+        })
+      };
+    } catch (error) {
+      fastify.log.error('Error listing keys:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to list keys',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = keyRoutes;
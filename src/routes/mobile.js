@@ -0,0 +1,229 @@
+const path = require('path');
+const archiver = require('archiver');
+const { getStorage } = require('../storage');
+const android = require('../formats/android');
+const ios = require('../formats/ios');
+const { applyTranslations } = require('../services/bulk');
+const { flattenMessages } = require('../utils/keys');
+const { changeContext } = require('../utils/request');
+const { requireRole, deniedLanguages } = require('../services/auth');
+const { streamUpload, writeExclusive } = require('../services/concurrency');
+const { IMPORT_MAX_BYTES } = require('../utils/upload');
+
+const storage = getStorage();
+
+// 移动端格式导入导出路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）：
+//   Android values-xx/strings.xml，iOS xx.lproj/Localizable.strings + Localizable.stringsdict
+// key 集合、资源名与占位符编号以默认语言为准
+async function mobileRoutes(fastify) {
+
+  const readFlat = async (code) => flattenMessages((await storage.readLanguage(code)) || {});
+
+  // 校验语言存在并读取默认语言内容；语言不存在时直接回复 404 并返回 null
+  const loadSources = async (reply, code) => {
+    const languageList = await storage.readLanguageList();
+    if (code && !languageList.languages.some(l => l.code === code)) {
+      reply.status(404).send({
+        success: false,
+        error: `Language ${code} not found`
+      });
+      return null;
+    }
+    return { languageList, sources: await readFlat(languageList.defaultLanguage) };
+  };
+
+  const sendFile = (reply, content, contentType, fileName) => {
+    reply.header('Content-Type', contentType);
+    reply.header('Content-Disposition', `attachment; filename="${fileName}"`);
+    return content;
+  };
+
+  // 导出单个语言的 strings.xml
+  fastify.get('/export/android/:code', async (request, reply) => {
+    try {
+      const { code } = request.params;
+      const loaded = await loadSources(reply, code);
+      if (!loaded) return;
+      const { sources } = loaded;
+      const nameMap = android.buildNameMap(Object.keys(sources));
+      const xml = android.buildStringsXml({ sources, targets: await readFlat(code), nameMap });
+      return sendFile(reply, xml, 'application/xml; charset=utf-8', 'strings.xml');
+    } catch (error) {
+      fastify.log.error(`Error exporting Android strings for ${request.params.code}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to export Android strings',
+        message: error.message
+      });
+    }
+  });
+
+  // 导出单个语言的 Localizable.strings（?file=stringsdict 时导出复数 .stringsdict）
+  fastify.get('/export/ios/:code', async (request, reply) => {
+    try {
+      const { code } = request.params;
+      const file = request.query.file || 'strings';
+      if (!['strings', 'stringsdict'].includes(file)) {
+        return reply.status(400).send({
+          success: false,
+          error: 'file must be strings or stringsdict'
+        });
+      }
+      const loaded = await loadSources(reply, code);
+      if (!loaded) return;
+      const { sources } = loaded;
+      const targets = await readFlat(code);
+      if (file === 'stringsdict') {
+        return sendFile(reply, ios.buildStringsdict({ sources, targets }), 'application/xml; charset=utf-8', 'Localizable.stringsdict');
+      }
+      return sendFile(reply, ios.buildStrings({ sources, targets }), 'text/plain; charset=utf-8', 'Localizable.strings');
+    } catch (error) {
+      fastify.log.error(`Error exporting iOS strings for ${request.params.code}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to export iOS strings',
+        message: error.message
+      });
+    }
+  });
+
+  // 全部语言打包：?platform=android|ios，目录结构可直接放入工程资源目录
+  fastify.get('/export/mobile', async (request, reply) => {
+    try {
+      const { platform } = request.query;
+      if (!['android', 'ios'].includes(platform)) {
+        return reply.status(400).send({
+          success: false,
+          error: 'platform must be android or ios'
+        });
+      }
+
+      const { languageList, sources } = await loadSources(reply);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+      archive.on('error', (error) => fastify.log.error('Mobile package archive error:', error));
+
+      const nameMap = android.buildNameMap(Object.keys(sources));
+      for (const { code } of languageList.languages) {
+        const targets = await readFlat(code);
+        if (platform === 'android') {
+          const xml = android.buildStringsXml({ sources, targets, nameMap });
+          archive.append(xml, { name: `${android.valuesDir(code, false)}/strings.xml` });
+          // 默认语言同时作为 values/ 兜底资源
+          if (code === languageList.defaultLanguage) {
+            archive.append(xml, { name: `${android.valuesDir(code, true)}/strings.xml` });
+          }
+        } else {
+          archive.append(ios.buildStrings({ sources, targets }), { name: `${ios.lprojDir(code)}/Localizable.strings` });
+          archive.append(ios.buildStringsdict({ sources, targets }), { name: `${ios.lprojDir(code)}/Localizable.stringsdict` });
+        }
+      }
+      // finalize 失败时销毁归档流，reply 随流出错而结束，不会留下挂起的响应
+      archive.finalize().catch(error => archive.destroy(error));
+
+      reply.header('Content-Type', 'application/zip');
+      reply.header('Content-Disposition', `attachment; filename="${platform}-${languageList.version}.zip"`);
+      return reply.send(archive);
+    } catch (error) {
+      fastify.log.error('Error exporting mobile package:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to export mobile package',
+        message: error.message
+      });
+    }
+  });
+
+  // 上传文件并写入目标语言（?target= 必填，移动端资源文件本身不带语言信息）
+  // 上传与解析在写队列之外进行（路由声明 streamUpload），只有写入时进入写队列
+  const importRoute = (platform, parse) => async (request, reply) => {
+    try {
+      const { target } = request.query;
+      if (!target) {
+        return reply.status(400).send({
+          success: false,
+          error: 'target query parameter is required'
+        });
+      }
+      if (deniedLanguages(request, [target]).length > 0) {
+        return reply.status(403).send({
+          success: false,
+          error: `Not allowed to edit languages: ${target}`
+        });
+      }
+
+      const file = await request.file({ limits: { fileSize: IMPORT_MAX_BYTES } });
+      if (!file) {
+        return reply.status(400).send({
+          success: false,
+          error: 'File is required'
+        });
+      }
+
+      let buffer;
+      try {
+        buffer = await file.toBuffer();
+      } catch (error) {
+        if (error.code !== 'FST_REQ_FILE_TOO_LARGE') throw error;
+        return reply.status(413).send({
+          success: false,
+          error: `File must be at most ${IMPORT_MAX_BYTES} bytes`
+        });
+      }
+
+      const loaded = await loadSources(reply, target);
+      if (!loaded) return;
+
+      let parsed;
+      try {
+        parsed = parse(file.filename || '', buffer.toString('utf8'), loaded.sources);
+      } catch (error) {
+        return reply.status(400).send({
+          success: false,
+          error: error.message
+        });
+      }
+
+      return await writeExclusive(request, reply, async () => {
+        const result = await applyTranslations({ [target]: parsed.values }, { meta: changeContext(request) });
+        const stats = result.languages[target];
+        return {
+          success: true,
+          message: result.changed
+            ? `Imported ${stats.updated.length} ${platform} strings into ${target}`
+            : 'No changes to import',
+          data: {
+            language: target,
+            version: result.version,
+            entries: Object.keys(parsed.values).length,
+            updated: stats.updated.map(u => u.key),
+            unchanged: stats.unchanged,
+            unknownKeys: [...(parsed.unknownNames || []), ...(result.unknownKeys[target] || [])]
+          }
+        };
+      });
+    } catch (error) {
+      fastify.log.error(`Error importing ${platform} strings:`, error);
+      reply.status(500).send({
+        success: false,
+        error: `Failed to import ${platform} strings`,
+        message: error.message
+      });
+    }
+  };
+
+  // 导入 strings.xml：资源名按默认语言 key 的命名规则反查
+  fastify.post('/import/android', streamUpload(requireRole('translator')), importRoute('Android', (fileName, content, sources) => {
+    const nameMap = android.buildNameMap(Object.keys(sources));
+    return android.parseStringsXml(content, { sources, nameMap });
+  }));
+
+  // 导入 .strings 或 .stringsdict（按扩展名区分）
+  fastify.post('/import/ios', streamUpload(requireRole('translator')), importRoute('iOS', (fileName, content, sources) => {
+    const values = path.extname(fileName).toLowerCase() === '.stringsdict'
+      ? ios.parseStringsdict(content, { sources })
+      : ios.parseStringsFile(content, { sources });
+    return { values };
+  }));
+}
+
+module.exports = mobileRoutes;
@@ -0,0 +1,83 @@
+const { readPackage, importPackage, PackageError, MAX_PACKAGE_BYTES } = require('../services/package-import');
+const { changeContext } = require('../utils/request');
+const { requireRole } = require('../services/auth');
+const { guardConflicts, streamUpload, writeExclusive } = require('../services/concurrency');
+
+// 语言包导入路由（由 i18nRoutes 注册，共享 /api/i18n 前缀），用于在不同环境之间迁移数据
+async function packageImportRoutes(fastify) {
+
+  // 上传 language-x.y.z.zip：?mode=merge|replace（默认 merge），?dryRun=true 只返回与当前数据的差异
+  // 上传与解析在写队列之外进行，计算差异与写入（含过期检查）时进入写队列
+  fastify.post('/import/package', guardConflicts(
+    streamUpload(requireRole('admin')),
+    () => ({ languageList: true })
+  ), async (request, reply) => {
+    try {
+      const mode = request.query.mode || 'merge';
+      if (!['merge', 'replace'].includes(mode)) {
+        return reply.status(400).send({
+          success: false,
+          error: 'mode must be merge or replace'
+        });
+      }
+
+      const file = await request.file({ limits: { fileSize: MAX_PACKAGE_BYTES } });
+      if (!file) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Package zip file is required'
+        });
+      }
+
+      let buffer;
+      try {
+        buffer = await file.toBuffer();
+      } catch (error) {
+        if (error.code !== 'FST_REQ_FILE_TOO_LARGE') throw error;
+        return reply.status(413).send({
+          success: false,
+          error: `Package must be at most ${MAX_PACKAGE_BYTES} bytes`
+        });
+      }
+
+      let pkg;
+      try {
+        pkg = readPackage(buffer);
+      } catch (error) {
+        if (!(error instanceof PackageError)) throw error;
+        return reply.status(400).send({
+          success: false,
+          error: error.message,
+          errors: error.errors
+        });
+      }
+
+      return await writeExclusive(request, reply, async () => {
+        const result = await importPackage(pkg, {
+          mode,
+          dryRun: request.query.dryRun === 'true',
+          meta: changeContext(request)
+        });
+
+        let message = `Package imported successfully (${mode})`;
+        if (result.dryRun) message = 'Dry run, nothing was written';
+        else if (!result.changed) message = 'Package matches current data, nothing to import';
+
+        return {
+          success: true,
+          message,
+          data: result
+        };
+      });
+    } catch (error) {
+      fastify.log.error('Error importing language package:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to import language package',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = packageImportRoutes;
@@ -0,0 +1,47 @@
+const { getStorage } = require('../storage');
+const coverage = require('../services/coverage');
+
+const storage = getStorage();
+
+// 统计报告路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function reportRoutes(fastify) {
+
+  // 翻译覆盖率：GET /reports/coverage?languages=en-US,ja-JP&namespace=login&includeKeys=true
+  fastify.get('/reports/coverage', async (request, reply) => {
+    try {
+      const { namespace } = request.query;
+      const languages = request.query.languages
+        ? request.query.languages.split(',').map(code => code.trim()).filter(Boolean)
+        : null;
+
+      if (languages) {
+        const codes = (await storage.readLanguageList()).languages.map(l => l.code);
+        const unknown = languages.filter(code => !codes.includes(code));
+        if (unknown.length > 0) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${unknown.join(', ')} not found`
+          });
+        }
+      }
+
+      return {
+        success: true,
+        data: await coverage.buildCoverage({
+          languages,
+          namespace: namespace || null,
+          includeKeys: request.query.includeKeys === 'true'
+        })
+      };
+    } catch (error) {
+      fastify.log.error('Error building coverage report:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to build coverage report',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = reportRoutes;
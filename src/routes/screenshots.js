@@ -0,0 +1,212 @@
+const fs = require('fs-extra');
+const screenshots = require('../services/screenshots');
+const { readFlatMessages } = require('../services/flat-messages');
+const { requireRole } = require('../services/auth');
+const { getActor } = require('../utils/request');
+const { streamUpload, writeExclusive } = require('../services/concurrency');
+
+// 界面截图路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function screenshotRoutes(fastify) {
+
+  const notFound = (reply, id) => reply.status(404).send({
+    success: false,
+    error: `Screenshot ${id} not found`
+  });
+
+  const knownKeys = async () => {
+    const { messages } = await readFlatMessages();
+    const keys = new Set();
+    Object.values(messages).forEach(values => Object.keys(values).forEach(key => keys.add(key)));
+    return keys;
+  };
+
+  // 上传截图（multipart，图片字段名任意）；关联通过图片之前的表单字段提供：
+  //   links  JSON：[{ "key": "menu.eventTypes", "highlights": [{ "x": 10, "y": 20, "width": 120, "height": 32 }] }]
+  //   keys   逗号分隔的 key（不带高亮区域）
+  // 上传在写队列之外进行；写入前在写队列中重新校验 key（上传期间 key 可能被删除或重命名）
+  fastify.post('/screenshots', streamUpload(requireRole('translator')), async (request, reply) => {
+    try {
+      const file = await request.file({ limits: { fileSize: screenshots.MAX_BYTES } });
+      if (!file) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Screenshot image file is required'
+        });
+      }
+
+      let links;
+      try {
+        if (file.fields.links) links = JSON.parse(file.fields.links.value);
+        else if (file.fields.keys) links = file.fields.keys.value.split(',').map(key => ({ key: key.trim() })).filter(link => link.key);
+      } catch (error) {
+        return reply.status(400).send({
+          success: false,
+          error: 'links must be valid JSON',
+          message: error.message
+        });
+      }
+      const invalidLinks = async () => {
+        const errors = screenshots.validateLinks(links, await knownKeys());
+        if (errors.length === 0) return null;
+        return reply.status(400).send({
+          success: false,
+          error: 'Invalid screenshot links (send links or keys before the file)',
+          errors
+        });
+      };
+      if (await invalidLinks()) return reply;
+
+      let buffer;
+      try {
+        buffer = await file.toBuffer();
+      } catch (error) {
+        if (error.code !== 'FST_REQ_FILE_TOO_LARGE') throw error;
+        return reply.status(413).send({
+          success: false,
+          error: `Screenshot must be at most ${screenshots.MAX_BYTES} bytes`
+        });
+      }
+      const type = screenshots.detectImageType(buffer);
+      if (!type) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Screenshot must be a PNG, JPEG, GIF or WebP image'
+        });
+      }
+
+      return await writeExclusive(request, reply, async () => {
+        if (await invalidLinks()) return reply;
+        const screenshot = await screenshots.createScreenshot({
+          buffer,
+          type,
+          originalName: file.filename,
+          links,
+          actor: getActor(request)
+        });
+        return reply.status(201).send({
+          success: true,
+          message: 'Screenshot uploaded successfully',
+          data: screenshot
+        });
+      });
+    } catch (error) {
+      fastify.log.error('Error uploading screenshot:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to upload screenshot',
+        message: error.message
+      });
+    }
+  });
+
+  // 截图列表，可选 ?key=menu.eventTypes（精确）或 ?prefix=menu.
+  fastify.get('/screenshots', async (request, reply) => {
+    try {
+      const { key, prefix } = request.query;
+      const list = (await screenshots.readScreenshots()).filter(s => s.links.some(link =>
+        (!key || link.key === key) && (!prefix || link.key.startsWith(prefix))));
+      return {
+        success: true,
+        data: list
+      };
+    } catch (error) {
+      fastify.log.error('Error listing screenshots:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to list screenshots',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.get('/screenshots/:id', async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const screenshot = (await screenshots.readScreenshots()).find(s => s.id === id);
+      if (!screenshot) return notFound(reply, id);
+      return {
+        success: true,
+        data: screenshot
+      };
+    } catch (error) {
+      fastify.log.error(`Error reading screenshot ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to read screenshot',
+        message: error.message
+      });
+    }
+  });
+
+  // 图片内容；上传后不会改变，可长期缓存
+  fastify.get('/screenshots/:id/image', async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const screenshot = (await screenshots.readScreenshots()).find(s => s.id === id);
+      if (!screenshot || !await fs.pathExists(screenshots.filePath(screenshot))) return notFound(reply, id);
+
+      reply.header('Content-Type', screenshot.mimeType);
+      reply.header('Content-Length', screenshot.size);
+      reply.header('Cache-Control', 'public, max-age=31536000, immutable');
+      return reply.send(fs.createReadStream(screenshots.filePath(screenshot)));
+    } catch (error) {
+      fastify.log.error(`Error sending screenshot ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to send screenshot',
+        message: error.message
+      });
+    }
+  });
+
+  // 替换关联的 key 与高亮区域：body { links: [{ key, highlights?: [] }] }
+  fastify.put('/screenshots/:id/links', requireRole('translator'), async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const links = request.body?.links;
+      const errors = screenshots.validateLinks(links, await knownKeys());
+      if (errors.length > 0) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Invalid screenshot links',
+          errors
+        });
+      }
+
+      const screenshot = await screenshots.updateLinks(id, links);
+      if (!screenshot) return notFound(reply, id);
+      return {
+        success: true,
+        message: 'Screenshot links updated successfully',
+        data: screenshot
+      };
+    } catch (error) {
+      fastify.log.error(`Error updating screenshot links ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to update screenshot links',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.delete('/screenshots/:id', requireRole('maintainer'), async (request, reply) => {
+    try {
+      const { id } = request.params;
+      if (!await screenshots.deleteScreenshot(id)) return notFound(reply, id);
+      return {
+        success: true,
+        message: `Screenshot ${id} deleted successfully`
+      };
+    } catch (error) {
+      fastify.log.error(`Error deleting screenshot ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to delete screenshot',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = screenshotRoutes;
@@ -0,0 +1,104 @@
+const { getStorage } = require('../storage');
+const searchService = require('../services/search');
+
+const storage = getStorage();
+
+const FIELDS = ['key', 'value'];
+
+// 全文搜索路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function searchRoutes(fastify) {
+
+  // GET /search?q=登录&lang=zh-CN,ja-JP&in=value&mode=substring|prefix|regex&caseSensitive=false&offset=0&limit=20
+  fastify.get('/search', async (request, reply) => {
+    try {
+      const { q, mode = 'substring' } = request.query;
+      if (!q) {
+        return reply.status(400).send({
+          success: false,
+          error: 'q query parameter is required'
+        });
+      }
+      if (q.length > searchService.MAX_QUERY_LENGTH) {
+        return reply.status(400).send({
+          success: false,
+          error: `q must be at most ${searchService.MAX_QUERY_LENGTH} characters`
+        });
+      }
+      if (!searchService.MODES.includes(mode)) {
+        return reply.status(400).send({
+          success: false,
+          error: `mode must be one of ${searchService.MODES.join(', ')}`
+        });
+      }
+
+      const fields = (request.query.in || FIELDS.join(',')).split(',').map(f => f.trim()).filter(Boolean);
+      if (fields.length === 0 || fields.some(f => !FIELDS.includes(f))) {
+        return reply.status(400).send({
+          success: false,
+          error: 'in must be key, value or key,value'
+        });
+      }
+
+      let languages = null;
+      if (request.query.lang) {
+        languages = request.query.lang.split(',').map(code => code.trim()).filter(Boolean);
+        const codes = (await storage.readLanguageList()).languages.map(l => l.code);
+        const unknown = languages.filter(code => !codes.includes(code));
+        if (unknown.length > 0) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${unknown.join(', ')} not found`
+          });
+        }
+      }
+
+      let result;
+      try {
+        result = await searchService.search({
+          query: q,
+          mode,
+          fields,
+          languages,
+          caseSensitive: request.query.caseSensitive === 'true',
+          offset: Math.max(Number(request.query.offset) || 0, 0),
+          limit: Math.min(Math.max(Number(request.query.limit) || 20, 1), 200)
+        });
+      } catch (error) {
+        if (mode === 'regex' && error instanceof SyntaxError) {
+          return reply.status(400).send({
+            success: false,
+            error: 'Invalid regular expression',
+            message: error.message
+          });
+        }
+        if (error instanceof searchService.RegexTimeoutError) {
+          return reply.status(400).send({
+            success: false,
+            error: 'Regular expression is too slow, simplify the pattern',
+            message: error.message
+          });
+        }
+        throw error;
+      }
+
+      return {
+        success: true,
+        data: {
+          q,
+          mode,
+          in: fields,
+          ...result
+        }
+      };
+    } catch (error) {
+      fastify.log.error('Error searching translations:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to search translations',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = searchRoutes;
@@ -0,0 +1,201 @@
+const path = require('path');
+const { getStorage } = require('../storage');
+const spreadsheet = require('../formats/spreadsheet');
+const { applyTranslations } = require('../services/bulk');
+const { flattenMessages } = require('../utils/keys');
+const { changeContext } = require('../utils/request');
+const { requireRole, deniedLanguages } = require('../services/auth');
+const { streamUpload, writeExclusive } = require('../services/concurrency');
+const { IMPORT_MAX_BYTES } = require('../utils/upload');
+
+const storage = getStorage();
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// 表格（CSV / XLSX）导入导出路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）：一行一个 key，一列一种语言
+async function spreadsheetRoutes(fastify) {
+
+  // 导出 key 矩阵：?format=csv|xlsx（默认 xlsx），可选 languages=zh-CN,en-US、prefix=login.
+  fastify.get('/export/spreadsheet', async (request, reply) => {
+    try {
+      const format = request.query.format || 'xlsx';
+      if (!FORMATS[format]) {
+        return reply.status(400).send({
+          success: false,
+          error: 'format must be csv or xlsx'
+        });
+      }
+
+      const languageList = await storage.readLanguageList();
+      let codes = languageList.languages.map(l => l.code);
+      if (request.query.languages) {
+        const requested = String(request.query.languages).split(',').map(s => s.trim()).filter(Boolean);
+        const missing = requested.filter(code => !codes.includes(code));
+        if (missing.length > 0) {
+          return reply.status(404).send({
+            success: false,
+            error: `Languages not found: ${missing.join(', ')}`
+          });
+        }
+        codes = requested;
+      }
+
+      const flatByCode = {};
+      for (const code of languageList.languages.map(l => l.code)) {
+        flatByCode[code] = flattenMessages((await storage.readLanguage(code)) || {});
+      }
+      // 行顺序以默认语言为准，其他语言独有的 key 排在后面
+      const keys = new Set(Object.keys(flatByCode[languageList.defaultLanguage] || {}));
+      for (const code of codes) Object.keys(flatByCode[code]).forEach(key => keys.add(key));
+      const prefix = request.query.prefix;
+      const rows = spreadsheet.buildMatrix(codes, flatByCode, [...keys].filter(key => !prefix || key.startsWith(prefix)));
+
+      const body = format === 'csv' ? spreadsheet.toCsv(rows) : await spreadsheet.toXlsx(rows);
+      reply.header('Content-Type', FORMATS[format]);
+      reply.header('Content-Disposition', `attachment; filename="i18n_v${languageList.version}.${format}"`);
+      return body;
+    } catch (error) {
+      fastify.log.error('Error exporting spreadsheet:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to export spreadsheet',
+        message: error.message
+      });
+    }
+  });
+
+  // 导入：multipart 上传 .csv / .xlsx（按扩展名识别），表头与导出格式相同
+  // 只写入有变化的单元格，空单元格默认忽略（clearEmpty=true 时清空对应值）；dryRun=true 只返回将要写入的变化
+  // 无法对应的单元格（未知语言列、未知 key）在 unmapped 中返回；整批只递增一次版本
+  // 上传与解析在写队列之外进行，计算变化与写入时进入写队列
+  fastify.post('/import/spreadsheet', streamUpload(requireRole('translator')), async (request, reply) => {
+    try {
+      const file = await request.file({ limits: { fileSize: IMPORT_MAX_BYTES } });
+      if (!file) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Spreadsheet file is required'
+        });
+      }
+
+      const format = path.extname(file.filename || '').slice(1).toLowerCase();
+      if (!FORMATS[format]) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Only .csv and .xlsx files are supported'
+        });
+      }
+
+      let buffer;
+      try {
+        buffer = await file.toBuffer();
+      } catch (error) {
+        if (error.code !== 'FST_REQ_FILE_TOO_LARGE') throw error;
+        return reply.status(413).send({
+          success: false,
+          error: `Spreadsheet file must be at most ${IMPORT_MAX_BYTES} bytes`
+        });
+      }
+
+      let rows;
+      try {
+        rows = format === 'csv' ? spreadsheet.parseCsv(buffer.toString('utf8')) : await spreadsheet.parseXlsx(buffer);
+      } catch (error) {
+        return reply.status(400).send({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const [header = [], ...body] = rows;
+      if (String(header[0]).trim() !== spreadsheet.KEY_HEADER) {
+        return reply.status(400).send({
+          success: false,
+          error: `First column header must be "${spreadsheet.KEY_HEADER}"`
+        });
+      }
+
+      const dryRun = request.query.dryRun === 'true';
+      const clearEmpty = request.query.clearEmpty === 'true';
+      const languageList = await storage.readLanguageList();
+      const codes = new Set(languageList.languages.map(l => l.code));
+
+      // 单元格位置用表格坐标（行号从 1 开始，含表头）
+      const unmapped = [];
+      const columns = header.slice(1).map(h => String(h).trim());
+      columns.forEach((code, i) => {
+        if (code && !codes.has(code)) unmapped.push({ row: 1, column: i + 2, language: code, reason: 'unknown-language' });
+      });
+
+      const updates = {};
+      const rowOfKey = new Map();
+      body.forEach((cells, r) => {
+        const key = String(cells[0] || '').trim();
+        if (!key) {
+          unmapped.push({ row: r + 2, column: 1, reason: 'missing-key' });
+          return;
+        }
+        rowOfKey.set(key, r + 2);
+        columns.forEach((code, i) => {
+          if (!codes.has(code)) return;
+          const value = cells[i + 1] ?? '';
+          if (value === '' && !clearEmpty) return;
+          if (!updates[code]) updates[code] = {};
+          updates[code][key] = value;
+        });
+      });
+
+      return await writeExclusive(request, reply, async () => {
+        // 先计算变化，再按实际变化的语言校验 translator 权限
+        const preview = await applyTranslations(updates, { dryRun: true });
+        const changedLanguages = Object.keys(preview.languages).filter(code => preview.languages[code].updated.length > 0);
+        const denied = deniedLanguages(request, changedLanguages);
+        if (denied.length > 0) {
+          return reply.status(403).send({
+            success: false,
+            error: `Not allowed to edit languages: ${denied.join(', ')}`
+          });
+        }
+
+        const result = dryRun ? preview : await applyTranslations(updates, { meta: changeContext(request) });
+        for (const [code, keys] of Object.entries(result.unknownKeys)) {
+          for (const key of keys) {
+            unmapped.push({ row: rowOfKey.get(key), column: columns.indexOf(code) + 2, language: code, key, reason: 'unknown-key' });
+          }
+        }
+
+        const changes = {};
+        for (const [code, stats] of Object.entries(result.languages)) {
+          if (stats.updated.length > 0) changes[code] = stats.updated;
+        }
+
+        return {
+          success: true,
+          message: dryRun
+            ? 'Dry run, nothing was written'
+            : result.changed ? 'Spreadsheet imported successfully' : 'No changes to import',
+          data: {
+            dryRun,
+            version: result.version,
+            rows: body.length,
+            changedCells: Object.values(changes).reduce((sum, list) => sum + list.length, 0),
+            changes,
+            unmapped
+          }
+        };
+      });
+    } catch (error) {
+      fastify.log.error('Error importing spreadsheet:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to import spreadsheet',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = spreadsheetRoutes;
@@ -0,0 +1,76 @@
+const { getStorage } = require('../storage');
+const tm = require('../services/translation-memory');
+
+const storage = getStorage();
+
+// 翻译建议路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function suggestRoutes(fastify) {
+
+  // 从翻译记忆中查找 text 的已有译文：GET /suggest?lang=ja-JP&text=登录
+  // 可选 source（text 的语言，默认为默认语言）、limit（默认 10，最大 50）、minScore（默认 0.6）、excludeKey
+  fastify.get('/suggest', async (request, reply) => {
+    try {
+      const { lang, text, excludeKey } = request.query;
+      if (!lang || !text) {
+        return reply.status(400).send({
+          success: false,
+          error: 'lang and text query parameters are required'
+        });
+      }
+      if (text.length > tm.MAX_TEXT_LENGTH) {
+        return reply.status(400).send({
+          success: false,
+          error: `text must be at most ${tm.MAX_TEXT_LENGTH} characters`
+        });
+      }
+
+      const minScore = request.query.minScore === undefined ? 0.6 : Number(request.query.minScore);
+      if (Number.isNaN(minScore) || minScore < 0 || minScore > 1) {
+        return reply.status(400).send({
+          success: false,
+          error: 'minScore must be a number between 0 and 1'
+        });
+      }
+
+      const languageList = await storage.readLanguageList();
+      const source = request.query.source || languageList.defaultLanguage;
+      const codes = languageList.languages.map(l => l.code);
+      for (const code of [source, lang]) {
+        if (!codes.includes(code)) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${code} not found`
+          });
+        }
+      }
+
+      const matches = await tm.suggest({
+        text,
+        sourceLanguage: source,
+        targetLanguage: lang,
+        minScore,
+        limit: Math.min(Math.max(Number(request.query.limit) || 10, 1), 50),
+        excludeKey: excludeKey || null
+      });
+
+      return {
+        success: true,
+        data: {
+          source,
+          target: lang,
+          text,
+          matches
+        }
+      };
+    } catch (error) {
+      fastify.log.error('Error querying translation memory:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to query translation memory',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = suggestRoutes;
@@ -0,0 +1,160 @@
+const { getStorage } = require('../storage');
+const { getProvider } = require('../translation');
+const mt = require('../services/machine-translation');
+const autoTranslated = require('../services/auto-translated');
+const { changeContext } = require('../utils/request');
+const { requireRole } = require('../services/auth');
+
+const storage = getStorage();
+
+// 单次请求最多翻译的 key 数
+const MAX_KEYS = Number(process.env.I18N_MT_MAX_KEYS) || 200;
+
+// 机器翻译路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function translateRoutes(fastify) {
+
+  // 用机器翻译补全目标语言中为空的 key（源语言默认为默认语言）
+  // body: { target, source?, keys?: [], prefix?, dryRun? }
+  // 调用翻译接口耗时较长，不进入写队列；译文在写队列中写入，期间已被人工填写的 key 会跳过
+  fastify.post('/translate/fill', {
+    config: {
+      access: { role: 'translator', languages: (request) => [request.body?.target] },
+      exclusive: false
+    }
+  }, async (request, reply) => {
+    try {
+      const { target, keys, prefix, dryRun = false } = request.body || {};
+      const languageList = await storage.readLanguageList();
+      const source = request.body?.source || languageList.defaultLanguage;
+      const codes = languageList.languages.map(l => l.code);
+
+      if (!target || typeof target !== 'string') {
+        return reply.status(400).send({
+          success: false,
+          error: 'target is required'
+        });
+      }
+      if (keys !== undefined && (!Array.isArray(keys) || keys.some(k => typeof k !== 'string'))) {
+        return reply.status(400).send({
+          success: false,
+          error: 'keys must be an array of strings'
+        });
+      }
+      for (const code of [source, target]) {
+        if (!codes.includes(code)) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${code} not found`
+          });
+        }
+      }
+      if (source === target) {
+        return reply.status(400).send({
+          success: false,
+          error: 'source and target must be different languages'
+        });
+      }
+
+      const missing = await mt.findMissing({ sourceLanguage: source, targetLanguage: target, keys, prefix });
+      if (missing.length > MAX_KEYS) {
+        return reply.status(400).send({
+          success: false,
+          error: `${missing.length} keys need translation, at most ${MAX_KEYS} per request; narrow the range with keys or prefix, or use POST /jobs/translate`
+        });
+      }
+
+      const provider = getProvider();
+      const { translated, failed } = await mt.translateEntries(missing, { sourceLanguage: source, targetLanguage: target, provider });
+
+      let version = null;
+      let skipped = 0;
+      if (!dryRun && translated.length > 0) {
+        const result = await mt.applyMachineTranslations(translated, {
+          sourceLanguage: source,
+          targetLanguage: target,
+          provider,
+          meta: changeContext(request)
+        });
+        version = result.version;
+        skipped = result.languages[target].skipped;
+      }
+
+      return {
+        success: true,
+        message: dryRun
+          ? `Dry run, ${translated.length} translations were not written`
+          : `Filled ${translated.length - skipped} empty values in ${target}`,
+        data: {
+          dryRun,
+          provider: provider.name,
+          source,
+          target,
+          version,
+          translated,
+          failed,
+          skipped
+        }
+      };
+    } catch (error) {
+      fastify.log.error('Error filling translations:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to fill translations',
+        message: error.message
+      });
+    }
+  });
+
+  // 机器翻译且尚未被人工修改的条目，供审校；可选 ?language=
+  fastify.get('/translate/markers', async (request, reply) => {
+    try {
+      return {
+        success: true,
+        data: await autoTranslated.listMarkers(request.query.language || null)
+      };
+    } catch (error) {
+      fastify.log.error('Error listing auto-translated markers:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to list auto-translated markers',
+        message: error.message
+      });
+    }
+  });
+
+  // 审校通过：移除标记（未指定 keys 时移除该语言全部标记）
+  // body: { language, keys?: [] }
+  fastify.post('/translate/markers/review', requireRole('translator', (request) => [request.body?.language]), async (request, reply) => {
+    try {
+      const { language, keys } = request.body || {};
+      if (!language || typeof language !== 'string') {
+        return reply.status(400).send({
+          success: false,
+          error: 'language is required'
+        });
+      }
+      if (keys !== undefined && (!Array.isArray(keys) || keys.some(k => typeof k !== 'string'))) {
+        return reply.status(400).send({
+          success: false,
+          error: 'keys must be an array of strings'
+        });
+      }
+
+      const removed = await autoTranslated.clearMarkers(language, keys || null);
+      return {
+        success: true,
+        message: `${removed} markers cleared`,
+        data: { language, removed }
+      };
+    } catch (error) {
+      fastify.log.error('Error reviewing auto-translated markers:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to review auto-translated markers',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = translateRoutes;
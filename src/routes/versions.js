@@ -0,0 +1,88 @@
+const { getStorage } = require('../storage');
+const history = require('../services/history');
+const { incrementVersion } = require('../services/version');
+const { changeContext } = require('../utils/request');
+const { requireRole } = require('../services/auth');
+const { guardConflicts } = require('../services/concurrency');
+
+const storage = getStorage();
+
+// 版本历史与回滚路由（由 i18nRoutes 注册，共享 /api/i18n 前缀）
+async function versionRoutes(fastify) {
+
+  // 版本历史列表（新 → 旧）
+  fastify.get('/versions', async (request, reply) => {
+    try {
+      const limit = Number(request.query.limit) || 0;
+      const versions = await history.listVersions();
+      return {
+        success: true,
+        data: limit > 0 ? versions.slice(0, limit) : versions
+      };
+    } catch (error) {
+      fastify.log.error('Error listing versions:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to list versions',
+        message: error.message
+      });
+    }
+  });
+
+  // 回滚到指定版本：还原 language-list.json 与全部语言文件，并递增出一个新版本
+  fastify.post('/versions/:version/restore', guardConflicts(
+    requireRole('admin'),
+    () => ({ languageList: true })
+  ), async (request, reply) => {
+    try {
+      const { version } = request.params;
+      const snapshot = await history.readSnapshot(version);
+
+      if (!snapshot) {
+        return reply.status(404).send({
+          success: false,
+          error: `Snapshot for version ${version} not found`
+        });
+      }
+
+      // 版本号沿当前版本继续递增，不回退
+      const current = await storage.readLanguageList();
+      const languageList = {
+        ...snapshot.languageList,
+        version: current.version,
+        lastUpdated: current.lastUpdated
+      };
+
+      for (const [code, translations] of Object.entries(snapshot.messages)) {
+        await storage.writeLanguage(code, translations);
+      }
+      // 删除快照之后才新增的语言
+      for (const code of await storage.listLanguageCodes()) {
+        if (!Object.prototype.hasOwnProperty.call(snapshot.messages, code)) {
+          await storage.removeLanguage(code);
+        }
+      }
+      await storage.writeLanguageList(languageList);
+
+      const result = await incrementVersion({ ...changeContext(request), restoredFrom: version });
+
+      return {
+        success: true,
+        message: `Version ${version} restored successfully`,
+        data: {
+          restoredFrom: version,
+          ...result
+        }
+      };
+    } catch (error) {
+      fastify.log.error(`Error restoring version ${request.params.version}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to restore version',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = versionRoutes;
@@ -0,0 +1,167 @@
+const webhooks = require('../services/webhooks');
+const { requireRole } = require('../services/auth');
+
+// Webhook 管理路由（由 i18nRoutes 注册，共享 /api/i18n 前缀），仅 admin 可用
+async function webhookRoutes(fastify) {
+
+  const notFound = (reply, id) => reply.status(404).send({
+    success: false,
+    error: `Webhook ${id} not found`
+  });
+
+  // Webhook 列表（密钥已隐藏）
+  fastify.get('/webhooks', requireRole('admin'), async (request, reply) => {
+    try {
+      const list = await webhooks.readWebhooks();
+      return {
+        success: true,
+        data: list.map(webhooks.maskSecret)
+      };
+    } catch (error) {
+      fastify.log.error('Error listing webhooks:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to list webhooks',
+        message: error.message
+      });
+    }
+  });
+
+  // 注册 Webhook；未提供 secret 时自动生成，仅在此处返回完整密钥
+  fastify.post('/webhooks', requireRole('admin'), async (request, reply) => {
+    try {
+      const { url, secret, description, enabled = true } = request.body || {};
+      if (!url || typeof url !== 'string' || !webhooks.validateUrl(url)) {
+        return reply.status(400).send({
+          success: false,
+          error: 'url must be a valid http(s) URL'
+        });
+      }
+      if (secret !== undefined && (typeof secret !== 'string' || secret.length < 8)) {
+        return reply.status(400).send({
+          success: false,
+          error: 'secret must be a string of at least 8 characters'
+        });
+      }
+
+      const webhook = await webhooks.createWebhook({ url, secret, description, enabled: enabled !== false });
+      return {
+        success: true,
+        message: 'Webhook created successfully',
+        data: webhook
+      };
+    } catch (error) {
+      fastify.log.error('Error creating webhook:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to create webhook',
+        message: error.message
+      });
+    }
+  });
+
+  // Webhook 详情 + 最近投递记录
+  fastify.get('/webhooks/:id', requireRole('admin'), async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const webhook = (await webhooks.readWebhooks()).find(w => w.id === id);
+      if (!webhook) return notFound(reply, id);
+      return {
+        success: true,
+        data: {
+          ...webhooks.maskSecret(webhook),
+          deliveries: webhooks.getDeliveries(id)
+        }
+      };
+    } catch (error) {
+      fastify.log.error(`Error reading webhook ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to read webhook',
+        message: error.message
+      });
+    }
+  });
+
+  // 修改 url / secret / description / enabled
+  fastify.put('/webhooks/:id', requireRole('admin'), async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const { url, secret, description, enabled } = request.body || {};
+      if (url !== undefined && (typeof url !== 'string' || !webhooks.validateUrl(url))) {
+        return reply.status(400).send({
+          success: false,
+          error: 'url must be a valid http(s) URL'
+        });
+      }
+      if (secret !== undefined && (typeof secret !== 'string' || secret.length < 8)) {
+        return reply.status(400).send({
+          success: false,
+          error: 'secret must be a string of at least 8 characters'
+        });
+      }
+
+      const webhook = await webhooks.updateWebhook(id, {
+        url,
+        secret,
+        description,
+        enabled: enabled === undefined ? undefined : enabled !== false
+      });
+      if (!webhook) return notFound(reply, id);
+      return {
+        success: true,
+        message: 'Webhook updated successfully',
+        data: webhooks.maskSecret(webhook)
+      };
+    } catch (error) {
+      fastify.log.error(`Error updating webhook ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to update webhook',
+        message: error.message
+      });
+    }
+  });
+
+  fastify.delete('/webhooks/:id', requireRole('admin'), async (request, reply) => {
+    try {
+      const { id } = request.params;
+      if (!await webhooks.deleteWebhook(id)) return notFound(reply, id);
+      return {
+        success: true,
+        message: `Webhook ${id} deleted successfully`
+      };
+    } catch (error) {
+      fastify.log.error(`Error deleting webhook ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to delete webhook',
+        message: error.message
+      });
+    }
+  });
+
+  // 发送一次 ping 事件，返回首次投递结果（失败时仍会在后台重试）
+  // 不修改数据，不进入写队列，避免接收方响应慢时阻塞其他写请求
+  fastify.post('/webhooks/:id/test', { config: { access: { role: 'admin' }, exclusive: false } }, async (request, reply) => {
+    try {
+      const { id } = request.params;
+      const webhook = (await webhooks.readWebhooks()).find(w => w.id === id);
+      if (!webhook) return notFound(reply, id);
+      const delivery = await webhooks.deliver(webhook, 'ping', { timestamp: new Date().toISOString() });
+      return {
+        success: true,
+        data: delivery
+      };
+    } catch (error) {
+      fastify.log.error(`Error testing webhook ${request.params.id}:`, error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to test webhook',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = webhookRoutes;
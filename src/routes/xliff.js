@@ -0,0 +1,145 @@
+const { getStorage } = require('../storage');
+const { buildXliff, parseXliff } = require('../formats/xliff');
+const { applyTranslations } = require('../services/bulk');
+const { flattenMessages } = require('../utils/keys');
+const { changeContext } = require('../utils/request');
+const { requireRole, deniedLanguages } = require('../services/auth');
+const { streamUpload, writeExclusive } = require('../services/concurrency');
+const { IMPORT_MAX_BYTES } = require('../utils/upload');
+
+const storage = getStorage();
+
+// XLIFF 2.0 导入导出路由（由 i18nRoutes 注册，共享 /api/i18n 前缀），用于与翻译供应商交换文件
+async function xliffRoutes(fastify) {
+
+  // 导出：source 默认为默认语言；每个源语言 key 一个 unit，已有译文写入 <target>
+  fastify.get('/export/xliff', async (request, reply) => {
+    try {
+      const { target } = request.query;
+      const languageList = await storage.readLanguageList();
+      const source = request.query.source || languageList.defaultLanguage;
+      const codes = languageList.languages.map(l => l.code);
+
+      if (!target) {
+        return reply.status(400).send({
+          success: false,
+          error: 'target query parameter is required'
+        });
+      }
+      for (const code of [source, target]) {
+        if (!codes.includes(code)) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${code} not found`
+          });
+        }
+      }
+
+      const sources = flattenMessages((await storage.readLanguage(source)) || {});
+      const targets = flattenMessages((await storage.readLanguage(target)) || {});
+      const xml = buildXliff({ sourceLanguage: source, targetLanguage: target, sources, targets });
+
+      reply.header('Content-Type', 'application/xliff+xml; charset=utf-8');
+      reply.header('Content-Disposition', `attachment; filename="${source}_${target}_v${languageList.version}.xlf"`);
+      return xml;
+    } catch (error) {
+      fastify.log.error('Error exporting XLIFF:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to export XLIFF',
+        message: error.message
+      });
+    }
+  });
+
+  // 导入：multipart 上传 .xlf，目标语言取 trgLang（可用 ?target= 覆盖）
+  // 只写入有变化的非空 <target>；源语言中不存在的 key 不写入并在 unknownKeys 中返回；整批只递增一次版本
+  // 上传与解析在写队列之外进行，只有写入时进入写队列
+  fastify.post('/import/xliff', streamUpload(requireRole('translator')), async (request, reply) => {
+    try {
+      const file = await request.file({ limits: { fileSize: IMPORT_MAX_BYTES } });
+      if (!file) {
+        return reply.status(400).send({
+          success: false,
+          error: 'XLIFF file is required'
+        });
+      }
+
+      let buffer;
+      try {
+        buffer = await file.toBuffer();
+      } catch (error) {
+        if (error.code !== 'FST_REQ_FILE_TOO_LARGE') throw error;
+        return reply.status(413).send({
+          success: false,
+          error: `XLIFF file must be at most ${IMPORT_MAX_BYTES} bytes`
+        });
+      }
+
+      let parsed;
+      try {
+        parsed = parseXliff(buffer.toString('utf8'));
+      } catch (error) {
+        return reply.status(400).send({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const target = request.query.target || parsed.targetLanguage;
+      if (!target) {
+        return reply.status(400).send({
+          success: false,
+          error: 'Target language is missing: set trgLang in the file or pass ?target='
+        });
+      }
+      if (deniedLanguages(request, [target]).length > 0) {
+        return reply.status(403).send({
+          success: false,
+          error: `Not allowed to edit languages: ${target}`
+        });
+      }
+
+      const values = {};
+      for (const unit of parsed.units) {
+        if (unit.target !== undefined && unit.target !== '') values[unit.key] = unit.target;
+      }
+
+      return await writeExclusive(request, reply, async () => {
+        const result = await applyTranslations({ [target]: values }, { meta: changeContext(request) });
+        if (result.unknownLanguages.length > 0) {
+          return reply.status(404).send({
+            success: false,
+            error: `Language ${target} not found`
+          });
+        }
+
+        const stats = result.languages[target];
+        return {
+          success: true,
+          message: result.changed
+            ? `Imported ${stats.updated.length} translations into ${target}`
+            : 'No changes to import',
+          data: {
+            language: target,
+            version: result.version,
+            units: parsed.units.length,
+            updated: stats.updated.map(u => u.key),
+            unchanged: stats.unchanged,
+            untranslated: parsed.units.length - Object.keys(values).length,
+            unknownKeys: result.unknownKeys[target] || []
+          }
+        };
+      });
+    } catch (error) {
+      fastify.log.error('Error importing XLIFF:', error);
+      reply.status(500).send({
+        success: false,
+        error: 'Failed to import XLIFF',
+        message: error.message
+      });
+    }
+  });
+}
+
+module.exports = xliffRoutes;
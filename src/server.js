@@ -12,7 +12,8 @@ fastify.register(require('@fastify/cors'), {
   origin: allowOrigin,
   credentials: false,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Actor', 'If-Match'],
+  exposedHeaders: ['ETag']
 });
 
 // 注册multipart插件用于文件上传
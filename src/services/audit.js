@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const { DATA_DIR } = require('../storage');
+
+// key 级审计日志：每次版本递增根据 key 级差异追加记录（JSON Lines，一行一条）
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const AUDIT_FILE = path.join(AUDIT_DIR, 'audit.log');
+
+fs.ensureDirSync(AUDIT_DIR);
+
+// 将一次版本变更展开为审计记录
+//   entry: history 中的版本元数据（actor、route、version ...）
+//   diff:  diffStates 结果；无法计算差异时为 null
+function buildEntries(entry, diff) {
+  if (!diff) return [];
+  const base = {
+    timestamp: entry.createdAt,
+    actor: entry.actor,
+    route: entry.route,
+    version: entry.version
+  };
+  const entries = [];
+
+  // 整语言新增/删除只记一条，不逐 key 展开
+  for (const language of diff.languagesAdded) {
+    entries.push({ ...base, language, key: null, action: 'language-added', oldValue: null, newValue: null });
+  }
+  for (const language of diff.languagesRemoved) {
+    entries.push({ ...base, language, key: null, action: 'language-removed', oldValue: null, newValue: null });
+  }
+
+  for (const [language, d] of Object.entries(diff.messages)) {
+    if (diff.languagesAdded.includes(language) || diff.languagesRemoved.includes(language)) continue;
+    for (const [key, value] of Object.entries(d.added)) {
+      entries.push({ ...base, language, key, action: 'added', oldValue: null, newValue: value });
+    }
+    for (const [key, { from, to }] of Object.entries(d.updated)) {
+      entries.push({ ...base, language, key, action: 'updated', oldValue: from, newValue: to });
+    }
+    for (const [key, value] of Object.entries(d.deleted)) {
+      entries.push({ ...base, language, key, action: 'deleted', oldValue: value, newValue: null });
+    }
+  }
+  return entries;
+}
+
+// 每个 (语言, key) 最近一次变更的时间，用于判断译文是否晚于源文本（过期）
+// 首次使用时扫描日志构建，之后随 recordChanges 增量更新；重复应用同一条记录结果不变
+let latestChanges = null; // Promise<Map>
+
+const changeId = (language, key) => `${language}\u0000${key}`;
+
+function indexEntry(index, e) {
+  if (!e.key) return;
+  if (e.action === 'deleted') index.delete(changeId(e.language, e.key));
+  else index.set(changeId(e.language, e.key), e.timestamp);
+}
+
+async function buildLatestChanges() {
+  const index = new Map();
+  if (!await fs.pathExists(AUDIT_FILE)) return index;
+  const rl = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    try { indexEntry(index, JSON.parse(line)); } catch { /* ignore */ }
+  }
+  return index;
+}
+
+// 返回 (language, key) => 最近一次变更时间（ISO 字符串），没有记录时为 undefined
+async function getLatestChanges() {
+  if (!latestChanges) latestChanges = buildLatestChanges();
+  const index = await latestChanges;
+  return (language, key) => index.get(changeId(language, key));
+}
+
+async function recordChanges(entry, diff) {
+  const entries = buildEntries(entry, diff);
+  if (entries.length === 0) return 0;
+  await fs.appendFile(AUDIT_FILE, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+  if (latestChanges) {
+    const index = await latestChanges;
+    entries.forEach(e => indexEntry(index, e));
+  }
+  return entries.length;
+}
+
+const containsValue = (value, text) => typeof value === 'string' && value.includes(text);
+
+// 按条件查询（新 → 旧）
+//   filters: { key, keyPrefix, language, actor, route, version, value, from, to }
+//   from/to 为 ISO 时间字符串（含边界）；value 匹配旧值或新值的子串
+async function queryAudit(filters = {}, { offset = 0, limit = 50 } = {}) {
+  if (!await fs.pathExists(AUDIT_FILE)) return { total: 0, items: [] };
+
+  const from = filters.from ? new Date(filters.from).getTime() : null;
+  const to = filters.to ? new Date(filters.to).getTime() : null;
+  const matches = (e) => {
+    if (filters.key && e.key !== filters.key) return false;
+    if (filters.keyPrefix && !(e.key || '').startsWith(filters.keyPrefix)) return false;
+    if (filters.language && e.language !== filters.language) return false;
+    if (filters.actor && e.actor !== filters.actor) return false;
+    if (filters.route && e.route !== filters.route) return false;
+    if (filters.version && e.version !== filters.version) return false;
+    if (filters.value && !containsValue(e.oldValue, filters.value) && !containsValue(e.newValue, filters.value)) return false;
+    const time = new Date(e.timestamp).getTime();
+    if (from !== null && time < from) return false;
+    if (to !== null && time > to) return false;
+    return true;
+  };
+
+  // 逐行读取，避免一次性载入整个日志
+  const matched = [];
+  const rl = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    let e;
+    try { e = JSON.parse(line); } catch { continue; }
+    if (matches(e)) matched.push(e);
+  }
+
+  matched.reverse();
+  return {
+    total: matched.length,
+    items: matched.slice(offset, offset + limit)
+  };
+}
+
+module.exports = {
+  recordChanges,
+  queryAudit,
+  getLatestChanges
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('../storage');
+
+// 鉴权：API Key 或 JWT（HS256），角色由低到高：
+//   reader      只读
+//   translator  只读 + 编辑 languages 限定的语言
+//   maintainer  编辑全部语言、新增/重命名/删除 key、回滚版本
+//   admin       全部权限（新增/删除语言等）
+const ROLES = ['reader', 'translator', 'maintainer', 'admin'];
+
+// API Key 文件格式：{ "keys": [{ "key": "...", "name": "alice", "role": "translator", "languages": ["ja-JP"] }] }
+const API_KEYS_FILE = process.env.I18N_API_KEYS_FILE
+  ? path.resolve(process.env.I18N_API_KEYS_FILE)
+  : path.join(DATA_DIR, 'api-keys.json');
+const JWT_SECRET = process.env.I18N_JWT_SECRET || '';
+// 默认允许匿名读取（前端公开拉取语言包），设为 false 时读取也需要凭证
+const PUBLIC_READ = process.env.I18N_AUTH_PUBLIC_READ !== 'false';
+
+const apiKeys = fs.pathExistsSync(API_KEYS_FILE) ? (fs.readJsonSync(API_KEYS_FILE).keys || []) : [];
+
+// 未配置任何凭证时不启用鉴权（兼容现有部署）
+const enabled = apiKeys.length > 0 || !!JWT_SECRET;
+
+class AuthError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+const roleLevel = (role) => ROLES.indexOf(role);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isLanguageList = (value) => Array.isArray(value) && value.every(code => typeof code === 'string');
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+function verifyJwt(token) {
+  const [header, payload, signature] = token.split('.');
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString());
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    // 合法 JSON 但不是对象（如 null、数字）同样视为无效令牌
+    if (!isPlainObject(decodedHeader) || !isPlainObject(claims)) throw new AuthError(401, 'Invalid token');
+  } catch {
+    throw new AuthError(401, 'Invalid token');
+  }
+  if (decodedHeader.alg !== 'HS256') {
+    throw new AuthError(401, 'Unsupported token algorithm');
+  }
+  const expected = crypto.createHmac('sha256', JWT_SECRET).update(`${header}.${payload}`).digest('base64url');
+  if (!safeEqual(expected, signature || '')) {
+    throw new AuthError(401, 'Invalid token signature');
+  }
+  // languages 必须是语言代码数组，否则 includes 会退化为子串匹配
+  if (claims.languages !== undefined && !isLanguageList(claims.languages)) {
+    throw new AuthError(401, 'Invalid token languages claim');
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if ((claims.exp && now >= claims.exp) || (claims.nbf && now < claims.nbf)) {
+    throw new AuthError(401, 'Token expired or not yet valid');
+  }
+  return {
+    name: claims.name || claims.sub || 'jwt',
+    role: claims.role,
+    languages: claims.languages || []
+  };
+}
+
+// 从请求头解析身份：Authorization: Bearer <API Key | JWT> 或 X-API-Key
+function authenticate(request) {
+  const header = request.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : request.headers['x-api-key'];
+  if (!token) return null;
+
+  let identity;
+  if (JWT_SECRET && token.split('.').length === 3) {
+    identity = verifyJwt(token);
+  } else {
+    const entry = apiKeys.find(k => safeEqual(k.key, token));
+    if (!entry) throw new AuthError(401, 'Invalid API key');
+    if (entry.languages !== undefined && !isLanguageList(entry.languages)) {
+      throw new AuthError(403, `API key ${entry.name} has invalid languages, expected an array of language codes`);
+    }
+    identity = { name: entry.name, role: entry.role, languages: entry.languages || [] };
+  }
+
+  if (roleLevel(identity.role) === -1) {
+    throw new AuthError(403, `Unknown role: ${identity.role}`);
+  }
+  return identity;
+}
+
+// 路由通过 config.access 声明权限：
+//   { public: true }                         无需凭证
+//   { role: 'translator', languages: fn }    fn(request) 返回本次请求涉及的语言代码，translator 只能操作自己的语言
+// 未声明时 GET 视为 reader，其他方法视为 admin
+function resolveAccess(request) {
+  const access = request.routeOptions.config.access;
+  if (access) return access;
+  return { role: request.method === 'GET' || request.method === 'HEAD' ? 'reader' : 'admin' };
+}
+
+function authorize(request) {
+  const access = resolveAccess(request);
+  if (access.public) return;
+
+  const identity = authenticate(request);
+  if (identity) request.auth = identity;
+
+  if (!identity) {
+    if (access.role === 'reader' && PUBLIC_READ) return;
+    throw new AuthError(401, 'Authentication required');
+  }
+
+  if (roleLevel(identity.role) < roleLevel(access.role)) {
+    throw new AuthError(403, `Role '${identity.role}' is not allowed to perform this action`);
+  }
+
+  // translator 只能写自己负责的语言（角色要求本身就是 translator 时才限制）
+  if (identity.role === 'translator' && access.role === 'translator' && access.languages) {
+    // 请求体缺少语言时交给路由校验（400），不以空语言名拒绝
+    const codes = access.languages(request).filter(code => code !== undefined && code !== null && code !== '');
+    const denied = codes.filter(code => !identity.languages.includes(code));
+    if (denied.length > 0) {
+      throw new AuthError(403, `Not allowed to edit languages: ${denied.join(', ')}`);
+    }
+  }
+}
+
+// 语言只能在解析请求体之后才确定时（如上传文件），由路由自行调用；返回无权编辑的语言代码
+function deniedLanguages(request, codes) {
+  const identity = request.auth;
+  if (!enabled || !identity || identity.role !== 'translator') return [];
+  return codes.filter(code => !identity.languages.includes(code));
+}
+
+// 生成路由选项：fastify.post(url, requireRole('translator', request => [...]), handler)
+function requireRole(role, languages) {
+  return { config: { access: { role, languages } } };
+}
+
+// i18nRoutes 内所有路由共用的 preHandler
+async function authHook(request, reply) {
+  if (!enabled) return;
+  try {
+    authorize(request);
+  } catch (error) {
+    if (!(error instanceof AuthError)) throw error;
+    return reply.status(error.statusCode).send({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+module.exports = {
+  ROLES,
+  enabled,
+  authHook,
+  requireRole,
+  deniedLanguages
+};
@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR, getStorage } = require('../storage');
+const { writeJsonAtomic } = require('../utils/fs');
+const { getNestedValue } = require('../utils/keys');
+
+// 机器翻译标记：记录哪些值由机器翻译写入，供审校查找（语言文件本身只保存字符串）
+//   data/auto-translated.json  { code: { key: { value, provider, sourceLanguage, source, translatedAt } } }
+// 值被人工修改后（当前值与记录的 value 不同）标记自动失效
+const MARKERS_FILE = path.join(DATA_DIR, 'auto-translated.json');
+
+const storage = getStorage();
+
+async function readMarkers() {
+  if (!await fs.pathExists(MARKERS_FILE)) return {};
+  return fs.readJson(MARKERS_FILE);
+}
+
+async function markTranslated(code, entries, { provider, sourceLanguage }) {
+  if (entries.length === 0) return;
+  const markers = await readMarkers();
+  const translatedAt = new Date().toISOString();
+  markers[code] = markers[code] || {};
+  for (const { key, source, value } of entries) {
+    markers[code][key] = { value, provider, sourceLanguage, source, translatedAt };
+  }
+  await writeJsonAtomic(MARKERS_FILE, markers);
+}
+
+// 仍然有效的标记（值未被修改），按语言过滤
+async function listMarkers(code = null) {
+  const markers = await readMarkers();
+  const result = {};
+  for (const [language, entries] of Object.entries(markers)) {
+    if (code && language !== code) continue;
+    const translations = await storage.readLanguage(language);
+    if (!translations) continue;
+    const valid = Object.entries(entries)
+      .filter(([key, marker]) => getNestedValue(translations, key) === marker.value)
+      .map(([key, marker]) => ({ key, ...marker }));
+    if (valid.length > 0) result[language] = valid;
+  }
+  return result;
+}
+
+// 审校通过后移除标记；未指定 keys 时移除该语言的全部标记，返回移除数量
+async function clearMarkers(code, keys = null) {
+  const markers = await readMarkers();
+  if (!markers[code]) return 0;
+  const targets = keys || Object.keys(markers[code]);
+  let removed = 0;
+  for (const key of targets) {
+    if (markers[code][key]) {
+      delete markers[code][key];
+      removed++;
+    }
+  }
+  if (Object.keys(markers[code]).length === 0) delete markers[code];
+  await writeJsonAtomic(MARKERS_FILE, markers);
+  return removed;
+}
+
+const inTree = (key, root) => key === root || key.startsWith(`${root}.`);
+
+// rename-key：各语言中 oldKey 及其子 key 的标记随 key 迁移；已有的新 key 标记只在 overwrite 时被替换
+async function renameMarkers(oldKey, newKey, { overwrite = false } = {}) {
+  const markers = await readMarkers();
+  let changed = false;
+  let moved = 0;
+  for (const entries of Object.values(markers)) {
+    for (const key of Object.keys(entries).filter(k => inTree(k, oldKey))) {
+      const target = newKey + key.slice(oldKey.length);
+      if (!entries[target] || overwrite) {
+        entries[target] = entries[key];
+        moved++;
+      }
+      delete entries[key];
+      changed = true;
+    }
+  }
+  if (changed) await writeJsonAtomic(MARKERS_FILE, markers);
+  return moved;
+}
+
+// delete-key：删除各语言中 key 及其子 key 的标记，返回删除数量
+async function removeMarkers(key) {
+  const markers = await readMarkers();
+  let removed = 0;
+  for (const [code, entries] of Object.entries(markers)) {
+    for (const k of Object.keys(entries).filter(k => inTree(k, key))) {
+      delete entries[k];
+      removed++;
+    }
+    if (Object.keys(entries).length === 0) delete markers[code];
+  }
+  if (removed > 0) await writeJsonAtomic(MARKERS_FILE, markers);
+  return removed;
+}
+
+module.exports = {
+  markTranslated,
+  listMarkers,
+  clearMarkers,
+  renameMarkers,
+  removeMarkers
+};
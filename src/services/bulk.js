@@ -0,0 +1,74 @@
+const { getStorage } = require('../storage');
+const { flattenMessages, getNestedValue, setNestedKey } = require('../utils/keys');
+const { incrementVersion } = require('./version');
+
+const storage = getStorage();
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// 默认语言的全部 key（拍平路径），作为导入时判断 key 是否存在的依据
+async function readKnownKeys(languageList) {
+  const source = (await storage.readLanguage(languageList.defaultLanguage)) || {};
+  return new Set(Object.keys(flattenMessages(source)));
+}
+
+// 批量写入多个语言的 key（拍平路径），只写入有变化的值，最后统一递增一次版本
+//   updates: { code: { 'a.b': value } }
+//   options.allowNewKeys  为 true 时允许写入默认语言中不存在的 key，否则记为 unknownKeys
+//   options.meta          版本变更上下文（changeContext）
+//   options.dryRun        只计算变化，不写入
+//   options.onlyEmpty     只写入当前为空（缺失或空字符串）的 key，其余计入 skipped（如机器翻译补全）
+// 返回 { version, changed, languages: { code: { updated: [{ key, from, to }], unchanged, skipped } }, unknownKeys: { code: [] }, unknownLanguages: [] }
+async function applyTranslations(updates, { allowNewKeys = false, meta = {}, dryRun = false, onlyEmpty = false } = {}) {
+  const languageList = await storage.readLanguageList();
+  const codes = new Set(languageList.languages.map(l => l.code));
+  const knownKeys = await readKnownKeys(languageList);
+
+  const result = { version: null, changed: false, languages: {}, unknownKeys: {}, unknownLanguages: [] };
+
+  for (const [code, values] of Object.entries(updates)) {
+    if (!codes.has(code)) {
+      result.unknownLanguages.push(code);
+      continue;
+    }
+
+    const data = (await storage.readLanguage(code)) || {};
+    const stats = { updated: [], unchanged: 0, skipped: 0 };
+    const unknown = [];
+    for (const [key, value] of Object.entries(values)) {
+      if (!allowNewKeys && !knownKeys.has(key)) {
+        unknown.push(key);
+        continue;
+      }
+      const current = getNestedValue(data, key);
+      if (onlyEmpty && current !== undefined && current !== '') {
+        stats.skipped++;
+        continue;
+      }
+      if (isSameValue(current, value)) {
+        stats.unchanged++;
+        continue;
+      }
+      stats.updated.push({ key, from: current === undefined ? null : current, to: value });
+      setNestedKey(data, key, value);
+    }
+
+    result.languages[code] = stats;
+    if (unknown.length > 0) result.unknownKeys[code] = unknown;
+    if (stats.updated.length > 0) {
+      result.changed = true;
+      if (!dryRun) await storage.writeLanguage(code, data);
+    }
+  }
+
+  if (result.changed && !dryRun) {
+    const { version } = await incrementVersion(meta);
+    result.version = version;
+  }
+  return result;
+}
+
+module.exports = {
+  readKnownKeys,
+  applyTranslations
+};
@@ -0,0 +1,123 @@
+const { getStorage } = require('../storage');
+const history = require('./history');
+const { runExclusive } = require('../utils/write-queue');
+
+// 乐观并发控制：写请求通过 If-Match 头（可直接回传 GET 得到的 ETag）或 body.baseVersion
+// 声明编辑时所基于的版本；若该版本之后有人改动了本次请求涉及的 key，则返回 409 与冲突 key
+const REQUIRE_BASE_VERSION = process.env.I18N_REQUIRE_BASE_VERSION === 'true';
+
+const storage = getStorage();
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// 解析基础版本；ETag 形如 "1.1.36" 或 "1.1.36-ja-JP"
+function getBaseVersion(request) {
+  const ifMatch = request.headers['if-match'];
+  if (ifMatch) {
+    const match = ifMatch.replace(/^W\//, '').match(/^"?(\d+(?:\.\d+)*)/);
+    if (match) return match[1];
+  }
+  const body = request.body;
+  if (body && typeof body === 'object' && typeof body.baseVersion === 'string') {
+    return body.baseVersion;
+  }
+  return null;
+}
+
+// 冲突范围（由路由 config.conflictScope(request) 提供）：
+//   languages     涉及的语言代码数组，默认全部
+//   keys          涉及的 key 数组（含其父/子路径），默认全部
+//   values        { code: { key: value } } 本次要写入的值；与当前值相同的变更不算冲突
+//   completeValues 为 true 时 values 视为该语言的完整内容（整文件覆盖），缺失即 undefined
+//   languageList  为 true 时语言配置变化也算冲突
+const overlaps = (key, keys) => keys.some(k => key === k || key.startsWith(`${k}.`) || k.startsWith(`${key}.`));
+
+function collectConflicts(delta, scope) {
+  const conflicts = [];
+  if (scope.languageList && delta.languageListChanged) {
+    conflicts.push({ language: null, key: null, reason: 'language-list-changed' });
+  }
+
+  for (const [language, d] of Object.entries(delta.messages)) {
+    if (scope.languages && !scope.languages.includes(language)) continue;
+    const changed = [
+      ...Object.entries(d.added).map(([key, value]) => ({ key, currentValue: value, deleted: false })),
+      ...Object.entries(d.updated).map(([key, value]) => ({ key, currentValue: value, deleted: false })),
+      ...d.deleted.map(key => ({ key, currentValue: undefined, deleted: true }))
+    ];
+    for (const change of changed) {
+      if (scope.keys && !overlaps(change.key, scope.keys)) continue;
+      const values = scope.values && scope.values[language];
+      if (values && (scope.completeValues || Object.prototype.hasOwnProperty.call(values, change.key))
+        && isSameValue(values[change.key], change.currentValue)) {
+        continue; // 客户端提交的值与当前值一致，已包含对方的修改
+      }
+      conflicts.push({ language, key: change.key, currentValue: change.currentValue ?? null, deleted: change.deleted });
+    }
+  }
+  return conflicts;
+}
+
+// 在写队列内、执行路由处理函数前调用；已拒绝时返回 true
+async function rejectStaleWrite(request, reply) {
+  const scopeOf = request.routeOptions.config.conflictScope;
+  if (!scopeOf) return false;
+
+  const baseVersion = getBaseVersion(request);
+  if (!baseVersion) {
+    if (!REQUIRE_BASE_VERSION) return false;
+    reply.status(428).send({
+      success: false,
+      error: 'If-Match header or baseVersion is required'
+    });
+    return true;
+  }
+
+  const { version: currentVersion } = await storage.readLanguageList();
+  if (baseVersion === currentVersion) return false;
+
+  const delta = await history.getChangesSince(baseVersion, currentVersion);
+  // 历史无法覆盖该区间时无法判断，按冲突处理，客户端需重新加载
+  const conflicts = delta ? collectConflicts(delta, scopeOf(request)) : [];
+  if (delta && conflicts.length === 0) return false;
+
+  reply.status(409).send({
+    success: false,
+    error: 'Data has changed since base version',
+    code: 'VERSION_CONFLICT',
+    data: {
+      baseVersion,
+      currentVersion,
+      fullReloadRequired: !delta,
+      conflicts
+    }
+  });
+  return true;
+}
+
+// 为路由选项附加冲突范围：fastify.put(url, guardConflicts(requireRole(...), request => scope), handler)
+function guardConflicts(options, scopeOf) {
+  return { ...options, config: { ...options.config, conflictScope: scopeOf } };
+}
+
+// 接收上传文件的路由不整体进入写队列（config.exclusive=false），避免慢速上传期间阻塞所有写请求：
+// fastify.post(url, streamUpload(requireRole(...)), handler)，读取并解析完文件后用 writeExclusive 执行写入
+function streamUpload(options) {
+  return { ...options, config: { ...options.config, exclusive: false } };
+}
+
+// 在写队列内先做过期检查再执行 task；已拒绝（409 / 428）时返回 reply，否则返回 task 的结果
+function writeExclusive(request, reply, task) {
+  return runExclusive(async () => {
+    if (await rejectStaleWrite(request, reply)) return reply;
+    return task();
+  });
+}
+
+module.exports = {
+  getBaseVersion,
+  rejectStaleWrite,
+  guardConflicts,
+  streamUpload,
+  writeExclusive
+};
@@ -0,0 +1,95 @@
+const { getStorage } = require('../storage');
+const { flattenMessages } = require('../utils/keys');
+
+// 翻译覆盖率：按语言统计 key 的翻译状态，并按顶层命名空间（login、menu ...）细分
+const storage = getStorage();
+
+// 值的状态：missing（key 不存在）、empty（空字符串 / 只有空白）、translated
+function valueStatus(value) {
+  if (value === undefined) return 'missing';
+  if (value === null || (typeof value === 'string' && value.trim() === '')) return 'empty';
+  if (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0) return 'empty';
+  return 'translated';
+}
+
+const namespaceOf = (key) => key.split('.')[0];
+
+function emptyStats() {
+  return { total: 0, translated: 0, empty: 0, missing: 0, identical: 0, percent: 100 };
+}
+
+function finishStats(stats) {
+  stats.percent = stats.total === 0 ? 100 : Math.round((stats.translated / stats.total) * 1000) / 10;
+  return stats;
+}
+
+// 生成报告
+//   languages    只统计这些语言（默认全部）
+//   namespace    只统计该顶层命名空间
+//   includeKeys  同时列出每个语言未翻译（empty / missing）的 key
+// key 全集为所有语言 key 的并集；translated 包含与默认语言相同的值（identical 单独计数，可能是漏翻的原文）
+async function buildCoverage({ languages = null, namespace = null, includeKeys = false } = {}) {
+  const languageList = await storage.readLanguageList();
+  const { defaultLanguage } = languageList;
+  const codes = languageList.languages.map(l => l.code);
+
+  const messages = {};
+  for (const code of codes) {
+    messages[code] = flattenMessages((await storage.readLanguage(code)) || {});
+  }
+
+  const keys = new Set();
+  for (const values of Object.values(messages)) {
+    Object.keys(values).forEach(key => {
+      if (!namespace || namespaceOf(key) === namespace) keys.add(key);
+    });
+  }
+  const sortedKeys = [...keys].sort();
+  const sources = messages[defaultLanguage] || {};
+
+  const report = [];
+  for (const language of languageList.languages) {
+    if (languages && !languages.includes(language.code)) continue;
+    const values = messages[language.code];
+    const stats = emptyStats();
+    const namespaces = {};
+    const untranslatedKeys = [];
+
+    for (const key of sortedKeys) {
+      const ns = namespaceOf(key);
+      namespaces[ns] = namespaces[ns] || emptyStats();
+      const status = valueStatus(values[key]);
+      const identical = status === 'translated' && language.code !== defaultLanguage && values[key] === sources[key];
+
+      for (const target of [stats, namespaces[ns]]) {
+        target.total++;
+        target[status]++;
+        if (identical) target.identical++;
+      }
+      if (status !== 'translated') untranslatedKeys.push(key);
+    }
+
+    Object.values(namespaces).forEach(finishStats);
+    report.push({
+      code: language.code,
+      name: language.name,
+      enabled: language.enabled,
+      isDefault: language.code === defaultLanguage,
+      ...finishStats(stats),
+      namespaces,
+      ...(includeKeys ? { untranslatedKeys } : {})
+    });
+  }
+
+  return {
+    version: languageList.version,
+    defaultLanguage,
+    totalKeys: sortedKeys.length,
+    languages: report
+  };
+}
+
+module.exports = {
+  valueStatus,
+  buildCoverage
+};
@@ -0,0 +1,24 @@
+const { getStorage } = require('../storage');
+const { flattenMessages } = require('../utils/keys');
+
+// 全部语言拍平后的数据 { code: { 'a.b': value } }，按版本缓存（任何写入都会递增版本）
+// 供搜索、key 表格等只读查询共用；返回的对象不可修改
+const storage = getStorage();
+
+let cache = { version: null, messages: null };
+
+async function readFlatMessages() {
+  const languageList = await storage.readLanguageList();
+  if (cache.version !== languageList.version) {
+    const messages = {};
+    for (const { code } of languageList.languages) {
+      messages[code] = flattenMessages((await storage.readLanguage(code)) || {});
+    }
+    cache = { version: languageList.version, messages };
+  }
+  return { languageList, messages: cache.messages };
+}
+
+module.exports = {
+  readFlatMessages
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('../storage');
+const { writeJsonAtomic } = require('../utils/fs');
+
+// 术语表：统一产品术语在各语言中的译法
+//   data/glossary.json  { terms: [{ id, term, description, caseSensitive, translations: { code: { approved, forbidden: [] } }, createdAt, updatedAt }] }
+// 默认语言的值包含该术语（默认语言的 approved，未设置时为 term）时，其他语言的值应包含各自的 approved；
+// 任何语言的值都不应出现 forbidden 中的译法
+const GLOSSARY_FILE = path.join(DATA_DIR, 'glossary.json');
+
+// 严格模式：违反术语表的 create-key / update-key 直接拒绝（请求体 strict: true 也可单次开启）
+const STRICT = process.env.I18N_GLOSSARY_STRICT === 'true';
+
+async function readTerms() {
+  if (!await fs.pathExists(GLOSSARY_FILE)) return [];
+  return (await fs.readJson(GLOSSARY_FILE)).terms || [];
+}
+
+async function writeTerms(terms) {
+  await writeJsonAtomic(GLOSSARY_FILE, { terms });
+}
+
+// 规范化各语言译法：去除空白项与重复的 forbidden
+function normalizeTranslations(translations = {}) {
+  const result = {};
+  for (const [code, entry] of Object.entries(translations)) {
+    const approved = typeof entry.approved === 'string' ? entry.approved.trim() : '';
+    const forbidden = [...new Set((entry.forbidden || []).map(v => v.trim()).filter(Boolean))];
+    if (approved || forbidden.length > 0) result[code] = { approved, forbidden };
+  }
+  return result;
+}
+
+// 校验术语输入，返回错误列表；partial 为修改时（字段可省略）
+function validateTerm(input, { partial = false, languageCodes = [] } = {}) {
+  const errors = [];
+  const { term, description, caseSensitive, translations } = input || {};
+  if ((!partial || term !== undefined) && (typeof term !== 'string' || term.trim() === '')) {
+    errors.push('term must be a non-empty string');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    errors.push('description must be a string');
+  }
+  if (caseSensitive !== undefined && typeof caseSensitive !== 'boolean') {
+    errors.push('caseSensitive must be a boolean');
+  }
+  if (translations !== undefined) {
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+      errors.push('translations must be an object');
+    } else {
+      for (const [code, entry] of Object.entries(translations)) {
+        if (!languageCodes.includes(code)) {
+          errors.push(`translations.${code}: language not found`);
+          continue;
+        }
+        if (entry === null && partial) continue;
+        if (!entry || typeof entry !== 'object') {
+          errors.push(`translations.${code} must be an object`);
+          continue;
+        }
+        if (entry.approved !== undefined && typeof entry.approved !== 'string') {
+          errors.push(`translations.${code}.approved must be a string`);
+        }
+        if (entry.forbidden !== undefined && (!Array.isArray(entry.forbidden) || entry.forbidden.some(v => typeof v !== 'string'))) {
+          errors.push(`translations.${code}.forbidden must be an array of strings`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+const sameTerm = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// 返回 { term } 或 { conflict }（同名术语已存在，不区分大小写）
+async function createTerm({ term, description = '', caseSensitive = false, translations = {} }) {
+  const terms = await readTerms();
+  const existing = terms.find(t => sameTerm(t.term, term));
+  if (existing) return { conflict: existing };
+
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    term: term.trim(),
+    description,
+    caseSensitive,
+    translations: normalizeTranslations(translations),
+    createdAt: now,
+    updatedAt: now
+  };
+  terms.push(entry);
+  await writeTerms(terms);
+  return { term: entry };
+}
+
+// translations 按语言合并：传入的语言整体替换，值为 null 时移除该语言
+async function updateTerm(id, changes) {
+  const terms = await readTerms();
+  const entry = terms.find(t => t.id === id);
+  if (!entry) return null;
+  if (changes.term !== undefined) {
+    const existing = terms.find(t => t.id !== id && sameTerm(t.term, changes.term));
+    if (existing) return { conflict: existing };
+    entry.term = changes.term.trim();
+  }
+  for (const field of ['description', 'caseSensitive']) {
+    if (changes[field] !== undefined) entry[field] = changes[field];
+  }
+  if (changes.translations !== undefined) {
+    const translations = { ...entry.translations };
+    for (const [code, value] of Object.entries(changes.translations)) {
+      if (value === null) delete translations[code];
+      else translations[code] = value;
+    }
+    entry.translations = normalizeTranslations(translations);
+  }
+  entry.updatedAt = new Date().toISOString();
+  await writeTerms(terms);
+  return { term: entry };
+}
+
+async function deleteTerm(id) {
+  const terms = await readTerms();
+  const remaining = terms.filter(t => t.id !== id);
+  if (remaining.length === terms.length) return false;
+  await writeTerms(remaining);
+  return true;
+}
+
+function contains(text, part, caseSensitive) {
+  if (caseSensitive) return text.includes(part);
+  return text.toLocaleLowerCase().includes(part.toLocaleLowerCase());
+}
+
+// 去掉已认可的译法后再查找禁用译法，避免禁用译法是认可译法的一部分时误报（如 Repo / Repository）
+function withoutApproved(text, approved, caseSensitive) {
+  if (!approved) return text;
+  const source = caseSensitive ? text : text.toLocaleLowerCase();
+  return source.split(caseSensitive ? approved : approved.toLocaleLowerCase()).join('\u0000');
+}
+
+// 检查一个 key 的各语言值：values = { code: value }，sourceValue 为默认语言的值
+// 返回 [{ language, termId, term, type: 'forbidden' | 'missing', found?, expected }]
+async function checkValues(values, { sourceValue = '', defaultLanguage }) {
+  const terms = await readTerms();
+  const warnings = [];
+
+  for (const entry of terms) {
+    const sourceTerm = entry.translations[defaultLanguage]?.approved || entry.term;
+    const used = typeof sourceValue === 'string' && contains(sourceValue, sourceTerm, entry.caseSensitive);
+
+    for (const [code, value] of Object.entries(values)) {
+      if (typeof value !== 'string' || value === '') continue;
+      const rule = entry.translations[code];
+      if (!rule) continue;
+
+      const rest = withoutApproved(value, rule.approved, entry.caseSensitive);
+      const found = rule.forbidden.find(variant => contains(rest, variant, entry.caseSensitive));
+      if (found) {
+        warnings.push({ language: code, termId: entry.id, term: entry.term, type: 'forbidden', found, expected: rule.approved || null });
+        continue;
+      }
+      if (used && code !== defaultLanguage && rule.approved && !contains(value, rule.approved, entry.caseSensitive)) {
+        warnings.push({ language: code, termId: entry.id, term: entry.term, type: 'missing', expected: rule.approved });
+      }
+    }
+  }
+  return warnings;
+}
+
+module.exports = {
+  STRICT,
+  readTerms,
+  validateTerm,
+  createTerm,
+  updateTerm,
+  deleteTerm,
+  checkValues
+};
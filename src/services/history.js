@@ -0,0 +1,218 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR, getStorage } = require('../storage');
+const { diffStates, summarizeDiff, composeDiffs, applyDiff } = require('../utils/diff');
+const { writeJsonAtomic } = require('../utils/fs');
+
+// 版本历史：每次版本递增记录元数据与相对上一版本的 key 级差异，每隔若干版本保存一次完整检查点；
+// 回滚目标由最近的检查点加之后的差异还原，单个 key 的修改不再复制全部数据
+//   data/history/index.json               版本元数据列表（按写入顺序）
+//   data/history/snapshots/<version>.json 检查点（完整的 language-list + 全部语言）
+//   data/history/diffs/<version>.json     相对上一版本的 key 级差异与该版本的 language-list（供还原与增量接口使用）
+// 元数据中 snapshot 表示该版本可回滚，checkpoint 表示保存了检查点（旧数据中 snapshot 为 true 的版本都有完整快照）
+const HISTORY_DIR = path.join(DATA_DIR, 'history');
+const SNAPSHOTS_DIR = path.join(HISTORY_DIR, 'snapshots');
+const DIFFS_DIR = path.join(HISTORY_DIR, 'diffs');
+const INDEX_FILE = path.join(HISTORY_DIR, 'index.json');
+
+// 最多保留的可回滚版本数量，更早的版本只保留元数据
+const HISTORY_LIMIT = Number(process.env.I18N_HISTORY_LIMIT) || 100;
+// 最多保留的差异数量（可回滚版本依赖的差异不受此限制）
+const DIFF_LIMIT = Number(process.env.I18N_DIFF_LIMIT) || 500;
+// 每隔多少个版本保存一次检查点（还原时最多读取 interval - 1 个差异）
+const CHECKPOINT_INTERVAL = Number(process.env.I18N_HISTORY_CHECKPOINT_INTERVAL) || 20;
+
+const storage = getStorage();
+
+fs.ensureDirSync(SNAPSHOTS_DIR);
+fs.ensureDirSync(DIFFS_DIR);
+
+const snapshotFile = (version) => path.join(SNAPSHOTS_DIR, `${version}.json`);
+const diffFile = (version) => path.join(DIFFS_DIR, `${version}.json`);
+
+const isCheckpoint = (entry) => entry.checkpoint ?? entry.snapshot;
+
+// 最近一次记录的版本的完整状态（进程内），下一次记录时直接与之比较；进程重启后由历史还原
+let head = null; // { version, state }
+
+async function readIndex() {
+  if (!await fs.pathExists(INDEX_FILE)) return { versions: [] };
+  return fs.readJson(INDEX_FILE);
+}
+
+async function writeIndex(index) {
+  await writeJsonAtomic(INDEX_FILE, index);
+}
+
+async function readJsonIfExists(file) {
+  if (!await fs.pathExists(file)) return null;
+  return fs.readJson(file);
+}
+
+// 读取当前完整数据状态
+async function captureState() {
+  const languageList = await storage.readLanguageList();
+  const messages = {};
+  for (const code of await storage.listLanguageCodes()) {
+    messages[code] = await storage.readLanguage(code);
+  }
+  return { languageList, messages };
+}
+
+// 由最近的检查点与之后连续的差异还原 index 中第 position 个版本的完整状态；无法还原时返回 null
+async function rebuildState(index, position) {
+  let start = position;
+  while (!isCheckpoint(index.versions[start])) {
+    const entry = index.versions[start];
+    if (!entry.diff || start === 0 || index.versions[start - 1].version !== entry.previousVersion) return null;
+    start--;
+  }
+
+  const checkpoint = await readJsonIfExists(snapshotFile(index.versions[start].version));
+  if (!checkpoint) return null;
+  const state = { languageList: checkpoint.languageList, messages: checkpoint.messages };
+  for (const entry of index.versions.slice(start + 1, position + 1)) {
+    const diff = await readJsonIfExists(diffFile(entry.version));
+    if (!diff || !diff.languageList) return null;
+    applyDiff(state, diff, diff.languageList);
+  }
+  return state;
+}
+
+// 读取可回滚版本的完整数据 { version, languageList, messages }；不可回滚时返回 null
+async function readSnapshot(version) {
+  const index = await readIndex();
+  const position = index.versions.findIndex(v => v.version === version);
+  if (position === -1 || !index.versions[position].snapshot) return null;
+  const state = head && head.version === version
+    ? structuredClone(head.state)
+    : await rebuildState(index, position);
+  return state && { version, ...state };
+}
+
+// 只保留最近 HISTORY_LIMIT 个可回滚版本：其中最早一个所依赖的检查点之前的检查点删除，
+// 该检查点之后的差异始终保留；其余差异超出 DIFF_LIMIT 时删除文件，元数据保留
+async function pruneHistory(index) {
+  const { versions } = index;
+  const restorable = versions.filter(v => v.snapshot);
+  const oldest = restorable[Math.max(restorable.length - HISTORY_LIMIT, 0)];
+  let keepFrom = oldest ? versions.indexOf(oldest) : versions.length;
+  while (keepFrom > 0 && keepFrom < versions.length && !isCheckpoint(versions[keepFrom])) keepFrom--;
+
+  for (const entry of versions) {
+    if (entry === oldest) break;
+    entry.snapshot = false;
+  }
+  for (const entry of versions.slice(0, keepFrom)) {
+    if (!isCheckpoint(entry)) continue;
+    entry.checkpoint = false;
+    await fs.remove(snapshotFile(entry.version));
+  }
+
+  const withDiff = versions.slice(0, keepFrom).filter(v => v.diff);
+  const total = versions.filter(v => v.diff).length;
+  for (let i = 0; i < total - DIFF_LIMIT && i < withDiff.length; i++) {
+    withDiff[i].diff = false;
+    await fs.remove(diffFile(withDiff[i].version));
+  }
+}
+
+// 记录一个新版本：元数据（谁、哪个路由、改了什么）+ 相对上一版本的差异，必要时保存检查点
+// 当前数据（含已写入的新版本号）即为该版本内容
+async function recordVersion({ previousVersion = null, actor = 'system', route = null, ...extra } = {}) {
+  const state = await captureState();
+  const index = await readIndex();
+  const version = state.languageList.version;
+
+  // 同一版本号重复记录时（例如手动修改过 language-list）以最新为准
+  index.versions = index.versions.filter(v => v.version !== version);
+  const last = index.versions[index.versions.length - 1];
+  let previous = null;
+  if (last) {
+    previous = head && head.version === last.version
+      ? head.state
+      : await rebuildState(index, index.versions.length - 1);
+  }
+  const diff = previous ? diffStates(previous, state) : null;
+
+  const entry = {
+    version,
+    previousVersion,
+    createdAt: state.languageList.lastUpdated || new Date().toISOString(),
+    actor,
+    route,
+    ...extra,
+    changes: diff ? summarizeDiff(diff) : null,
+    snapshot: true,
+    checkpoint: false,
+    // 只有相对上一版本的差异才能用于还原与增量计算
+    diff: !!diff && !!previousVersion && last.version === previousVersion
+  };
+
+  let sinceCheckpoint = 0;
+  for (let i = index.versions.length - 1; i >= 0 && !isCheckpoint(index.versions[i]); i--) sinceCheckpoint++;
+  entry.checkpoint = !entry.diff || sinceCheckpoint + 1 >= CHECKPOINT_INTERVAL;
+
+  if (entry.diff) {
+    await writeJsonAtomic(diffFile(version), { version, previousVersion, languageList: state.languageList, ...diff }, {});
+  } else {
+    await fs.remove(diffFile(version));
+  }
+  if (entry.checkpoint) {
+    await writeJsonAtomic(snapshotFile(version), { version, ...state }, {});
+  } else {
+    await fs.remove(snapshotFile(version));
+  }
+  index.versions.push(entry);
+  await pruneHistory(index);
+  await writeIndex(index);
+  head = { version, state };
+
+  return { entry, diff };
+}
+
+// 启动时为当前版本补一份基线快照，保证第一次变更也能计算差异、可回滚
+async function ensureBaseline() {
+  const languageList = await storage.readLanguageList();
+  const index = await readIndex();
+  if (index.versions.some(v => v.version === languageList.version && v.snapshot)) return null;
+  const { entry } = await recordVersion({ route: 'baseline' });
+  return entry;
+}
+
+// 版本列表（新 → 旧）
+async function listVersions() {
+  const index = await readIndex();
+  return [...index.versions].reverse();
+}
+
+// 计算 since 版本到当前版本的净变化；历史不足以连续覆盖该区间时返回 null（需全量重新加载）
+async function getChangesSince(since, currentVersion) {
+  if (since === currentVersion) return composeDiffs([]);
+  const index = await readIndex();
+  const start = index.versions.findIndex(v => v.version === since);
+  if (start === -1) return null;
+
+  const chain = index.versions.slice(start + 1);
+  if (chain.length === 0 || chain[chain.length - 1].version !== currentVersion) return null;
+
+  const diffs = [];
+  let prevVersion = since;
+  for (const entry of chain) {
+    if (!entry.diff || entry.previousVersion !== prevVersion) return null;
+    const file = diffFile(entry.version);
+    if (!await fs.pathExists(file)) return null;
+    diffs.push(await fs.readJson(file));
+    prevVersion = entry.version;
+  }
+  return composeDiffs(diffs);
+}
+
+module.exports = {
+  captureState,
+  readSnapshot,
+  recordVersion,
+  ensureBaseline,
+  listVersions,
+  getChangesSince
+};
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('../storage');
+const { getProvider } = require('../translation');
+const mt = require('./machine-translation');
+const { writeJsonAtomic } = require('../utils/fs');
+
+// 后台机器翻译任务：每个任务一个文件 data/jobs/<id>.json，按批翻译并写入（每批递增一次版本）
+// 服务重启后，未完成的任务从剩余 key 继续执行
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const BATCH_SIZE = Number(process.env.I18N_JOB_BATCH_SIZE) || 50;
+// 保留的已结束任务数
+const JOB_LIMIT = Number(process.env.I18N_JOB_LIMIT) || 100;
+const MAX_FAILURES = 500;
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map(); // id -> job（与文件内容一致）
+const queue = [];
+let running = null;
+let stopped = false;
+
+const jobFile = (id) => path.join(JOBS_DIR, `${id}.json`);
+
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await writeJsonAtomic(jobFile(job.id), job);
+}
+
+// 对外展示时不包含剩余 key 列表
+const toPublic = ({ remaining, ...job }) => job;
+
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+function listJobs() {
+  return [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function pruneJobs() {
+  const finished = listJobs().filter(job => FINISHED.includes(job.status));
+  for (const job of finished.slice(JOB_LIMIT)) {
+    jobs.delete(job.id);
+    await fs.remove(jobFile(job.id));
+  }
+}
+
+// 创建翻译任务：params = { sourceLanguage, targetLanguage, keys, prefix }，meta 为版本变更上下文
+async function createTranslateJob(params, meta = {}) {
+  const missing = await mt.findMissing(params);
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'translate',
+    status: 'queued',
+    params,
+    actor: meta.actor || 'anonymous',
+    route: meta.route || null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    progress: { total: missing.length, processed: 0, translated: 0, failed: 0, skipped: 0 },
+    versions: [],
+    failures: [],
+    error: null,
+    cancelRequested: false,
+    remaining: missing.map(m => m.key)
+  };
+  jobs.set(job.id, job);
+  await saveJob(job);
+  enqueue(job.id);
+  return job;
+}
+
+// 取消：排队中的任务立即结束，运行中的任务在当前批次写入后结束
+async function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job || FINISHED.includes(job.status)) return job || null;
+  job.cancelRequested = true;
+  if (job.status === 'queued') {
+    job.status = 'cancelled';
+    job.finishedAt = new Date().toISOString();
+  }
+  await saveJob(job);
+  return job;
+}
+
+function enqueue(id) {
+  if (!queue.includes(id)) queue.push(id);
+  if (!running) running = processQueue().finally(() => { running = null; });
+}
+
+async function processQueue() {
+  while (queue.length > 0 && !stopped) {
+    const job = jobs.get(queue.shift());
+    if (!job || FINISHED.includes(job.status)) continue;
+    try {
+      await runTranslateJob(job);
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+      await saveJob(job);
+      console.error(`Job ${job.id} failed:`, error);
+    }
+  }
+  await pruneJobs();
+}
+
+async function runTranslateJob(job) {
+  const { sourceLanguage, targetLanguage } = job.params;
+  const provider = getProvider();
+  job.status = 'running';
+  job.startedAt = job.startedAt || new Date().toISOString();
+  await saveJob(job);
+
+  while (job.remaining.length > 0) {
+    if (stopped) return; // 服务关闭：保持 running 状态，重启后继续
+    if (job.cancelRequested) break;
+
+    const batchKeys = job.remaining.slice(0, BATCH_SIZE);
+    // 按当前数据重新取源文本；期间已被填写或删除的 key 计入 skipped
+    const entries = await mt.findMissing({ sourceLanguage, targetLanguage, keys: batchKeys });
+    const { translated, failed } = await mt.translateEntries(entries, { sourceLanguage, targetLanguage, provider });
+
+    let skipped = batchKeys.length - entries.length;
+    if (translated.length > 0) {
+      const result = await mt.applyMachineTranslations(translated, {
+        sourceLanguage,
+        targetLanguage,
+        provider,
+        meta: { actor: job.actor, route: job.route, jobId: job.id }
+      });
+      skipped += result.languages[targetLanguage].skipped;
+      if (result.version) job.versions.push(result.version);
+    }
+
+    job.remaining = job.remaining.slice(batchKeys.length);
+    job.progress.processed += batchKeys.length;
+    job.progress.translated += translated.length;
+    job.progress.failed += failed.length;
+    job.progress.skipped += skipped;
+    job.failures = [...job.failures, ...failed].slice(-MAX_FAILURES);
+    await saveJob(job);
+  }
+
+  job.status = job.cancelRequested ? 'cancelled' : 'completed';
+  job.finishedAt = new Date().toISOString();
+  await saveJob(job);
+}
+
+// 启动时加载任务文件，继续执行未完成的任务
+async function resumeJobs() {
+  stopped = false;
+  await fs.ensureDir(JOBS_DIR);
+  const files = (await fs.readdir(JOBS_DIR)).filter(name => name.endsWith('.json'));
+  const loaded = [];
+  for (const name of files) {
+    try {
+      loaded.push(await fs.readJson(path.join(JOBS_DIR, name)));
+    } catch (error) {
+      console.error(`Failed to load job file ${name}:`, error.message);
+    }
+  }
+  loaded.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const job of loaded) {
+    jobs.set(job.id, job);
+    if (!FINISHED.includes(job.status)) enqueue(job.id);
+  }
+}
+
+// 关闭服务前调用：当前批次结束后停止，等待其写入完成
+async function stopJobs() {
+  stopped = true;
+  if (running) await running;
+}
+
+module.exports = {
+  getJob,
+  listJobs,
+  createTranslateJob,
+  cancelJob,
+  resumeJobs,
+  stopJobs,
+  toPublic
+};
@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('../storage');
+const { writeJsonAtomic } = require('../utils/fs');
+
+// key 元数据：语言文件只保存字符串，供翻译参考的说明单独保存
+//   data/key-meta.json  { "menu.eventTypes": { description, context, screenshot, maxLength, tags, owner, updatedAt, updatedBy } }
+// 元数据不属于翻译内容，修改时不递增版本；rename-key / delete-key 时同步迁移或删除
+const META_FILE = path.join(DATA_DIR, 'key-meta.json');
+
+const STRING_FIELDS = ['description', 'context', 'screenshot', 'owner'];
+const FIELDS = [...STRING_FIELDS, 'maxLength', 'tags'];
+
+async function readMeta() {
+  if (!await fs.pathExists(META_FILE)) return {};
+  return fs.readJson(META_FILE);
+}
+
+async function writeMeta(meta) {
+  await writeJsonAtomic(META_FILE, meta);
+}
+
+// 校验修改内容，返回错误列表；字段为 null 时表示删除该字段
+function validateMeta(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return ['body must be an object'];
+  const errors = [];
+  for (const field of Object.keys(input)) {
+    if (!FIELDS.includes(field)) errors.push(`Unknown field ${field}`);
+  }
+  for (const field of STRING_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null && typeof input[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  if (input.maxLength !== undefined && input.maxLength !== null && (!Number.isInteger(input.maxLength) || input.maxLength < 1)) {
+    errors.push('maxLength must be a positive integer');
+  }
+  if (input.tags !== undefined && input.tags !== null && (!Array.isArray(input.tags) || input.tags.some(t => typeof t !== 'string'))) {
+    errors.push('tags must be an array of strings');
+  }
+  return errors;
+}
+
+// 合并修改；所有字段都被删除后移除整条记录（返回 null）
+async function setMeta(key, changes, actor = 'anonymous') {
+  const meta = await readMeta();
+  const entry = { ...meta[key] };
+  for (const field of FIELDS) {
+    if (changes[field] === undefined) continue;
+    if (changes[field] === null || changes[field] === '') delete entry[field];
+    else if (field === 'tags') entry.tags = [...new Set(changes.tags.map(t => t.trim()).filter(Boolean))];
+    else entry[field] = changes[field];
+  }
+
+  const fields = FIELDS.filter(field => entry[field] !== undefined);
+  if (fields.length > 0) {
+    meta[key] = {
+      ...Object.fromEntries(fields.map(field => [field, entry[field]])),
+      updatedAt: new Date().toISOString(),
+      updatedBy: actor
+    };
+  } else {
+    delete meta[key];
+  }
+  await writeMeta(meta);
+  return meta[key] || null;
+}
+
+async function deleteMeta(key) {
+  const meta = await readMeta();
+  if (!meta[key]) return false;
+  delete meta[key];
+  await writeMeta(meta);
+  return true;
+}
+
+const inTree = (key, root) => key === root || key.startsWith(`${root}.`);
+
+// rename-key：迁移 oldKey 及其子 key 的元数据；已有的新 key 元数据只在 overwrite 时被替换
+async function renameMeta(oldKey, newKey, { overwrite = false } = {}) {
+  const meta = await readMeta();
+  const keys = Object.keys(meta).filter(k => inTree(k, oldKey));
+  if (keys.length === 0) return 0;
+  let moved = 0;
+  for (const key of keys) {
+    const target = newKey + key.slice(oldKey.length);
+    if (!meta[target] || overwrite) {
+      meta[target] = meta[key];
+      moved++;
+    }
+    delete meta[key];
+  }
+  await writeMeta(meta);
+  return moved;
+}
+
+// delete-key：删除 key 及其子 key 的元数据，返回删除的 key
+async function removeMeta(key) {
+  const meta = await readMeta();
+  const removed = Object.keys(meta).filter(k => inTree(k, key));
+  if (removed.length === 0) return [];
+  removed.forEach(k => delete meta[k]);
+  await writeMeta(meta);
+  return removed;
+}
+
+module.exports = {
+  FIELDS,
+  readMeta,
+  validateMeta,
+  setMeta,
+  deleteMeta,
+  renameMeta,
+  removeMeta
+};
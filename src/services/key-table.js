@@ -0,0 +1,70 @@
+const { readFlatMessages } = require('./flat-messages');
+const { valueStatus } = require('./coverage');
+const audit = require('./audit');
+const keyMeta = require('./key-meta');
+
+// 编辑器使用的 key 表格：每行一个拍平后的 key，包含各语言的值与状态
+//   missing    该语言没有这个 key
+//   empty      空字符串
+//   outdated   默认语言的值在该语言最近一次修改之后又被修改过（来自审计日志）
+//   translated 其他情况
+// 默认语言只会是 missing / empty / translated
+const STATUSES = ['missing', 'empty', 'outdated', 'translated'];
+const SORTS = ['key', '-key', 'status'];
+
+// 返回 { version, total, offset, limit, languages, rows: [{ key, values, status, issues, meta }] }（meta 为 key 元数据，没有时为 null）
+//   prefix     只返回以此开头的 key
+//   languages  只返回这些语言（默认全部）
+//   status     只返回至少一个语言处于这些状态的行
+//   sort       key（默认）/ -key / status（问题多的行在前）
+async function listKeys({ offset = 0, limit = 50, prefix = null, languages = null, status = null, sort = 'key' } = {}) {
+  const { languageList, messages } = await readFlatMessages();
+  const { defaultLanguage } = languageList;
+  const codes = languages || languageList.languages.map(l => l.code);
+  const lastChanged = await audit.getLatestChanges();
+  const meta = await keyMeta.readMeta();
+
+  const keys = new Set();
+  for (const values of Object.values(messages)) {
+    for (const key of Object.keys(values)) {
+      if (!prefix || key.startsWith(prefix)) keys.add(key);
+    }
+  }
+
+  let rows = [];
+  for (const key of keys) {
+    const sourceChanged = lastChanged(defaultLanguage, key);
+    const row = { key, values: {}, status: {}, issues: 0 };
+    for (const code of codes) {
+      const value = messages[code][key];
+      let state = valueStatus(value);
+      if (state === 'translated' && code !== defaultLanguage && sourceChanged) {
+        const changed = lastChanged(code, key);
+        if (!changed || changed < sourceChanged) state = 'outdated';
+      }
+      row.values[code] = value === undefined ? null : value;
+      row.status[code] = state;
+      if (state !== 'translated') row.issues++;
+    }
+    if (!status || codes.some(code => status.includes(row.status[code]))) rows.push(row);
+  }
+
+  rows.sort((a, b) => a.key.localeCompare(b.key));
+  if (sort === '-key') rows.reverse();
+  if (sort === 'status') rows.sort((a, b) => b.issues - a.issues);
+
+  return {
+    version: languageList.version,
+    total: rows.length,
+    offset,
+    limit,
+    languages: codes,
+    rows: rows.slice(offset, offset + limit).map(row => ({ ...row, meta: meta[row.key] || null }))
+  };
+}
+
+module.exports = {
+  STATUSES,
+  SORTS,
+  listKeys
+};
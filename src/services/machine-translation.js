@@ -0,0 +1,85 @@
+const { getStorage } = require('../storage');
+const { getProvider } = require('../translation');
+const { mask, unmask } = require('../translation/mask');
+const { applyTranslations } = require('./bulk');
+const autoTranslated = require('./auto-translated');
+const { runExclusive } = require('../utils/write-queue');
+const { flattenMessages } = require('../utils/keys');
+
+// 机器翻译补全：源语言（默认语言）有值、目标语言为空的 key
+const BATCH_SIZE = Number(process.env.I18N_MT_BATCH_SIZE) || 50;
+
+const storage = getStorage();
+
+// 待翻译的 key：[{ key, source }]；keys / prefix 用于限定范围
+async function findMissing({ sourceLanguage, targetLanguage, keys = null, prefix = null }) {
+  const sources = flattenMessages((await storage.readLanguage(sourceLanguage)) || {});
+  const targets = flattenMessages((await storage.readLanguage(targetLanguage)) || {});
+  const missing = [];
+  for (const [key, source] of Object.entries(sources)) {
+    if (typeof source !== 'string' || source.trim() === '') continue;
+    if (keys && !keys.includes(key)) continue;
+    if (prefix && !key.startsWith(prefix)) continue;
+    const current = targets[key];
+    if (current === undefined || current === '') missing.push({ key, source });
+  }
+  return missing;
+}
+
+// 翻译一批条目（不写入）：返回 { translated: [{ key, source, value }], failed: [{ key, error }] }
+// 占位符、HTML 标签等先替换为标记，译文中标记缺失或重复的条目记为失败
+async function translateEntries(entries, { sourceLanguage, targetLanguage, provider = getProvider() }) {
+  const translated = [];
+  const failed = [];
+
+  for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+    const batch = entries.slice(i, i + BATCH_SIZE).map(entry => ({ ...entry, masked: mask(entry.source) }));
+    // 只有占位符、没有可翻译文字的条目原样保留
+    const pending = batch.filter(entry => entry.masked.text.replace(/⟦\d+⟧/g, '').trim() !== '');
+    for (const entry of batch.filter(e => !pending.includes(e))) {
+      translated.push({ key: entry.key, source: entry.source, value: entry.source });
+    }
+    if (pending.length === 0) continue;
+
+    let results;
+    try {
+      results = await provider.translate(pending.map(e => e.masked.text), { from: sourceLanguage, to: targetLanguage });
+    } catch (error) {
+      pending.forEach(entry => failed.push({ key: entry.key, error: error.message }));
+      continue;
+    }
+
+    pending.forEach((entry, j) => {
+      try {
+        const value = unmask(results[j], entry.masked.tokens).trim();
+        if (value === '') throw new Error('Empty translation');
+        translated.push({ key: entry.key, source: entry.source, value });
+      } catch (error) {
+        failed.push({ key: entry.key, error: error.message });
+      }
+    });
+  }
+
+  return { translated, failed };
+}
+
+// 在写队列中写入译文并标记为机器翻译；只写入仍为空的 key（翻译期间被人工填写的跳过），整批递增一次版本
+async function applyMachineTranslations(translated, { sourceLanguage, targetLanguage, provider = getProvider(), meta = {} }) {
+  return runExclusive(async () => {
+    const values = Object.fromEntries(translated.map(t => [t.key, t.value]));
+    const result = await applyTranslations({ [targetLanguage]: values }, { onlyEmpty: true, meta });
+    const updated = new Set(((result.languages[targetLanguage] || {}).updated || []).map(u => u.key));
+    await autoTranslated.markTranslated(
+      targetLanguage,
+      translated.filter(t => updated.has(t.key)),
+      { provider: provider.name, sourceLanguage }
+    );
+    return result;
+  });
+}
+
+module.exports = {
+  findMissing,
+  translateEntries,
+  applyMachineTranslations
+};
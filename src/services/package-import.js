@@ -0,0 +1,189 @@
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { getStorage } = require('../storage');
+const history = require('./history');
+const { incrementVersion } = require('./version');
+const { diffStates, summarizeDiff } = require('../utils/diff');
+const { flattenMessages, setNestedKey } = require('../utils/keys');
+
+const storage = getStorage();
+
+// 上传的语言包大小上限
+const MAX_PACKAGE_BYTES = Number(process.env.I18N_PACKAGE_MAX_BYTES) || 20 * 1024 * 1024;
+// 解压后的总大小上限，防止压缩炸弹（按实际解压出的字节计算，不信任 zip 头中声明的大小）
+const MAX_UNCOMPRESSED_BYTES = 50 * 1024 * 1024;
+// 语言代码同时用作文件名，只允许字母、数字、- 与 _
+const LANGUAGE_CODE = /^[A-Za-z0-9_-]+$/;
+
+class PackageError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.errors = errors;
+  }
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 读取并校验语言包（与 createLanguagePackage 相同的结构：language-list.json + languages/<code>.json）
+// 返回 { languageList, messages }，校验失败时抛出 PackageError（errors 为全部问题）
+function readPackage(buffer) {
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw new PackageError(`Invalid zip file: ${error.message}`);
+  }
+
+  // 自行解压需要的条目，累计输出超过上限时中止
+  let remaining = MAX_UNCOMPRESSED_BYTES;
+  const tooLarge = () => new PackageError(`Package is larger than ${MAX_UNCOMPRESSED_BYTES} bytes when extracted`);
+  const inflate = (entry) => {
+    let data;
+    try {
+      const compressed = entry.getCompressedData();
+      if (entry.header.method === 0) data = compressed;
+      else if (entry.header.method === 8) data = zlib.inflateRawSync(compressed, { maxOutputLength: remaining + 1 });
+      else throw new Error(`unsupported compression method ${entry.header.method}`);
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+      throw new PackageError(`Invalid zip file: ${entry.entryName}: ${error.message}`);
+    }
+    if (data.length > remaining) throw tooLarge();
+    remaining -= data.length;
+    return data;
+  };
+
+  const files = new Map(entries.filter(e => !e.isDirectory).map(e => [e.entryName, e]));
+  const errors = [];
+  const readJson = (name) => {
+    const data = inflate(files.get(name));
+    try {
+      return JSON.parse(data.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      errors.push(`${name}: invalid JSON (${error.message})`);
+      return undefined;
+    }
+  };
+
+  if (!files.has('language-list.json')) {
+    throw new PackageError('language-list.json is missing from the package');
+  }
+  const languageList = readJson('language-list.json');
+  if (!isPlainObject(languageList) || !Array.isArray(languageList.languages)) {
+    throw new PackageError('Invalid language-list.json', [...errors, 'language-list.json: languages must be an array']);
+  }
+
+  const codes = [];
+  languageList.languages.forEach((language, i) => {
+    if (!isPlainObject(language) || typeof language.code !== 'string' || !LANGUAGE_CODE.test(language.code)) {
+      errors.push(`language-list.json: languages[${i}] has an invalid code`);
+      return;
+    }
+    if (codes.includes(language.code)) errors.push(`language-list.json: duplicate language ${language.code}`);
+    codes.push(language.code);
+  });
+  if (typeof languageList.defaultLanguage !== 'string') {
+    errors.push('language-list.json: defaultLanguage is required');
+  }
+  for (const field of ['defaultLanguage', 'fallbackLanguage']) {
+    if (languageList[field] !== undefined && !codes.includes(languageList[field])) {
+      errors.push(`language-list.json: ${field} ${languageList[field]} is not in languages`);
+    }
+  }
+
+  const messages = {};
+  for (const code of codes) {
+    const name = `languages/${code}.json`;
+    if (!files.has(name)) {
+      errors.push(`${name} is missing`);
+      continue;
+    }
+    const translations = readJson(name);
+    if (translations === undefined) continue;
+    if (!isPlainObject(translations)) {
+      errors.push(`${name}: must be a JSON object`);
+      continue;
+    }
+    messages[code] = translations;
+  }
+
+  // 未在语言列表中声明的语言文件
+  for (const name of files.keys()) {
+    const match = name.match(/^languages\/(.+)\.json$/);
+    if (match && !codes.includes(match[1])) errors.push(`${name} is not listed in language-list.json`);
+  }
+
+  if (errors.length > 0) throw new PackageError('Invalid language package', errors);
+  return { languageList, messages };
+}
+
+// 计算导入后的完整状态
+//   replace  以语言包为准：语言配置与全部语言文件被替换，语言包中没有的语言被删除
+//   merge    语言包中的 key 覆盖本地同名 key，本地独有的 key 与语言保留；新语言追加到列表，
+//            已有语言的配置（名称、启用状态）以语言包为准，默认 / 回退语言保持本地设置
+function planImport(current, pkg, mode) {
+  const { version, lastUpdated } = current.languageList;
+
+  if (mode === 'replace') {
+    return {
+      languageList: { ...pkg.languageList, version, lastUpdated },
+      messages: pkg.messages
+    };
+  }
+
+  const languages = current.languageList.languages.map(local => {
+    const incoming = pkg.languageList.languages.find(l => l.code === local.code);
+    return incoming ? { ...local, ...incoming } : local;
+  });
+  for (const incoming of pkg.languageList.languages) {
+    if (!languages.some(l => l.code === incoming.code)) languages.push({ file: `${incoming.code}.json`, ...incoming });
+  }
+
+  const messages = { ...current.messages };
+  for (const [code, translations] of Object.entries(pkg.messages)) {
+    const merged = structuredClone(current.messages[code] || {});
+    for (const [key, value] of Object.entries(flattenMessages(translations))) {
+      setNestedKey(merged, key, structuredClone(value));
+    }
+    messages[code] = merged;
+  }
+
+  return {
+    languageList: { ...current.languageList, languages },
+    messages
+  };
+}
+
+// 预览或应用导入；dryRun 时只返回差异，否则写入并整体递增一次版本
+async function importPackage(pkg, { mode = 'merge', dryRun = false, meta = {} } = {}) {
+  const current = await history.captureState();
+  const next = planImport(current, pkg, mode);
+  const diff = diffStates(current, next);
+  const changed = diff.languageListChanged || diff.languagesAdded.length > 0 || Object.keys(diff.messages).length > 0;
+
+  const result = { mode, dryRun, changed, version: null, summary: summarizeDiff(diff), diff };
+  if (dryRun || !changed) return result;
+
+  // 新增语言即使没有任何 key（{}）也要写入文件；replace 时以语言包为准写入全部语言
+  const codes = mode === 'replace'
+    ? Object.keys(next.messages)
+    : [...new Set([...Object.keys(diff.messages), ...diff.languagesAdded])];
+  for (const code of codes) {
+    if (!diff.languagesRemoved.includes(code)) await storage.writeLanguage(code, next.messages[code]);
+  }
+  for (const code of diff.languagesRemoved) {
+    await storage.removeLanguage(code);
+  }
+  await storage.writeLanguageList(next.languageList);
+
+  const { version } = await incrementVersion({ ...meta, importMode: mode });
+  result.version = version;
+  return result;
+}
+
+module.exports = {
+  MAX_PACKAGE_BYTES,
+  PackageError,
+  readPackage,
+  importPackage
+};
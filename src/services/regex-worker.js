@@ -0,0 +1,15 @@
+const { parentPort, workerData } = require('worker_threads');
+
+// 搜索 regex 模式的执行线程：用户提供的正则可能发生灾难性回溯，
+// 放在独立线程中执行，超时后由主线程 terminate，不会阻塞服务
+// workerData { source, flags, texts }，返回与 texts 一一对应的 [[start, end]]
+const { source, flags, texts } = workerData;
+const pattern = new RegExp(source, flags);
+
+parentPort.postMessage(texts.map((text) => {
+  const ranges = [];
+  for (const match of text.matchAll(pattern)) {
+    if (match[0].length > 0) ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+}));
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('../storage');
+const { writeJsonAtomic } = require('../utils/fs');
+
+// 界面截图：图片保存在 data/screenshots/<id>.<ext>，索引保存在 data/screenshots/index.json
+//   { screenshots: [{ id, file, originalName, mimeType, size, links: [{ key, highlights: [{ x, y, width, height }] }], uploadedBy, createdAt, updatedAt }] }
+// 截图至少关联一个 key；delete-key 删除了截图关联的最后一个 key 时，截图随之删除
+const SCREENSHOTS_DIR = path.join(DATA_DIR, 'screenshots');
+const INDEX_FILE = path.join(SCREENSHOTS_DIR, 'index.json');
+const MAX_BYTES = Number(process.env.I18N_SCREENSHOT_MAX_BYTES) || 5 * 1024 * 1024;
+
+// 按文件头识别图片类型，不信任上传时声明的 Content-Type
+const IMAGE_TYPES = [
+  { mimeType: 'image/png', ext: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/jpeg', ext: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/gif', ext: 'gif', test: (b) => b.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { mimeType: 'image/webp', ext: 'webp', test: (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+function detectImageType(buffer) {
+  return IMAGE_TYPES.find(type => buffer.length >= 12 && type.test(buffer)) || null;
+}
+
+async function readScreenshots() {
+  if (!await fs.pathExists(INDEX_FILE)) return [];
+  return (await fs.readJson(INDEX_FILE)).screenshots || [];
+}
+
+async function writeScreenshots(screenshots) {
+  await writeJsonAtomic(INDEX_FILE, { screenshots });
+}
+
+const filePath = (screenshot) => path.join(SCREENSHOTS_DIR, screenshot.file);
+
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// 校验关联：[{ key, highlights?: [{ x, y, width, height }] }]，坐标为图片像素；返回错误列表
+function validateLinks(links, knownKeys) {
+  if (!Array.isArray(links) || links.length === 0) return ['links must be a non-empty array'];
+  const errors = [];
+  links.forEach((link, i) => {
+    if (!link || typeof link.key !== 'string' || link.key === '') {
+      errors.push(`links[${i}].key must be a non-empty string`);
+      return;
+    }
+    if (!knownKeys.has(link.key)) errors.push(`links[${i}]: key ${link.key} not found`);
+    if (link.highlights === undefined) return;
+    if (!Array.isArray(link.highlights)) {
+      errors.push(`links[${i}].highlights must be an array`);
+      return;
+    }
+    link.highlights.forEach((rect, j) => {
+      const valid = rect && ['x', 'y', 'width', 'height'].every(field => isNonNegative(rect[field])) && rect.width > 0 && rect.height > 0;
+      if (!valid) errors.push(`links[${i}].highlights[${j}] must be { x, y, width, height } with non-negative numbers and a positive size`);
+    });
+  });
+  return errors;
+}
+
+// 同一 key 只保留最后一条关联
+function normalizeLinks(links) {
+  const byKey = new Map();
+  for (const { key, highlights = [] } of links) {
+    byKey.set(key, { key, highlights: highlights.map(({ x, y, width, height }) => ({ x, y, width, height })) });
+  }
+  return [...byKey.values()];
+}
+
+async function createScreenshot({ buffer, type, originalName, links, actor = 'anonymous' }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const screenshot = {
+    id,
+    file: `${id}.${type.ext}`,
+    originalName: originalName || null,
+    mimeType: type.mimeType,
+    size: buffer.length,
+    links: normalizeLinks(links),
+    uploadedBy: actor,
+    createdAt: now,
+    updatedAt: now
+  };
+  await fs.ensureDir(SCREENSHOTS_DIR);
+  await fs.writeFile(filePath(screenshot), buffer);
+  const screenshots = await readScreenshots();
+  screenshots.push(screenshot);
+  await writeScreenshots(screenshots);
+  return screenshot;
+}
+
+// 整体替换关联
+async function updateLinks(id, links) {
+  const screenshots = await readScreenshots();
+  const screenshot = screenshots.find(s => s.id === id);
+  if (!screenshot) return null;
+  screenshot.links = normalizeLinks(links);
+  screenshot.updatedAt = new Date().toISOString();
+  await writeScreenshots(screenshots);
+  return screenshot;
+}
+
+async function removeScreenshots(screenshots, ids) {
+  const remaining = screenshots.filter(s => !ids.includes(s.id));
+  await writeScreenshots(remaining);
+  for (const screenshot of screenshots.filter(s => ids.includes(s.id))) {
+    await fs.remove(filePath(screenshot));
+  }
+}
+
+async function deleteScreenshot(id) {
+  const screenshots = await readScreenshots();
+  if (!screenshots.some(s => s.id === id)) return false;
+  await removeScreenshots(screenshots, [id]);
+  return true;
+}
+
+const inTree = (key, root) => key === root || key.startsWith(`${root}.`);
+
+// delete-key：解除 key（及其子 key）的关联，不再关联任何 key 的截图连同图片一起删除
+// 返回 { unlinked: [id], removed: [id] }
+async function unlinkKey(key) {
+  const screenshots = await readScreenshots();
+  const unlinked = [];
+  const removed = [];
+  for (const screenshot of screenshots) {
+    const links = screenshot.links.filter(link => !inTree(link.key, key));
+    if (links.length === screenshot.links.length) continue;
+    if (links.length === 0) {
+      removed.push(screenshot.id);
+    } else {
+      screenshot.links = links;
+      screenshot.updatedAt = new Date().toISOString();
+      unlinked.push(screenshot.id);
+    }
+  }
+  if (unlinked.length > 0 || removed.length > 0) await removeScreenshots(screenshots, removed);
+  return { unlinked, removed };
+}
+
+// rename-key：关联随 key（及其子 key）迁移；截图上已有的新 key 关联只在 overwrite 时被替换（同 renameMeta）
+async function renameKey(oldKey, newKey, { overwrite = false } = {}) {
+  const screenshots = await readScreenshots();
+  const renamed = (key) => newKey + key.slice(oldKey.length);
+  let changed = 0;
+  for (const screenshot of screenshots) {
+    if (!screenshot.links.some(link => inTree(link.key, oldKey))) continue;
+    const targets = new Set(screenshot.links.filter(link => inTree(link.key, oldKey)).map(link => renamed(link.key)));
+    const existing = new Set(screenshot.links.filter(link => !inTree(link.key, oldKey)).map(link => link.key));
+    const links = [];
+    for (const link of screenshot.links) {
+      if (!inTree(link.key, oldKey)) {
+        if (!(overwrite && targets.has(link.key))) links.push(link);
+      } else if (overwrite || !existing.has(renamed(link.key))) {
+        links.push({ ...link, key: renamed(link.key) });
+      }
+    }
+    screenshot.links = normalizeLinks(links);
+    screenshot.updatedAt = new Date().toISOString();
+    changed++;
+  }
+  if (changed > 0) await writeScreenshots(screenshots);
+  return changed;
+}
+
+module.exports = {
+  MAX_BYTES,
+  detectImageType,
+  readScreenshots,
+  filePath,
+  validateLinks,
+  createScreenshot,
+  updateLinks,
+  deleteScreenshot,
+  unlinkKey,
+  renameKey
+};
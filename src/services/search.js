@@ -0,0 +1,153 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { readFlatMessages } = require('./flat-messages');
+const keyMeta = require('./key-meta');
+const { foldText } = require('../utils/text');
+
+// 全文搜索：在拍平后的 key 路径与各语言的值中查找
+//   substring  子串匹配
+//   prefix     从词首开始匹配：key 按 . 分段；值按 Intl.Segmenter 分词（中日文、泰文没有空格也能正确分词）
+//   regex      JavaScript 正则（u 标志），直接作用于原文；在独立线程中执行，超过 REGEX_TIMEOUT_MS 时中止
+// substring / prefix 比较前做 NFKC 归一化（全角 / 半角统一），默认忽略大小写；高亮位置为原文中的 [start, end)
+const MODES = ['substring', 'prefix', 'regex'];
+const MAX_QUERY_LENGTH = 200;
+const REGEX_TIMEOUT_MS = Number(process.env.I18N_SEARCH_REGEX_TIMEOUT_MS) || 1000;
+
+class RegexTimeoutError extends Error {}
+
+// 归一化结果按版本缓存，数据变化（版本递增）后重建
+let foldCache = { version: null, texts: new Map() };
+
+function fold(text, caseSensitive) {
+  const id = `${caseSensitive ? 1 : 0}\u0000${text}`;
+  if (!foldCache.texts.has(id)) foldCache.texts.set(id, foldText(text, { caseSensitive }));
+  return foldCache.texts.get(id);
+}
+
+const segmenters = new Map();
+function wordStarts(text, language) {
+  if (!segmenters.has(language)) {
+    let segmenter;
+    try {
+      segmenter = new Intl.Segmenter(language, { granularity: 'word' });
+    } catch {
+      segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+    }
+    segmenters.set(language, segmenter);
+  }
+  return [...segmenters.get(language).segment(text)].filter(s => s.isWordLike).map(s => s.index);
+}
+
+// 在 worker 线程中对 texts 执行正则，返回 Map(text => [[start, end]])；超时抛出 RegexTimeoutError
+function runRegex(pattern, texts) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'regex-worker.js'), {
+      workerData: { source: pattern.source, flags: pattern.flags, texts }
+    });
+    const timer = setTimeout(() => {
+      worker.terminate();
+      reject(new RegexTimeoutError(`Regular expression took longer than ${REGEX_TIMEOUT_MS} ms`));
+    }, REGEX_TIMEOUT_MS);
+    worker.once('message', (ranges) => {
+      clearTimeout(timer);
+      resolve(new Map(texts.map((text, i) => [text, ranges[i]])));
+    });
+    worker.once('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+// 生成匹配函数 (text, language) => [[start, end]]；language 为 null 时表示匹配 key 路径
+// regex 模式的匹配结果由 runRegex 预先算出，通过 regexRanges 传入
+function createMatcher(query, { mode = 'substring', caseSensitive = false, regexRanges = new Map() } = {}) {
+  if (mode === 'regex') return (text) => regexRanges.get(text) || [];
+
+  const needle = foldText(query, { caseSensitive }).text;
+  const range = (folded, at) => [folded.starts[at], folded.ends[at + needle.length - 1]];
+
+  if (mode === 'prefix') {
+    return (text, language) => {
+      const folded = fold(text, caseSensitive);
+      const starts = language === null
+        ? [0, ...[...text.matchAll(/\./g)].map(m => m.index + 1)]
+        : wordStarts(text, language);
+      return starts
+        .map(index => folded.offsets[index])
+        .filter(at => at !== undefined && folded.text.startsWith(needle, at))
+        .map(at => range(folded, at));
+    };
+  }
+
+  return (text) => {
+    const folded = fold(text, caseSensitive);
+    const ranges = [];
+    for (let at = folded.text.indexOf(needle); at !== -1; at = folded.text.indexOf(needle, at + needle.length)) {
+      ranges.push(range(folded, at));
+    }
+    return ranges;
+  };
+}
+
+// 搜索；fields 为 ['key', 'value'] 的子集，languages 为要搜索与返回的语言（默认全部）
+// 返回 { total, offset, limit, results: [{ key, keyHighlights, matchedLanguages, values: { code: { value, highlights } }, meta }] }
+async function search({ query, mode = 'substring', fields = ['key', 'value'], languages = null, caseSensitive = false, offset = 0, limit = 20 }) {
+  const { languageList, messages } = await readFlatMessages();
+  if (foldCache.version !== languageList.version) foldCache = { version: languageList.version, texts: new Map() };
+  const codes = languages || languageList.languages.map(l => l.code);
+  const meta = await keyMeta.readMeta();
+
+  const keys = new Set();
+  for (const code of codes) Object.keys(messages[code] || {}).forEach(key => keys.add(key));
+
+  let regexRanges;
+  if (mode === 'regex') {
+    const texts = new Set();
+    for (const key of keys) {
+      if (fields.includes('key')) texts.add(key);
+      if (!fields.includes('value')) continue;
+      for (const code of codes) {
+        const value = (messages[code] || {})[key];
+        if (typeof value === 'string' && value !== '') texts.add(value);
+      }
+    }
+    // 先在主线程编译，无效的正则直接抛出 SyntaxError
+    const pattern = new RegExp(query, caseSensitive ? 'gu' : 'giu');
+    regexRanges = await runRegex(pattern, [...texts]);
+  }
+  const match = createMatcher(query, { mode, caseSensitive, regexRanges });
+
+  const results = [];
+  for (const key of [...keys].sort()) {
+    const keyHighlights = fields.includes('key') ? match(key, null) : [];
+    const values = {};
+    const matchedLanguages = [];
+    for (const code of codes) {
+      const value = (messages[code] || {})[key];
+      if (typeof value !== 'string') continue;
+      const highlights = fields.includes('value') && value !== '' ? match(value, code) : [];
+      if (highlights.length > 0) matchedLanguages.push(code);
+      values[code] = { value, highlights };
+    }
+    if (keyHighlights.length > 0 || matchedLanguages.length > 0) {
+      results.push({ key, keyHighlights, matchedLanguages, values });
+    }
+  }
+
+  return {
+    total: results.length,
+    offset,
+    limit,
+    results: results.slice(offset, offset + limit).map(result => ({ ...result, meta: meta[result.key] || null }))
+  };
+}
+
+module.exports = {
+  MODES,
+  MAX_QUERY_LENGTH,
+  REGEX_TIMEOUT_MS,
+  RegexTimeoutError,
+  createMatcher,
+  search
+};
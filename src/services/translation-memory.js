@@ -0,0 +1,70 @@
+const { getStorage } = require('../storage');
+const { flattenMessages } = require('../utils/keys');
+const { normalizeText, similarity } = require('../utils/text');
+
+// 翻译记忆：由现有语言文件中的 源文本 -> 译文 对构成，相同的文本对合并并记录来源 key
+// 按 版本 + 语言对 缓存，数据变化（版本递增）后自动重建
+const storage = getStorage();
+
+// 查询文本长度上限：编辑距离的计算量与两段文本长度之积成正比，过长的 text 会拖慢整个进程
+const MAX_TEXT_LENGTH = 500;
+
+let cache = { version: null, memories: new Map() };
+
+async function getMemory(sourceLanguage, targetLanguage) {
+  const { version } = await storage.readLanguageList();
+  if (cache.version !== version) cache = { version, memories: new Map() };
+
+  const id = `${sourceLanguage}>${targetLanguage}`;
+  if (!cache.memories.has(id)) {
+    const sources = flattenMessages((await storage.readLanguage(sourceLanguage)) || {});
+    const targets = flattenMessages((await storage.readLanguage(targetLanguage)) || {});
+    const pairs = new Map();
+    for (const [key, source] of Object.entries(sources)) {
+      const target = targets[key];
+      if (typeof source !== 'string' || typeof target !== 'string' || source.trim() === '' || target.trim() === '') continue;
+      const pairId = `${source}\u0000${target}`;
+      if (!pairs.has(pairId)) pairs.set(pairId, { source, target, normalized: normalizeText(source), keys: [] });
+      pairs.get(pairId).keys.push(key);
+    }
+    cache.memories.set(id, [...pairs.values()]);
+  }
+  return cache.memories.get(id);
+}
+
+// 查询与 text 相同或相近的源文本对应的译文
+//   exact   归一化后完全相同（score 为 1）
+//   fuzzy   相似度不低于 minScore
+// 结果按 score 降序；excludeKey 用于编辑某个 key 时排除其自身
+async function suggest({ text, sourceLanguage, targetLanguage, minScore = 0.6, limit = 10, excludeKey = null }) {
+  const memory = await getMemory(sourceLanguage, targetLanguage);
+  const query = normalizeText(text);
+  const queryLength = Array.from(query).length;
+  const matches = [];
+
+  for (const entry of memory) {
+    const keys = excludeKey ? entry.keys.filter(key => key !== excludeKey) : entry.keys;
+    if (keys.length === 0) continue;
+
+    if (entry.normalized === query) {
+      matches.push({ match: 'exact', score: 1, source: entry.source, target: entry.target, keys });
+      continue;
+    }
+    // 长度差过大时相似度不可能达到阈值，跳过编辑距离计算
+    const entryLength = Array.from(entry.normalized).length;
+    if (Math.abs(entryLength - queryLength) > (1 - minScore) * Math.max(entryLength, queryLength)) continue;
+
+    const score = similarity(query, entry.normalized);
+    if (score >= minScore) {
+      matches.push({ match: 'fuzzy', score: Math.round(score * 1000) / 1000, source: entry.source, target: entry.target, keys });
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score || b.keys.length - a.keys.length);
+  return matches.slice(0, limit);
+}
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  suggest
+};
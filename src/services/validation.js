@@ -0,0 +1,45 @@
+const { getStorage } = require('../storage');
+const { compareMessages, parseMessage } = require('../formats/message');
+const { flattenMessages } = require('../utils/keys');
+
+// 写入前的消息校验：按 vue-i18n / ICU 语法解析每个值，并与默认语言同一 key 的值比较占位符、复数分支与链接消息
+const storage = getStorage();
+
+// 严格模式：有校验错误时拒绝写入（请求体 strict: true 也可单次开启）
+const STRICT = process.env.I18N_VALIDATION_STRICT === 'true';
+
+// updates = { code: { key: value } }（拍平后的 key）
+// 返回 [{ language, key, type, message, ... }]，空值（未翻译）不检查
+async function validateTranslations(updates) {
+  const { defaultLanguage } = await storage.readLanguageList();
+  const sources = {
+    ...flattenMessages((await storage.readLanguage(defaultLanguage)) || {}),
+    ...(updates[defaultLanguage] || {})
+  };
+  // 链接消息可以引用已有的 key 与本次写入的 key
+  const knownKeys = new Set(Object.keys(sources));
+  for (const values of Object.values(updates)) {
+    Object.keys(values).forEach(key => knownKeys.add(key));
+  }
+
+  const errors = [];
+  for (const [language, values] of Object.entries(updates)) {
+    for (const [key, value] of Object.entries(values)) {
+      if (typeof value !== 'string' || value === '') continue;
+      const parsed = parseMessage(value);
+      const issues = language === defaultLanguage
+        ? parsed.errors.map(error => ({ type: 'syntax', message: error.message, offset: error.offset }))
+        : compareMessages(sources[key], value);
+      for (const link of parsed.links) {
+        if (!knownKeys.has(link)) issues.push({ type: 'link_unknown', message: `Linked message @:${link} does not exist`, links: [link] });
+      }
+      issues.forEach(issue => errors.push({ language, key, ...issue }));
+    }
+  }
+  return errors;
+}
+
+module.exports = {
+  STRICT,
+  validateTranslations
+};
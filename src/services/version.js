@@ -0,0 +1,139 @@
+const fs = require('fs-extra');
+const path = require('path');
+const EventEmitter = require('events');
+const archiver = require('archiver');
+const { getStorage } = require('../storage');
+const history = require('./history');
+const audit = require('./audit');
+
+const storage = getStorage();
+const DOWNLOADS_DIR = process.env.I18N_DOWNLOADS_DIR
+  ? path.resolve(process.env.I18N_DOWNLOADS_DIR)
+  : path.join(__dirname, '../../downloads');
+
+// 确保下载目录存在
+fs.ensureDirSync(DOWNLOADS_DIR);
+
+// 版本事件：每次版本递增（快照、审计、打包完成后）触发 'version-changed'，
+// 供 Webhook 等订阅；监听器不应抛出异常或阻塞
+const versionEvents = new EventEmitter();
+
+// 自动递增版本号
+// meta: 变更上下文 { actor, route, ... }，记录到版本历史
+async function incrementVersion(meta = {}) {
+  try {
+    const languageList = await storage.readLanguageList();
+    const currentVersion = languageList.version || '1.0.0';
+    const versionParts = currentVersion.split('.').map(Number);
+    
+    // 确保有三段版本号
+    while (versionParts.length < 3) {
+      versionParts.push(0);
+    }
+    
+    // 三段式版本号自增逻辑，每段满100进位
+    versionParts[2] = (versionParts[2] || 0) + 1;
+    
+    // 检查进位
+    if (versionParts[2] >= 100) {
+      versionParts[2] = 0;
+      versionParts[1] = (versionParts[1] || 0) + 1;
+      
+      if (versionParts[1] >= 100) {
+        versionParts[1] = 0;
+        versionParts[0] = (versionParts[0] || 0) + 1;
+      }
+    }
+    
+    const newVersion = versionParts.join('.');
+    const now = new Date().toISOString();
+    
+    // 更新版本号和最后更新时间
+    languageList.version = newVersion;
+    languageList.lastUpdated = now;
+    
+    await storage.writeLanguageList(languageList);
+    
+    // 记录版本历史（差异 / 检查点）与变更摘要，并按 key 级差异写入审计日志
+    const { entry, diff } = await history.recordVersion({ ...meta, previousVersion: currentVersion });
+    await audit.recordChanges(entry, diff);
+    
+    // 自动创建新版本的语言包
+    const fileName = await createLanguagePackage(newVersion);
+    
+    const changes = entry.changes || {};
+    versionEvents.emit('version-changed', {
+      version: newVersion,
+      previousVersion: currentVersion,
+      lastUpdated: now,
+      actor: entry.actor,
+      route: entry.route,
+      languages: Object.keys(changes.languages || {}),
+      languagesAdded: changes.languagesAdded || [],
+      languagesRemoved: changes.languagesRemoved || [],
+      keys: changes.keys || [],
+      keyCount: changes.keyCount || 0,
+      packageFile: fileName
+    });
+    
+    return { version: newVersion, lastUpdated: now };
+  } catch (error) {
+    console.error('Error incrementing version:', error);
+    throw error;
+  }
+}
+
+// 创建语言包函数
+async function createLanguagePackage(version) {
+  try {
+    const fileName = `language-${version}.zip`;
+    const zipPath = path.join(DOWNLOADS_DIR, fileName);
+    
+    // 删除旧的同名文件（如果存在）
+    if (await fs.pathExists(zipPath)) {
+      await fs.remove(zipPath);
+    }
+    
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    
+    return new Promise((resolve, reject) => {
+      output.on('close', () => {
+        console.log(`Language package created: ${fileName} (${archive.pointer()} bytes)`);
+        resolve(fileName);
+      });
+      
+      archive.on('error', (err) => {
+        console.error('Archive error:', err);
+        reject(err);
+      });
+      
+      archive.pipe(output);
+      
+      // 从存储读取内容写入压缩包（与存储实现无关）
+      (async () => {
+        // 添加语言配置文件
+        const languageList = await storage.readLanguageList();
+        archive.append(JSON.stringify(languageList, null, 2), { name: 'language-list.json' });
+        
+        // 添加所有语言文件
+        for (const code of await storage.listLanguageCodes()) {
+          const translations = await storage.readLanguage(code);
+          archive.append(JSON.stringify(translations, null, 2), { name: `languages/${code}.json` });
+        }
+        
+        await archive.finalize();
+      })().catch(reject);
+    });
+  } catch (error) {
+    console.error('Error creating language package:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  DOWNLOADS_DIR,
+  versionEvents,
+  incrementVersion,
+  createLanguagePackage
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { DATA_DIR } = require('../storage');
+const { writeJsonAtomic } = require('../utils/fs');
+const { versionEvents } = require('./version');
+
+// Webhook：版本递增后向已注册地址 POST 通知，使用 HMAC-SHA256 签名，失败按指数退避重试
+//   data/webhooks.json  { webhooks: [{ id, url, secret, description, enabled, createdAt, updatedAt }] }
+const WEBHOOKS_FILE = path.join(DATA_DIR, 'webhooks.json');
+
+const MAX_ATTEMPTS = Number(process.env.I18N_WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_MS = Number(process.env.I18N_WEBHOOK_RETRY_BASE_MS) || 1000;
+const TIMEOUT_MS = Number(process.env.I18N_WEBHOOK_TIMEOUT_MS) || 10000;
+// 对外可访问的服务地址，用于生成绝对下载链接（未配置时为相对路径）
+const PUBLIC_BASE_URL = (process.env.I18N_PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+// 最近的投递记录只保存在内存中
+const MAX_DELIVERY_LOG = 50;
+const deliveryLog = new Map(); // webhookId -> [delivery]
+
+async function readWebhooks() {
+  if (!await fs.pathExists(WEBHOOKS_FILE)) return [];
+  return (await fs.readJson(WEBHOOKS_FILE)).webhooks || [];
+}
+
+async function writeWebhooks(webhooks) {
+  await writeJsonAtomic(WEBHOOKS_FILE, { webhooks });
+}
+
+// 对外展示时隐藏密钥
+const maskSecret = ({ secret, ...webhook }) => ({ ...webhook, secret: secret ? `${secret.slice(0, 4)}****` : null });
+
+function validateUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+async function createWebhook({ url, secret, description = '', enabled = true }) {
+  const webhooks = await readWebhooks();
+  const now = new Date().toISOString();
+  const webhook = {
+    id: crypto.randomUUID(),
+    url,
+    secret: secret || crypto.randomBytes(24).toString('hex'),
+    description,
+    enabled,
+    createdAt: now,
+    updatedAt: now
+  };
+  webhooks.push(webhook);
+  await writeWebhooks(webhooks);
+  return webhook;
+}
+
+async function updateWebhook(id, changes) {
+  const webhooks = await readWebhooks();
+  const webhook = webhooks.find(w => w.id === id);
+  if (!webhook) return null;
+  for (const field of ['url', 'secret', 'description', 'enabled']) {
+    if (changes[field] !== undefined) webhook[field] = changes[field];
+  }
+  webhook.updatedAt = new Date().toISOString();
+  await writeWebhooks(webhooks);
+  return webhook;
+}
+
+async function deleteWebhook(id) {
+  const webhooks = await readWebhooks();
+  const remaining = webhooks.filter(w => w.id !== id);
+  if (remaining.length === webhooks.length) return false;
+  await writeWebhooks(remaining);
+  deliveryLog.delete(id);
+  return true;
+}
+
+function logDelivery(webhookId, delivery) {
+  const log = deliveryLog.get(webhookId) || [];
+  const index = log.findIndex(d => d.id === delivery.id);
+  if (index === -1) log.unshift(delivery);
+  else log[index] = delivery;
+  deliveryLog.set(webhookId, log.slice(0, MAX_DELIVERY_LOG));
+}
+
+function getDeliveries(webhookId) {
+  return deliveryLog.get(webhookId) || [];
+}
+
+const sign = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// 投递一次事件（失败时按 RETRY_BASE_MS * 2^n 退避重试，最多 MAX_ATTEMPTS 次）
+// 返回首次尝试的结果 Promise，后续重试在后台进行
+function deliver(webhook, event, payload) {
+  const body = JSON.stringify({ event, ...payload });
+  const delivery = {
+    id: crypto.randomUUID(),
+    event,
+    version: payload.version || null,
+    status: 'pending',
+    attempts: 0,
+    responseStatus: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    completedAt: null
+  };
+
+  const attempt = async () => {
+    delivery.attempts += 1;
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'vue3-i18n-api-webhook',
+          'X-I18n-Event': event,
+          'X-I18n-Delivery': delivery.id,
+          'X-I18n-Signature': sign(webhook.secret, body)
+        },
+        body,
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      delivery.responseStatus = response.status;
+      if (!response.ok) throw new Error(`Receiver responded with ${response.status}`);
+      delivery.status = 'success';
+      delivery.error = null;
+      delivery.completedAt = new Date().toISOString();
+    } catch (error) {
+      delivery.error = error.message;
+      if (delivery.attempts < MAX_ATTEMPTS) {
+        delivery.status = 'retrying';
+        const timer = setTimeout(attempt, RETRY_BASE_MS * 2 ** (delivery.attempts - 1));
+        timer.unref();
+      } else {
+        delivery.status = 'failed';
+        delivery.completedAt = new Date().toISOString();
+        console.error(`Webhook ${webhook.id} delivery ${delivery.id} failed after ${delivery.attempts} attempts:`, error.message);
+      }
+    }
+    logDelivery(webhook.id, { ...delivery });
+    return { ...delivery };
+  };
+
+  logDelivery(webhook.id, { ...delivery });
+  return attempt();
+}
+
+const downloadUrl = (fileName) => `${PUBLIC_BASE_URL}/api/i18n/download/file/${fileName}`;
+
+// 版本递增后通知全部启用的 Webhook（不阻塞写请求）
+versionEvents.on('version-changed', (change) => {
+  const { packageFile, ...rest } = change;
+  const payload = { ...rest, downloadUrl: downloadUrl(packageFile) };
+  readWebhooks()
+    .then(webhooks => {
+      for (const webhook of webhooks.filter(w => w.enabled)) {
+        deliver(webhook, 'version-changed', payload);
+      }
+    })
+    .catch(error => console.error('Failed to dispatch webhooks:', error));
+});
+
+module.exports = {
+  readWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  deliver,
+  maskSecret,
+  validateUrl
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+const JsonFileStore = require('./json-store');
+
+// 数据目录，可用 I18N_DATA_DIR 指定（测试时指向临时目录）
+const DATA_DIR = process.env.I18N_DATA_DIR
+  ? path.resolve(process.env.I18N_DATA_DIR)
+  : path.join(__dirname, '../../data');
+const LANGUAGES_DIR = path.join(DATA_DIR, 'languages');
+const LANGUAGE_LIST_FILE = path.join(DATA_DIR, 'language-list.json');
+
+let storage = null;
+
+// 根据环境变量创建存储实现：
+//   I18N_STORAGE=json（默认）  使用 data/ 下的 JSON 文件
+//   I18N_STORAGE=sqlite        使用内嵌 SQLite（I18N_SQLITE_FILE，默认 data/i18n.sqlite），首次启动自动导入 JSON 数据
+function createStorage(type = process.env.I18N_STORAGE || 'json') {
+  switch (type) {
+    case 'json':
+      return new JsonFileStore({ languageListFile: LANGUAGE_LIST_FILE, languagesDir: LANGUAGES_DIR });
+    case 'sqlite': {
+      const SqliteStore = require('./sqlite-store');
+      const file = process.env.I18N_SQLITE_FILE
+        ? path.resolve(process.env.I18N_SQLITE_FILE)
+        : path.join(DATA_DIR, 'i18n.sqlite');
+      return new SqliteStore({
+        file,
+        seedFrom: { languageListFile: LANGUAGE_LIST_FILE, languagesDir: LANGUAGES_DIR }
+      });
+    }
+    default:
+      throw new Error(`Unknown I18N_STORAGE type: ${type}`);
+  }
+}
+
+// 进程内共享同一个存储实例
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+module.exports = {
+  DATA_DIR,
+  createStorage,
+  getStorage
+};
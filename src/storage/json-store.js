@@ -0,0 +1,78 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getNestedValue, setNestedKey, deleteNestedKey } = require('../utils/keys');
+const { writeJsonAtomic } = require('../utils/fs');
+
+// JSON 文件存储：language-list.json + languages/<code>.json（默认实现）
+class JsonFileStore {
+  constructor({ languageListFile, languagesDir }) {
+    this.type = 'json';
+    this.languageListFile = languageListFile;
+    this.languagesDir = languagesDir;
+    fs.ensureDirSync(languagesDir);
+  }
+
+  languageFile(code) {
+    return path.join(this.languagesDir, `${code}.json`);
+  }
+
+  async readLanguageList() {
+    return fs.readJson(this.languageListFile);
+  }
+
+  async writeLanguageList(languageList) {
+    await writeJsonAtomic(this.languageListFile, languageList);
+  }
+
+  // 存储中实际存在的语言代码（不一定都在 language-list 中）
+  async listLanguageCodes() {
+    const files = await fs.readdir(this.languagesDir);
+    return files.filter(f => f.endsWith('.json')).map(f => f.slice(0, -'.json'.length));
+  }
+
+  async hasLanguage(code) {
+    return fs.pathExists(this.languageFile(code));
+  }
+
+  // 语言不存在时返回 null
+  async readLanguage(code) {
+    const filePath = this.languageFile(code);
+    if (!await fs.pathExists(filePath)) return null;
+    return fs.readJson(filePath);
+  }
+
+  async writeLanguage(code, translations) {
+    await writeJsonAtomic(this.languageFile(code), translations);
+  }
+
+  async removeLanguage(code) {
+    const filePath = this.languageFile(code);
+    if (await fs.pathExists(filePath)) {
+      await fs.remove(filePath);
+    }
+  }
+
+  async getKey(code, keyPath) {
+    const data = await this.readLanguage(code);
+    return data ? getNestedValue(data, keyPath) : undefined;
+  }
+
+  // 语言文件不存在时自动创建
+  async setKey(code, keyPath, value) {
+    const data = (await this.readLanguage(code)) || {};
+    setNestedKey(data, keyPath, value);
+    await this.writeLanguage(code, data);
+  }
+
+  async deleteKey(code, keyPath, { cleanEmpty = true } = {}) {
+    const data = await this.readLanguage(code);
+    if (!data) return false;
+    const removed = deleteNestedKey(data, keyPath, cleanEmpty);
+    if (removed) {
+      await this.writeLanguage(code, data);
+    }
+    return removed;
+  }
+}
+
+module.exports = JsonFileStore;
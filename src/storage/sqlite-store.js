@@ -0,0 +1,175 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { flattenMessages, unflattenMessages } = require('../utils/keys');
+
+const LANGUAGE_LIST_META = 'language-list';
+
+// 内嵌 SQLite 存储：每个 key 一行，单 key 修改不再整文件重写
+// 值以 JSON 文本保存；按 rowid 排序读取，保持 key 的插入顺序
+class SqliteStore {
+  constructor({ file, seedFrom }) {
+    // 仅在选用 SQLite 时才加载原生模块（optionalDependencies，安装失败时给出明确提示）
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error(`I18N_STORAGE=sqlite requires the optional better-sqlite3 module, which is not installed or failed to load (${error.message}); run "npm install better-sqlite3" or use I18N_STORAGE=json`);
+    }
+    fs.ensureDirSync(path.dirname(file));
+    this.type = 'sqlite';
+    this.file = file;
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS meta (
+        name TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS languages (
+        code TEXT PRIMARY KEY
+      );
+      CREATE TABLE IF NOT EXISTS messages (
+        code TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (code, key)
+      );
+    `);
+
+    this.stmts = {
+      getMeta: this.db.prepare('SELECT value FROM meta WHERE name = ?'),
+      setMeta: this.db.prepare('INSERT INTO meta (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value'),
+      listCodes: this.db.prepare('SELECT code FROM languages ORDER BY rowid'),
+      hasLanguage: this.db.prepare('SELECT 1 FROM languages WHERE code = ?'),
+      addLanguage: this.db.prepare('INSERT OR IGNORE INTO languages (code) VALUES (?)'),
+      removeLanguage: this.db.prepare('DELETE FROM languages WHERE code = ?'),
+      allMessages: this.db.prepare('SELECT key, value FROM messages WHERE code = ? ORDER BY rowid'),
+      clearMessages: this.db.prepare('DELETE FROM messages WHERE code = ?'),
+      getMessage: this.db.prepare('SELECT value FROM messages WHERE code = ? AND key = ?'),
+      subtree: this.db.prepare('SELECT key, value FROM messages WHERE code = ? AND substr(key, 1, length(?)) = ? ORDER BY rowid'),
+      countSubtree: this.db.prepare('SELECT COUNT(*) AS n FROM messages WHERE code = ? AND substr(key, 1, length(?)) = ?'),
+      upsertMessage: this.db.prepare('INSERT INTO messages (code, key, value) VALUES (?, ?, ?) ON CONFLICT(code, key) DO UPDATE SET value = excluded.value'),
+      deleteMessage: this.db.prepare('DELETE FROM messages WHERE code = ? AND key = ?'),
+      deleteSubtree: this.db.prepare('DELETE FROM messages WHERE code = ? AND substr(key, 1, length(?)) = ?')
+    };
+
+    if (seedFrom && !this.stmts.getMeta.get(LANGUAGE_LIST_META)) {
+      this.importFromJson(seedFrom);
+    }
+  }
+
+  // 首次启动时从现有 JSON 文件导入，实现平滑迁移
+  importFromJson({ languageListFile, languagesDir }) {
+    if (!fs.pathExistsSync(languageListFile)) return;
+    const languageList = fs.readJsonSync(languageListFile);
+    const seed = this.db.transaction(() => {
+      this.stmts.setMeta.run(LANGUAGE_LIST_META, JSON.stringify(languageList));
+      const files = fs.pathExistsSync(languagesDir) ? fs.readdirSync(languagesDir) : [];
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        const code = file.slice(0, -'.json'.length);
+        this.replaceLanguage(code, fs.readJsonSync(path.join(languagesDir, file)));
+      }
+    });
+    seed();
+  }
+
+  replaceLanguage(code, translations) {
+    this.stmts.addLanguage.run(code);
+    this.stmts.clearMessages.run(code);
+    for (const [key, value] of Object.entries(flattenMessages(translations))) {
+      this.stmts.upsertMessage.run(code, key, JSON.stringify(value));
+    }
+  }
+
+  async readLanguageList() {
+    const row = this.stmts.getMeta.get(LANGUAGE_LIST_META);
+    if (!row) throw new Error('Language list not found in SQLite store');
+    return JSON.parse(row.value);
+  }
+
+  async writeLanguageList(languageList) {
+    this.stmts.setMeta.run(LANGUAGE_LIST_META, JSON.stringify(languageList));
+  }
+
+  async listLanguageCodes() {
+    return this.stmts.listCodes.all().map(r => r.code);
+  }
+
+  async hasLanguage(code) {
+    return !!this.stmts.hasLanguage.get(code);
+  }
+
+  async readLanguage(code) {
+    if (!this.stmts.hasLanguage.get(code)) return null;
+    const flat = {};
+    for (const row of this.stmts.allMessages.all(code)) {
+      flat[row.key] = JSON.parse(row.value);
+    }
+    return unflattenMessages(flat);
+  }
+
+  async writeLanguage(code, translations) {
+    this.db.transaction(() => this.replaceLanguage(code, translations))();
+  }
+
+  async removeLanguage(code) {
+    this.db.transaction(() => {
+      this.stmts.clearMessages.run(code);
+      this.stmts.removeLanguage.run(code);
+    })();
+  }
+
+  async getKey(code, keyPath) {
+    const row = this.stmts.getMessage.get(code, keyPath);
+    if (row) return JSON.parse(row.value);
+    const prefix = `${keyPath}.`;
+    const rows = this.stmts.subtree.all(code, prefix, prefix);
+    if (rows.length === 0) return undefined;
+    const flat = {};
+    for (const r of rows) {
+      flat[r.key.slice(prefix.length)] = JSON.parse(r.value);
+    }
+    return unflattenMessages(flat);
+  }
+
+  async setKey(code, keyPath, value) {
+    const prefix = `${keyPath}.`;
+    this.db.transaction(() => {
+      this.stmts.addLanguage.run(code);
+      // 与 setNestedKey 语义一致：祖先若是叶子则被对象替换，原有子树被新值替换
+      const parts = keyPath.split('.');
+      for (let i = 1; i < parts.length; i++) {
+        this.stmts.deleteMessage.run(code, parts.slice(0, i).join('.'));
+      }
+      this.stmts.deleteSubtree.run(code, prefix, prefix);
+      const flat = value && typeof value === 'object' && !Array.isArray(value)
+        ? flattenMessages(value, keyPath)
+        : { [keyPath]: value };
+      if (Object.keys(flat).length === 0) flat[keyPath] = {};
+      for (const [k, v] of Object.entries(flat)) {
+        this.stmts.upsertMessage.run(code, k, JSON.stringify(v));
+      }
+    })();
+  }
+
+  async deleteKey(code, keyPath, { cleanEmpty = true } = {}) {
+    const prefix = `${keyPath}.`;
+    return this.db.transaction(() => {
+      const removed = this.stmts.deleteMessage.run(code, keyPath).changes
+        + this.stmts.deleteSubtree.run(code, prefix, prefix).changes;
+      if (removed === 0) return false;
+      // 不清理空父级时，用空对象占位保留父级结构
+      const parts = keyPath.split('.');
+      if (!cleanEmpty && parts.length > 1) {
+        const parent = parts.slice(0, -1).join('.');
+        const parentPrefix = `${parent}.`;
+        if (this.stmts.countSubtree.get(code, parentPrefix, parentPrefix).n === 0) {
+          this.stmts.upsertMessage.run(code, parent, '{}');
+        }
+      }
+      return true;
+    })();
+  }
+}
+
+module.exports = SqliteStore;
@@ -0,0 +1,60 @@
+// DeepSeek（OpenAI 兼容 Chat Completions 接口）翻译
+// 一次请求翻译一批文本，要求模型以 JSON 返回同样长度的数组
+class DeepSeekProvider {
+  constructor({ apiKey, baseUrl, model, timeoutMs }) {
+    if (!apiKey) throw new Error('DEEPSEEK_API_KEY is not configured');
+    this.name = 'deepseek';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async translate(texts, { from, to }) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0,
+        response_format: { type: 'json_object' },
+        messages: [
+          {
+            role: 'system',
+            content: [
+              `You translate UI strings of a web application from ${from} to ${to}.`,
+              'The user sends a JSON object {"texts": [...]}.',
+              'Reply with a JSON object {"translations": [...]} containing exactly one translation per input text, in the same order.',
+              'Tokens like ⟦0⟧ are placeholders: keep every token exactly once and do not translate or renumber them.',
+              'Keep the translations concise, suitable for buttons, menus and labels.'
+            ].join(' ')
+          },
+          { role: 'user', content: JSON.stringify({ texts }) }
+        ]
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw new Error(`DeepSeek API responded with ${response.status}: ${detail.slice(0, 200)}`);
+    }
+
+    const body = await response.json();
+    let translations;
+    try {
+      translations = JSON.parse(body.choices[0].message.content).translations;
+    } catch (error) {
+      throw new Error(`Unexpected DeepSeek response: ${error.message}`);
+    }
+    if (!Array.isArray(translations) || translations.length !== texts.length) {
+      throw new Error(`DeepSeek returned ${Array.isArray(translations) ? translations.length : 'no'} translations for ${texts.length} texts`);
+    }
+    return translations.map(String);
+  }
+}
+
+module.exports = DeepSeekProvider;
@@ -0,0 +1,36 @@
+const MockProvider = require('./mock-provider');
+
+let provider = null;
+
+// 根据环境变量创建机器翻译实现：
+//   I18N_MT_PROVIDER=deepseek  DeepSeek API（DEEPSEEK_API_KEY，可选 DEEPSEEK_BASE_URL、DEEPSEEK_MODEL）
+//   I18N_MT_PROVIDER=mock      本地模拟翻译
+// 未指定时配置了 DEEPSEEK_API_KEY 则使用 deepseek，否则使用 mock
+function createProvider(type = process.env.I18N_MT_PROVIDER || (process.env.DEEPSEEK_API_KEY ? 'deepseek' : 'mock')) {
+  switch (type) {
+    case 'mock':
+      return new MockProvider();
+    case 'deepseek': {
+      const DeepSeekProvider = require('./deepseek-provider');
+      return new DeepSeekProvider({
+        apiKey: process.env.DEEPSEEK_API_KEY,
+        baseUrl: process.env.DEEPSEEK_BASE_URL || 'https://api.deepseek.com',
+        model: process.env.DEEPSEEK_MODEL || 'deepseek-chat',
+        timeoutMs: Number(process.env.I18N_MT_TIMEOUT_MS) || 60000
+      });
+    }
+    default:
+      throw new Error(`Unknown I18N_MT_PROVIDER type: ${type}`);
+  }
+}
+
+// 进程内共享同一个翻译实例
+function getProvider() {
+  if (!provider) provider = createProvider();
+  return provider;
+}
+
+module.exports = {
+  createProvider,
+  getProvider
+};
@@ -0,0 +1,39 @@
+// 机器翻译前的占位符保护：把不能翻译的片段替换为 ⟦n⟧ 标记，翻译后再还原
+//   {name} / {0}         vue-i18n 插值
+//   @:key / @.lower:key  链接消息
+//   <b> </b> <br/>       HTML 标签
+//   &nbsp; &#123;        HTML 实体
+//   " | "                复数分支分隔符
+const PROTECTED = /\{[^{}]*\}|@(?:\.[a-z]+)?:[A-Za-z0-9_.-]+|<\/?[A-Za-z][^<>]*>|&(?:#\d+|#x[0-9a-fA-F]+|[A-Za-z]+);| \| /g;
+const TOKEN = /⟦(\d+)⟧/g;
+
+// 返回 { text, tokens }，tokens[n] 为第 n 个被替换的原始片段
+function mask(text) {
+  const tokens = [];
+  const masked = text.replace(PROTECTED, (match) => {
+    tokens.push(match);
+    return `⟦${tokens.length - 1}⟧`;
+  });
+  return { text: masked, tokens };
+}
+
+// 还原标记；译文丢失、重复或多出标记时抛出异常，避免写入损坏的占位符
+function unmask(text, tokens) {
+  const seen = new Set();
+  const result = text.replace(TOKEN, (match, index) => {
+    const i = Number(index);
+    if (i >= tokens.length || seen.has(i)) throw new Error(`Unexpected placeholder token ${match} in translation`);
+    seen.add(i);
+    return tokens[i];
+  });
+  if (seen.size !== tokens.length) {
+    const missing = tokens.filter((token, i) => !seen.has(i));
+    throw new Error(`Translation lost protected text: ${missing.join(', ')}`);
+  }
+  return result;
+}
+
+module.exports = {
+  mask,
+  unmask
+};
@@ -0,0 +1,13 @@
+// 本地模拟翻译：不访问网络，结果可预期，用于测试与离线环境
+//   "登录" -> "[ja-JP] 登录"
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async translate(texts, { to }) {
+    return texts.map(text => `[${to}] ${text}`);
+  }
+}
+
+module.exports = MockProvider;
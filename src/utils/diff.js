@@ -0,0 +1,178 @@
+const { flattenMessages, setNestedKey, deleteNestedKey } = require('./keys');
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// 比较同一语言的两个版本，返回 key 级差异（key 为拍平后的路径）
+function diffTranslations(before, after) {
+  const prev = flattenMessages(before || {});
+  const next = flattenMessages(after || {});
+  const diff = { added: {}, updated: {}, deleted: {} };
+  for (const [key, value] of Object.entries(next)) {
+    if (!Object.prototype.hasOwnProperty.call(prev, key)) {
+      diff.added[key] = value;
+    } else if (!isSameValue(prev[key], value)) {
+      diff.updated[key] = { from: prev[key], to: value };
+    }
+  }
+  for (const [key, value] of Object.entries(prev)) {
+    if (!Object.prototype.hasOwnProperty.call(next, key)) {
+      diff.deleted[key] = value;
+    }
+  }
+  return diff;
+}
+
+const isEmptyDiff = (diff) =>
+  Object.keys(diff.added).length === 0 &&
+  Object.keys(diff.updated).length === 0 &&
+  Object.keys(diff.deleted).length === 0;
+
+// 比较两个完整数据状态 { languageList, messages }
+// messages 中只保留有变化的语言；新增/删除的语言分别视为全部 key 新增/删除
+function diffStates(prev, next) {
+  const prevMessages = prev.messages || {};
+  const nextMessages = next.messages || {};
+  const codes = new Set([...Object.keys(prevMessages), ...Object.keys(nextMessages)]);
+
+  const messages = {};
+  for (const code of codes) {
+    const diff = diffTranslations(prevMessages[code], nextMessages[code]);
+    if (!isEmptyDiff(diff)) messages[code] = diff;
+  }
+
+  // 版本号与更新时间每次都会变化，不计入配置变更
+  const listWithoutVersion = ({ version, lastUpdated, ...rest } = {}) => rest;
+
+  return {
+    languagesAdded: Object.keys(nextMessages).filter(code => !(code in prevMessages)),
+    languagesRemoved: Object.keys(prevMessages).filter(code => !(code in nextMessages)),
+    languageListChanged: !isSameValue(listWithoutVersion(prev.languageList), listWithoutVersion(next.languageList)),
+    messages
+  };
+}
+
+// 生成便于列表展示的变更摘要
+function summarizeDiff(diff, maxKeys = 100) {
+  const languages = {};
+  const keys = new Set();
+  for (const [code, d] of Object.entries(diff.messages)) {
+    languages[code] = {
+      added: Object.keys(d.added).length,
+      updated: Object.keys(d.updated).length,
+      deleted: Object.keys(d.deleted).length
+    };
+    // 整语言新增/删除时不逐 key 列出
+    if (diff.languagesAdded.includes(code) || diff.languagesRemoved.includes(code)) continue;
+    for (const key of [...Object.keys(d.added), ...Object.keys(d.updated), ...Object.keys(d.deleted)]) {
+      keys.add(key);
+    }
+  }
+  const keyList = [...keys].sort();
+  return {
+    languagesAdded: diff.languagesAdded,
+    languagesRemoved: diff.languagesRemoved,
+    languageListChanged: diff.languageListChanged,
+    languages,
+    keyCount: keyList.length,
+    keys: keyList.slice(0, maxKeys)
+  };
+}
+
+// 按顺序合并多个 diffStates 结果，得到首尾两个版本之间的净变化
+// 返回 { languagesAdded, languagesRemoved, languageListChanged, messages: { code: { added: {k: v}, updated: {k: v}, deleted: [k] } } }
+function composeDiffs(diffs) {
+  const tracked = {}; // code -> key -> { existedBefore, before, existsAfter, after }
+  const languagesInitial = new Map(); // code -> 起始版本中是否存在
+  const languagesFinal = new Map(); // code -> 最终版本中是否存在
+  let languageListChanged = false;
+
+  const track = (code, key, init) => {
+    tracked[code] = tracked[code] || {};
+    if (!tracked[code][key]) tracked[code][key] = init;
+    return tracked[code][key];
+  };
+
+  for (const diff of diffs) {
+    languageListChanged = languageListChanged || diff.languageListChanged;
+    for (const code of diff.languagesAdded) {
+      if (!languagesInitial.has(code)) languagesInitial.set(code, false);
+      languagesFinal.set(code, true);
+    }
+    for (const code of diff.languagesRemoved) {
+      if (!languagesInitial.has(code)) languagesInitial.set(code, true);
+      languagesFinal.set(code, false);
+    }
+    for (const [code, d] of Object.entries(diff.messages)) {
+      for (const [key, value] of Object.entries(d.added)) {
+        const t = track(code, key, { existedBefore: false });
+        t.existsAfter = true;
+        t.after = value;
+      }
+      for (const [key, { from, to }] of Object.entries(d.updated)) {
+        const t = track(code, key, { existedBefore: true, before: from });
+        t.existsAfter = true;
+        t.after = to;
+      }
+      for (const [key, value] of Object.entries(d.deleted)) {
+        const t = track(code, key, { existedBefore: true, before: value });
+        t.existsAfter = false;
+        delete t.after;
+      }
+    }
+  }
+
+  const messages = {};
+  for (const [code, keys] of Object.entries(tracked)) {
+    const result = { added: {}, updated: {}, deleted: [] };
+    for (const [key, t] of Object.entries(keys)) {
+      if (!t.existedBefore && t.existsAfter) {
+        result.added[key] = t.after;
+      } else if (t.existedBefore && t.existsAfter && !isSameValue(t.before, t.after)) {
+        result.updated[key] = t.after;
+      } else if (t.existedBefore && !t.existsAfter) {
+        result.deleted.push(key);
+      }
+    }
+    if (Object.keys(result.added).length || Object.keys(result.updated).length || result.deleted.length) {
+      messages[code] = result;
+    }
+  }
+
+  // 期间先加后删（或先删后加）的语言互相抵消
+  const languagesAdded = [];
+  const languagesRemoved = [];
+  for (const [code, existedBefore] of languagesInitial) {
+    const existsAfter = languagesFinal.get(code);
+    if (!existedBefore && existsAfter) languagesAdded.push(code);
+    if (existedBefore && !existsAfter) languagesRemoved.push(code);
+  }
+
+  return { languagesAdded, languagesRemoved, languageListChanged, messages };
+}
+
+// 将 diffStates 的结果就地应用到完整状态 { languageList, messages } 上；languageList 为新版本的语言配置
+function applyDiff(state, diff, languageList) {
+  for (const code of diff.languagesRemoved) delete state.messages[code];
+  for (const [code, d] of Object.entries(diff.messages)) {
+    if (diff.languagesRemoved.includes(code)) continue;
+    const messages = state.messages[code] || {};
+    // 先删后加：对象叶子与子 key 互相替换时（{} <-> a.b）结果正确
+    for (const key of Object.keys(d.deleted)) deleteNestedKey(messages, key);
+    for (const [key, value] of Object.entries(d.added)) setNestedKey(messages, key, structuredClone(value));
+    for (const [key, { to }] of Object.entries(d.updated)) setNestedKey(messages, key, structuredClone(to));
+    state.messages[code] = messages;
+  }
+  for (const code of diff.languagesAdded) {
+    if (!state.messages[code]) state.messages[code] = {};
+  }
+  state.languageList = languageList;
+  return state;
+}
+
+module.exports = {
+  diffTranslations,
+  diffStates,
+  summarizeDiff,
+  composeDiffs,
+  applyDiff
+};
@@ -0,0 +1,19 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+// 原子写入 JSON：先写同目录临时文件再 rename，进程中途崩溃也不会留下半截文件
+async function writeJsonAtomic(file, data, options = { spaces: 2 }) {
+  const tmpFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+  try {
+    await fs.writeJson(tmpFile, data, options);
+    await fs.rename(tmpFile, file);
+  } catch (error) {
+    await fs.remove(tmpFile).catch(() => {});
+    throw error;
+  }
+}
+
+module.exports = {
+  writeJsonAtomic
+};
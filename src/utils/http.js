@@ -0,0 +1,32 @@
+// 条件请求：设置 ETag / Last-Modified，并在客户端缓存仍有效时直接返回 304
+// 返回 true 表示已发送 304，调用方应直接 return reply
+function replyNotModified(request, reply, { etag, lastModified }) {
+  const modifiedAt = lastModified ? new Date(lastModified) : null;
+  const hasModifiedAt = modifiedAt && !Number.isNaN(modifiedAt.getTime());
+
+  reply.header('ETag', etag);
+  if (hasModifiedAt) {
+    reply.header('Last-Modified', modifiedAt.toUTCString());
+  }
+
+  const ifNoneMatch = request.headers['if-none-match'];
+  let notModified = false;
+  if (ifNoneMatch) {
+    // If-None-Match 优先；支持多个值与 *，弱比较忽略 W/ 前缀
+    const tags = ifNoneMatch.split(',').map(t => t.trim().replace(/^W\//, ''));
+    notModified = tags.includes('*') || tags.includes(etag);
+  } else if (hasModifiedAt && request.headers['if-modified-since']) {
+    const since = new Date(request.headers['if-modified-since']);
+    // HTTP 日期只精确到秒
+    notModified = !Number.isNaN(since.getTime()) && Math.floor(modifiedAt.getTime() / 1000) <= Math.floor(since.getTime() / 1000);
+  }
+
+  if (notModified) {
+    reply.status(304).send();
+  }
+  return notModified;
+}
+
+module.exports = {
+  replyNotModified
+};
@@ -0,0 +1,82 @@
+// 嵌套 key（如 a.b.c）相关的工具函数，供路由与存储层共用
+
+// 读取嵌套 key，不存在时返回 undefined
+function getNestedValue(obj, keyPath) {
+  const parts = keyPath.split('.');
+  let cur = obj;
+  for (const p of parts) {
+    if (!cur || typeof cur !== 'object' || !(p in cur)) return undefined;
+    cur = cur[p];
+  }
+  return cur;
+}
+
+// 设置嵌套 key，中间层不存在（或不是对象）时自动创建
+function setNestedKey(root, keyPath, value) {
+  const parts = keyPath.split('.');
+  let cur = root;
+  for (let i = 0; i < parts.length - 1; i++) {
+    const p = parts[i];
+    if (!cur[p] || typeof cur[p] !== 'object') cur[p] = {};
+    cur = cur[p];
+  }
+  cur[parts[parts.length - 1]] = value;
+}
+
+// 删除嵌套 key；cleanEmpty 为 true 时顺带清理删除后变空的父级对象
+function deleteNestedKey(obj, keyPath, cleanEmpty = true) {
+  const parts = keyPath.split('.');
+  const stack = [];
+  let cur = obj;
+  for (let i = 0; i < parts.length - 1; i++) {
+    const p = parts[i];
+    if (!cur[p] || typeof cur[p] !== 'object') return false; // 不存在直接返回
+    stack.push({ parent: cur, key: p });
+    cur = cur[p];
+  }
+  const last = parts[parts.length - 1];
+  if (cur && Object.prototype.hasOwnProperty.call(cur, last)) {
+    delete cur[last];
+    if (cleanEmpty) {
+      // 清理空对象链
+      for (let i = stack.length - 1; i >= 0; i--) {
+        const { parent, key } = stack[i];
+        if (parent[key] && typeof parent[key] === 'object' && Object.keys(parent[key]).length === 0) {
+          delete parent[key];
+        } else break;
+      }
+    }
+    return true;
+  }
+  return false;
+}
+
+// 将嵌套对象拍平成 { 'a.b.c': value }；空对象作为叶子保留，保证可以无损还原
+function flattenMessages(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj || {})) {
+    const keyPath = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length > 0) {
+      flattenMessages(v, keyPath, out);
+    } else {
+      out[keyPath] = v;
+    }
+  }
+  return out;
+}
+
+// flattenMessages 的逆操作
+function unflattenMessages(flat) {
+  const root = {};
+  for (const [keyPath, value] of Object.entries(flat)) {
+    setNestedKey(root, keyPath, value);
+  }
+  return root;
+}
+
+module.exports = {
+  getNestedValue,
+  setNestedKey,
+  deleteNestedKey,
+  flattenMessages,
+  unflattenMessages
+};
@@ -0,0 +1,18 @@
+// 当前请求的操作者：已鉴权时为凭证名称；未启用鉴权时由 X-Actor 请求头提供，未提供时记为 anonymous
+function getActor(request) {
+  if (request.auth) return request.auth.name;
+  return request.headers['x-actor'] || 'anonymous';
+}
+
+// 版本变更上下文：谁、通过哪个路由触发
+function changeContext(request) {
+  return {
+    actor: getActor(request),
+    route: `${request.method} ${request.routeOptions.url}`
+  };
+}
+
+module.exports = {
+  getActor,
+  changeContext
+};
@@ -0,0 +1,65 @@
+// 文本相似度工具；按 Unicode 码点比较，中日韩文字与 emoji 都按单个字符计算
+
+// 比较前的归一化：Unicode NFKC（全角 / 半角统一）、去首尾空白、合并连续空白、忽略大小写
+const normalizeText = (text) => String(text).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+// 带位置映射的归一化（NFKC、可选忽略大小写，不处理空白），用于搜索时把匹配位置映射回原文
+// 按字素（grapheme）逐个处理，组合字符（如泰文声调、带重音的拉丁字母）与基字一起归一化
+//   starts[i] / ends[i]  归一化文本第 i 个 UTF-16 单元对应的原文区间
+//   offsets[j]           原文位置 j（字素起点）对应的归一化文本位置
+function foldText(text, { caseSensitive = false } = {}) {
+  let folded = '';
+  const starts = [];
+  const ends = [];
+  const offsets = {};
+  for (const { segment, index } of graphemes.segment(text)) {
+    let part = segment.normalize('NFKC');
+    if (!caseSensitive) part = part.toLowerCase();
+    offsets[index] = folded.length;
+    for (let k = 0; k < part.length; k++) {
+      starts.push(index);
+      ends.push(index + segment.length);
+    }
+    folded += part;
+  }
+  offsets[text.length] = folded.length;
+  return { text: folded, starts, ends, offsets };
+}
+
+// 编辑距离（插入、删除、替换各计 1），只保留两行状态
+function levenshtein(a, b) {
+  const s = Array.from(a);
+  const t = Array.from(b);
+  if (s.length === 0) return t.length;
+  if (t.length === 0) return s.length;
+
+  let previous = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= s.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= t.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[t.length];
+}
+
+// 相似度 0 ~ 1：1 - 编辑距离 / 较长文本长度
+function similarity(a, b) {
+  const length = Math.max(Array.from(a).length, Array.from(b).length);
+  if (length === 0) return 1;
+  return 1 - levenshtein(a, b) / length;
+}
+
+module.exports = {
+  normalizeText,
+  foldText,
+  levenshtein,
+  similarity
+};
@@ -0,0 +1,7 @@
+// 文件导入接口的上传大小上限；
+// 超出时 toBuffer 抛出 FST_REQ_FILE_TOO_LARGE，路由返回 413
+const IMPORT_MAX_BYTES = Number(process.env.I18N_IMPORT_MAX_BYTES) || 10 * 1024 * 1024;
+
+module.exports = {
+  IMPORT_MAX_BYTES
+};
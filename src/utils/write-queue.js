@@ -0,0 +1,19 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 全局写队列：所有修改数据的操作串行执行，
+// 避免并发的读-改-写互相覆盖、版本号重复
+const context = new AsyncLocalStorage();
+let tail = Promise.resolve();
+
+// 在队列中独占执行 task；task 内部再次调用时直接执行（可重入，不会死锁）
+function runExclusive(task) {
+  if (context.getStore()) return task();
+  const run = tail.then(() => context.run(true, task));
+  // 前一个任务失败不影响后续任务
+  tail = run.catch(() => {});
+  return run;
+}
+
+module.exports = {
+  runExclusive
+};
@@ -0,0 +1,83 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+let startedAt;
+let editVersion;
+
+const queryAudit = async (query) => {
+  const response = await app.inject({ method: 'GET', url: `/api/i18n/audit?${new URLSearchParams(query)}` });
+  assert.equal(response.statusCode, 200);
+  return response.json().data;
+};
+
+const updateKey = (actor, key, translations) => app.inject({
+  method: 'PUT',
+  url: '/api/i18n/languages/update-key',
+  headers: { 'x-actor': actor },
+  payload: { key, translations }
+});
+
+before(async () => {
+  app = await buildApp();
+  startedAt = new Date().toISOString();
+  assert.equal((await updateKey('alice', 'login.title', { 'en-US': 'Audit title', 'ja-JP': '監査タイトル' })).statusCode, 200);
+  assert.equal((await updateKey('bob', 'login.password', { 'en-US': 'Audit password' })).statusCode, 200);
+  editVersion = (await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json().version;
+  assert.equal((await app.inject({
+    method: 'POST',
+    url: '/api/i18n/languages/delete-key',
+    headers: { 'x-actor': 'bob' },
+    payload: { key: 'login.error' }
+  })).statusCode, 200);
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('audit records each key change newest first', async () => {
+  const { total, items } = await queryAudit({ from: startedAt });
+  assert.ok(total >= 4);
+  assert.equal(items[0].action, 'deleted');
+  assert.equal(items[0].key, 'login.error');
+  assert.equal(items[0].newValue, null);
+  assert.equal(items[0].route, 'POST /api/i18n/languages/delete-key');
+});
+
+test('audit filters by key, language, actor, value and prefix', async () => {
+  const byKey = await queryAudit({ key: 'login.title', language: 'ja-JP' });
+  assert.deepEqual(byKey.items.map(e => [e.actor, e.action, e.newValue]), [['alice', 'updated', '監査タイトル']]);
+
+  const byActor = await queryAudit({ actor: 'bob', language: 'en-US' });
+  assert.deepEqual(byActor.items.map(e => e.key), ['login.error', 'login.password']);
+
+  const byValue = await queryAudit({ value: 'Audit password' });
+  assert.deepEqual(byValue.items.map(e => e.key), ['login.password']);
+
+  const byPrefix = await queryAudit({ keyPrefix: 'login.', actor: 'alice' });
+  assert.ok(byPrefix.items.every(e => e.key.startsWith('login.') && e.actor === 'alice'));
+  assert.equal(byPrefix.total, 2);
+});
+
+test('audit filters by version and time range and paginates', async () => {
+  const byVersion = await queryAudit({ version: editVersion });
+  assert.deepEqual(byVersion.items.map(e => e.key), ['login.password']);
+
+  const future = await queryAudit({ from: new Date(Date.now() + 60000).toISOString() });
+  assert.equal(future.total, 0);
+  const past = await queryAudit({ to: '2000-01-01T00:00:00Z' });
+  assert.equal(past.total, 0);
+
+  const page = await queryAudit({ from: startedAt, offset: 1, limit: 1 });
+  assert.equal(page.items.length, 1);
+  assert.equal(page.items[0].action, (await queryAudit({ from: startedAt })).items[1].action);
+});
+
+test('invalid dates are rejected with 400', async () => {
+  const response = await app.inject({ method: 'GET', url: '/api/i18n/audit?from=not-a-date' });
+  assert.equal(response.statusCode, 400);
+});
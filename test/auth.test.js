@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+const JWT_SECRET = 'test-jwt-secret';
+process.env.I18N_JWT_SECRET = JWT_SECRET;
+process.env.I18N_AUTH_PUBLIC_READ = 'true';
+fs.writeFileSync(path.join(process.env.I18N_DATA_DIR, 'api-keys.json'), JSON.stringify({
+  keys: [
+    { key: 'reader-key', name: 'rita', role: 'reader' },
+    { key: 'translator-key', name: 'tina', role: 'translator', languages: ['ja-JP'] },
+    { key: 'maintainer-key', name: 'max', role: 'maintainer' },
+    { key: 'admin-key', name: 'ada', role: 'admin' },
+    { key: 'no-role-key', name: 'nobody' },
+    { key: 'string-languages-key', name: 'sam', role: 'translator', languages: 'ja-JP' }
+  ]
+}));
+let app;
+
+const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const jwt = (claims, header = { alg: 'HS256', typ: 'JWT' }) => {
+  const unsigned = `${encode(header)}.${encode(claims)}`;
+  return `${unsigned}.${crypto.createHmac('sha256', JWT_SECRET).update(unsigned).digest('base64url')}`;
+};
+
+const updateKey = (token, translations) => app.inject({
+  method: 'PUT',
+  url: '/api/i18n/languages/update-key',
+  headers: token ? { authorization: `Bearer ${token}` } : {},
+  payload: { key: 'login.title', translations }
+});
+
+const createKey = (token, key) => app.inject({
+  method: 'POST',
+  url: '/api/i18n/languages/create-key',
+  headers: { authorization: `Bearer ${token}` },
+  payload: { key, translations: { 'en-US': 'New' } }
+});
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('reads are public and writes require credentials', async () => {
+  assert.equal((await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).statusCode, 200);
+  assert.equal((await updateKey(null, { 'ja-JP': 'x' })).statusCode, 401);
+  assert.equal((await updateKey('unknown-key', { 'ja-JP': 'x' })).statusCode, 401);
+});
+
+test('roles are ordered reader < translator < maintainer < admin', async () => {
+  assert.equal((await updateKey('reader-key', { 'ja-JP': 'x' })).statusCode, 403);
+  assert.equal((await createKey('translator-key', 'auth.byTranslator')).statusCode, 403);
+  assert.equal((await createKey('maintainer-key', 'auth.byMaintainer')).statusCode, 200);
+  assert.equal((await updateKey('admin-key', { 'en-US': 'Sign in', 'ja-JP': 'ログイン' })).statusCode, 200);
+
+  const deleteLanguage = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/language/it-IT/delete',
+    headers: { 'x-api-key': 'maintainer-key' }
+  });
+  assert.equal(deleteLanguage.statusCode, 403);
+});
+
+test('translators can only edit their own languages', async () => {
+  assert.equal((await updateKey('translator-key', { 'ja-JP': 'サインイン' })).statusCode, 200);
+  const denied = await updateKey('translator-key', { 'ja-JP': 'サインイン', 'en-US': 'x' });
+  assert.equal(denied.statusCode, 403);
+  assert.equal(denied.json().error, 'Not allowed to edit languages: en-US');
+});
+
+test('keys without a role or with a non-array languages list are rejected', async () => {
+  assert.equal((await updateKey('no-role-key', { 'ja-JP': 'x' })).statusCode, 403);
+  // "ja-JP".includes("ja") 不能放行
+  assert.equal((await updateKey('string-languages-key', { ja: 'x' })).statusCode, 403);
+});
+
+test('valid HS256 tokens carry role and languages', async () => {
+  const exp = Math.floor(Date.now() / 1000) + 60;
+  assert.equal((await updateKey(jwt({ sub: 'tom', role: 'translator', languages: ['ja-JP'], exp }), { 'ja-JP': 'ログイン' })).statusCode, 200);
+  assert.equal((await updateKey(jwt({ sub: 'tom', role: 'translator', languages: ['ja-JP'], exp }), { 'en-US': 'x' })).statusCode, 403);
+  assert.equal((await updateKey(jwt({ sub: 'tom', exp }), { 'ja-JP': 'x' })).statusCode, 403);
+});
+
+test('malformed, unsigned, expired and non-object tokens are rejected with 401', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { sub: 'eve', role: 'admin' };
+  const tokens = {
+    'alg none': `${encode({ alg: 'none' })}.${encode(claims)}.`,
+    'bad signature': `${jwt(claims).slice(0, -2)}xx`,
+    expired: jwt({ ...claims, exp: now - 10 }),
+    'not yet valid': jwt({ ...claims, nbf: now + 60 }),
+    'null header': `${encode(null)}.${encode(claims)}.sig`,
+    'null claims': jwt(null),
+    'array claims': jwt([claims]),
+    'string languages': jwt({ sub: 'eve', role: 'translator', languages: 'ja-JP' }),
+    'non-string languages': jwt({ sub: 'eve', role: 'translator', languages: [1] }),
+    'not json': 'a.b.c'
+  };
+  for (const [name, token] of Object.entries(tokens)) {
+    const response = await updateKey(token, { ja: 'x' });
+    assert.equal(response.statusCode, 401, name);
+  }
+});
@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+const currentVersion = async () => (await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json().version;
+const changesSince = async (query) => app.inject({ method: 'GET', url: `/api/i18n/data/changes?${new URLSearchParams(query)}` });
+const post = (url, payload) => app.inject({ method: 'POST', url: `/api/i18n${url}`, payload });
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('since is required', async () => {
+  assert.equal((await changesSince({})).statusCode, 400);
+});
+
+test('changes since the current version are empty', async () => {
+  const version = await currentVersion();
+  const body = (await changesSince({ since: version })).json();
+  assert.equal(body.fullReloadRequired, false);
+  assert.equal(body.version, version);
+  assert.deepEqual(body.changes, {});
+});
+
+test('changes compose added, updated and deleted keys across versions', async () => {
+  const since = await currentVersion();
+  assert.equal((await post('/languages/create-key', { key: 'changes.added', translations: { 'en-US': 'Added' } })).statusCode, 200);
+  assert.equal((await post('/languages/create-key', { key: 'changes.temporary', translations: { 'en-US': 'Temporary' } })).statusCode, 200);
+  assert.equal((await app.inject({
+    method: 'PUT',
+    url: '/api/i18n/languages/update-key',
+    payload: { key: 'login.title', translations: { 'en-US': 'Changed title' } }
+  })).statusCode, 200);
+  assert.equal((await post('/languages/delete-key', { key: 'changes.temporary' })).statusCode, 200);
+  assert.equal((await post('/languages/delete-key', { key: 'login.error' })).statusCode, 200);
+
+  const body = (await changesSince({ since })).json();
+  assert.equal(body.fullReloadRequired, false);
+  assert.equal(body.version, await currentVersion());
+  assert.equal(body.languages, undefined);
+  assert.deepEqual(body.changes['en-US'], {
+    added: { 'changes.added': 'Added' },
+    updated: { 'login.title': 'Changed title' },
+    deleted: ['login.error']
+  });
+});
+
+test('new languages are listed and disabled ones only with includeDisabled', async () => {
+  const since = await currentVersion();
+  assert.equal((await post('/language', { code: 'ko-KR', name: 'Korean', nativeName: '한국어', enabled: false })).statusCode, 200);
+
+  const body = (await changesSince({ since })).json();
+  assert.deepEqual(body.languagesAdded, ['ko-KR']);
+  assert.ok(body.languages.some(l => l.code === 'ko-KR'));
+  assert.equal(body.changes['ko-KR'], undefined);
+
+  const withDisabled = (await changesSince({ since, includeDisabled: 'true' })).json();
+  assert.ok(withDisabled.changes['ko-KR']);
+});
+
+test('versions outside the history require a full reload', async () => {
+  const body = (await changesSince({ since: '0.0.1' })).json();
+  assert.equal(body.fullReloadRequired, true);
+  assert.equal(body.changes, undefined);
+});
@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+const currentVersion = async () => (await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json().version;
+
+const updateKey = (key, value, headers = {}) => app.inject({
+  method: 'PUT',
+  url: '/api/i18n/languages/update-key',
+  headers,
+  payload: { key, translations: { 'en-US': value } }
+});
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('write based on a stale version is rejected with 409 when the same key changed', async () => {
+  const base = await currentVersion();
+  assert.equal((await updateKey('login.title', 'First edit', { 'if-match': `"${base}"` })).statusCode, 200);
+
+  const stale = await updateKey('login.title', 'Second edit', { 'if-match': `"${base}"` });
+  assert.equal(stale.statusCode, 409);
+  const body = stale.json();
+  assert.equal(body.code, 'VERSION_CONFLICT');
+  assert.equal(body.data.baseVersion, base);
+  assert.equal(body.data.currentVersion, await currentVersion());
+  assert.deepEqual(body.data.conflicts.map(c => [c.language, c.key, c.currentValue]), [['en-US', 'login.title', 'First edit']]);
+
+  const language = await app.inject({ method: 'GET', url: '/api/i18n/language/en-US' });
+  assert.equal(language.json().data.login.title, 'First edit');
+});
+
+test('write based on a stale version succeeds when other keys changed', async () => {
+  const base = await currentVersion();
+  assert.equal((await updateKey('login.password', 'Passphrase', { 'if-match': `"${base}"` })).statusCode, 200);
+  assert.equal((await updateKey('login.submit', 'Log in', { 'if-match': `"${base}"` })).statusCode, 200);
+  // 提交的值与当前值一致时不算冲突
+  assert.equal((await updateKey('login.password', 'Passphrase', { 'if-match': `"${base}"` })).statusCode, 200);
+});
+
+test('baseVersion in the body works like If-Match and unknown versions require a full reload', async () => {
+  const base = await currentVersion();
+  assert.equal((await updateKey('user.welcome', 'Hi')).statusCode, 200);
+
+  const stale = await app.inject({
+    method: 'PUT',
+    url: '/api/i18n/languages/update-key',
+    payload: { key: 'user.welcome', translations: { 'en-US': 'Hello' }, baseVersion: base }
+  });
+  assert.equal(stale.statusCode, 409);
+  assert.equal(stale.json().data.fullReloadRequired, false);
+
+  const unknown = await updateKey('user.logout', 'Sign out', { 'if-match': '"0.0.1"' });
+  assert.equal(unknown.statusCode, 409);
+  assert.equal(unknown.json().data.fullReloadRequired, true);
+});
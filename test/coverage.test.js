@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+const request = (method, url, payload) => app.inject({ method, url: `/api/i18n${url}`, payload });
+const report = async (query) => {
+  const response = await request('GET', `/reports/coverage?${new URLSearchParams(query)}`);
+  assert.equal(response.statusCode, 200);
+  return response.json().data;
+};
+
+before(async () => {
+  app = await buildApp();
+  const writes = [
+    request('POST', '/languages/create-key', { key: 'coverage.greeting', translations: { 'zh-CN': '你好', 'en-US': 'Hello', 'ja-JP': '' } }),
+    request('POST', '/languages/create-key', { key: 'coverage.brand', translations: { 'zh-CN': '机器人', 'en-US': '机器人', 'ja-JP': 'ロボット' } }),
+    // update-key 只写入给出的语言，其他语言中该 key 不存在
+    request('PUT', '/languages/update-key', { key: 'coverage.only', translations: { 'zh-CN': '仅中文' } })
+  ];
+  for (const write of writes) assert.equal((await write).statusCode, 200);
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('coverage counts translated, empty, missing and identical values', async () => {
+  const result = await report({ namespace: 'coverage', languages: 'zh-CN,en-US,ja-JP' });
+  assert.equal(result.defaultLanguage, 'zh-CN');
+  assert.equal(result.totalKeys, 3);
+  const stats = Object.fromEntries(result.languages.map(({ code, total, translated, empty, missing, identical, percent }) =>
+    [code, { total, translated, empty, missing, identical, percent }]));
+  assert.deepEqual(stats, {
+    'zh-CN': { total: 3, translated: 3, empty: 0, missing: 0, identical: 0, percent: 100 },
+    'en-US': { total: 3, translated: 2, empty: 0, missing: 1, identical: 1, percent: 66.7 },
+    'ja-JP': { total: 3, translated: 1, empty: 1, missing: 1, identical: 0, percent: 33.3 }
+  });
+  assert.ok(result.languages[0].isDefault);
+  assert.equal(result.languages[0].untranslatedKeys, undefined);
+});
+
+test('coverage lists untranslated keys and breaks down by namespace', async () => {
+  const result = await report({ languages: 'ja-JP', includeKeys: 'true' });
+  const [ja] = result.languages;
+  assert.deepEqual(ja.untranslatedKeys.filter(key => key.startsWith('coverage.')), ['coverage.greeting', 'coverage.only']);
+  assert.deepEqual(ja.namespaces.coverage, { total: 3, translated: 1, empty: 1, missing: 1, identical: 0, percent: 33.3 });
+
+  const sum = Object.values(ja.namespaces).reduce((total, ns) => total + ns.total, 0);
+  assert.equal(sum, result.totalKeys);
+  assert.equal(ja.total, result.totalKeys);
+  assert.equal(ja.untranslatedKeys.length, ja.empty + ja.missing);
+});
+
+test('unknown languages are rejected with 404', async () => {
+  const response = await request('GET', '/reports/coverage?languages=en-US,xx-XX');
+  assert.equal(response.statusCode, 404);
+  assert.match(response.json().error, /xx-XX/);
+});
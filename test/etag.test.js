@@ -0,0 +1,62 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+const get = (url, headers = {}) => app.inject({ method: 'GET', url: `/api/i18n${url}`, headers });
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('complete data answers 304 while the version is unchanged', async () => {
+  const first = await get('/data/complete');
+  assert.equal(first.statusCode, 200);
+  const { etag } = first.headers;
+  assert.equal(etag, `"${first.json().version}"`);
+  assert.ok(first.headers['last-modified']);
+
+  const cached = await get('/data/complete', { 'if-none-match': etag });
+  assert.equal(cached.statusCode, 304);
+  assert.equal(cached.body, '');
+  assert.equal((await get('/data/complete', { 'if-none-match': `W/${etag}, "other"` })).statusCode, 304);
+  assert.equal((await get('/data/complete', { 'if-none-match': '*' })).statusCode, 304);
+
+  // includeDisabled 的响应内容不同，ETag 也不同
+  const all = await get('/data/complete?includeDisabled=true', { 'if-none-match': etag });
+  assert.equal(all.statusCode, 200);
+  assert.notEqual(all.headers.etag, etag);
+});
+
+test('If-Modified-Since is used only without If-None-Match', async () => {
+  const first = await get('/data/complete');
+  const lastModified = first.headers['last-modified'];
+  assert.equal((await get('/data/complete', { 'if-modified-since': lastModified })).statusCode, 304);
+  assert.equal((await get('/data/complete', { 'if-modified-since': 'Thu, 01 Jan 1970 00:00:00 GMT' })).statusCode, 200);
+  assert.equal((await get('/data/complete', { 'if-modified-since': lastModified, 'if-none-match': '"stale"' })).statusCode, 200);
+});
+
+test('language ETags change after a write', async () => {
+  const first = await get('/language/en-US');
+  const { etag } = first.headers;
+  assert.equal((await get('/language/en-US', { 'if-none-match': etag })).statusCode, 304);
+  assert.notEqual((await get('/language/ja-JP')).headers.etag, etag);
+
+  assert.equal((await app.inject({
+    method: 'PUT',
+    url: '/api/i18n/languages/update-key',
+    payload: { key: 'login.title', translations: { 'en-US': 'Cached title' } }
+  })).statusCode, 200);
+
+  const fresh = await get('/language/en-US', { 'if-none-match': etag });
+  assert.equal(fresh.statusCode, 200);
+  assert.notEqual(fresh.headers.etag, etag);
+  assert.equal(fresh.json().data.login.title, 'Cached title');
+});
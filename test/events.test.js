@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+let baseUrl;
+
+// SSE 连接不会结束，inject 无法使用，需要监听端口并逐块读取事件
+const openEvents = (query = '', headers = {}) => new Promise((resolve, reject) => {
+  const request = http.get(`${baseUrl}/api/i18n/events${query}`, { headers }, (response) => {
+    const events = [];
+    let buffer = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const event = {};
+        for (const line of buffer.slice(0, end).split('\n')) {
+          const match = line.match(/^(id|event|data): (.*)$/);
+          if (match) event[match[1]] = match[1] === 'data' ? JSON.parse(match[2]) : match[2];
+        }
+        buffer = buffer.slice(end + 2);
+        if (event.event) events.push(event);
+      }
+    });
+    resolve({ response, events, close: () => request.destroy() });
+  });
+  request.on('error', reject);
+});
+
+const waitFor = async (check, timeout = 2000) => {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for event');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const updateKey = (translations) => app.inject({
+  method: 'PUT',
+  url: '/api/i18n/languages/update-key',
+  payload: { key: 'login.title', translations }
+});
+
+before(async () => {
+  app = await buildApp();
+  baseUrl = await app.listen({ port: 0, host: '127.0.0.1' });
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('new connections receive the current version', async () => {
+  const stream = await openEvents('', { 'last-event-id': '1.0.0' });
+  try {
+    assert.equal(stream.response.statusCode, 200);
+    assert.match(stream.response.headers['content-type'], /^text\/event-stream/);
+    await waitFor(() => stream.events.length > 0);
+    const [connected] = stream.events;
+    const { version } = (await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json();
+    assert.equal(connected.event, 'connected');
+    assert.equal(connected.id, version);
+    assert.equal(connected.data.version, version);
+    assert.equal(connected.data.lastEventId, '1.0.0');
+  } finally {
+    stream.close();
+  }
+});
+
+test('writes push version-changed only to clients watching the affected languages', async () => {
+  const all = await openEvents();
+  const japanese = await openEvents('?languages=ja-JP');
+  try {
+    await waitFor(() => all.events.length > 0 && japanese.events.length > 0);
+
+    assert.equal((await updateKey({ 'en-US': 'Pushed title' })).statusCode, 200);
+    await waitFor(() => all.events.length > 1);
+    const changed = all.events[1];
+    assert.equal(changed.event, 'version-changed');
+    assert.equal(changed.id, changed.data.version);
+    assert.deepEqual(changed.data.languages, ['en-US']);
+    assert.equal(changed.data.packageFile, undefined);
+
+    assert.equal((await updateKey({ 'ja-JP': 'プッシュ' })).statusCode, 200);
+    await waitFor(() => japanese.events.length > 1 && all.events.length > 2);
+    assert.deepEqual(japanese.events.map(e => e.event), ['connected', 'version-changed']);
+    assert.deepEqual(japanese.events[1].data.languages, ['ja-JP']);
+  } finally {
+    all.close();
+    japanese.close();
+  }
+});
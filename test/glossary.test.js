@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+let termId;
+
+const request = (method, url, payload) => app.inject({ method, url: `/api/i18n${url}`, payload });
+const updateKey = (translations, extra = {}) => request('PUT', '/languages/update-key', { key: 'menu.skillManagement', translations, ...extra });
+const readLanguage = async (code) => (await request('GET', `/language/${code}`)).json().data;
+
+before(async () => {
+  app = await buildApp();
+  const created = await request('POST', '/glossary', {
+    term: '技能仓库',
+    description: 'Skill library in the main menu',
+    translations: {
+      'en-US': { approved: 'Skill Repository', forbidden: ['Repo', 'Skill Store'] }
+    }
+  });
+  assert.equal(created.statusCode, 200);
+  termId = created.json().data.id;
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('glossary terms can be listed, read, updated and are unique', async () => {
+  assert.equal((await request('GET', '/glossary?q=skill repository')).json().data.length, 1);
+  assert.equal((await request('GET', `/glossary/${termId}`)).json().data.term, '技能仓库');
+  assert.equal((await request('POST', '/glossary', { term: '技能仓库' })).statusCode, 409);
+  assert.equal((await request('POST', '/glossary', { term: '', translations: { 'xx-XX': {} } })).json().errors.length, 2);
+
+  const updated = await request('PUT', `/glossary/${termId}`, { translations: { 'ja-JP': { approved: 'スキルリポジトリ' } } });
+  assert.equal(updated.statusCode, 200);
+  assert.deepEqual(Object.keys(updated.json().data.translations).sort(), ['en-US', 'ja-JP']);
+  assert.equal((await request('GET', '/glossary/missing')).statusCode, 404);
+});
+
+test('forbidden variants and missing approved terms are returned as warnings', async () => {
+  // 认可译法中包含禁用译法（Repo）时不误报
+  const approved = await updateKey({ 'en-US': 'Skill Repository' });
+  assert.equal(approved.json().data.warnings, undefined);
+
+  const forbidden = await updateKey({ 'en-US': 'Skill Store' });
+  assert.equal(forbidden.statusCode, 200);
+  assert.deepEqual(forbidden.json().data.warnings.map(w => [w.language, w.type, w.found, w.expected]), [
+    ['en-US', 'forbidden', 'Skill Store', 'Skill Repository']
+  ]);
+  assert.equal((await readLanguage('en-US')).menu.skillManagement, 'Skill Store');
+
+  const missing = await updateKey({ 'ja-JP': 'スキル倉庫' });
+  assert.deepEqual(missing.json().data.warnings.map(w => [w.language, w.type, w.expected]), [
+    ['ja-JP', 'missing', 'スキルリポジトリ']
+  ]);
+});
+
+test('strict requests that violate the glossary are rejected with 422', async () => {
+  const rejected = await updateKey({ 'en-US': 'skill repo' }, { strict: true });
+  assert.equal(rejected.statusCode, 422);
+  assert.equal(rejected.json().code, 'GLOSSARY_VIOLATION');
+  assert.equal((await readLanguage('en-US')).menu.skillManagement, 'Skill Store');
+
+  const created = await request('POST', '/languages/create-key', {
+    key: 'menu.skillRepo',
+    translations: { 'zh-CN': '打开技能仓库', 'en-US': 'Open the Repo' },
+    strict: true
+  });
+  assert.equal(created.statusCode, 422);
+  assert.equal((await readLanguage('en-US')).menu.skillRepo, undefined);
+
+  assert.equal((await updateKey({ 'en-US': 'Skill Repository' }, { strict: true })).statusCode, 200);
+});
+
+test('deleted terms no longer produce warnings', async () => {
+  assert.equal((await request('DELETE', `/glossary/${termId}`)).statusCode, 200);
+  assert.equal((await request('DELETE', `/glossary/${termId}`)).statusCode, 404);
+  assert.equal((await updateKey({ 'en-US': 'Skill Store' }, { strict: true })).statusCode, 200);
+});
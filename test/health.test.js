@@ -0,0 +1,31 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('health check responds without touching data', async () => {
+  const response = await app.inject({ method: 'GET', url: '/api/i18n/health' });
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.json(), { status: 'ok' });
+});
+
+test('routes read from the temporary data directory', async () => {
+  const response = await app.inject({ method: 'GET', url: '/api/i18n/data/complete' });
+  assert.equal(response.statusCode, 200);
+  const list = JSON.parse(fs.readFileSync(path.join(process.env.I18N_DATA_DIR, 'language-list.json'), 'utf8'));
+  assert.equal(response.json().version, list.version);
+  assert.ok(process.env.I18N_DATA_DIR.startsWith(data.dir));
+});
@@ -0,0 +1,55 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// 每个测试文件在独立进程中运行：复制 data/ 中的语言数据到临时目录，避免修改仓库中的数据
+// 必须在 require src/ 之前调用（存储目录在模块加载时读取）
+function useTempData() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'i18n-api-test-'));
+  fs.cpSync(path.join(ROOT, 'data/languages'), path.join(dir, 'data/languages'), { recursive: true });
+  fs.copyFileSync(path.join(ROOT, 'data/language-list.json'), path.join(dir, 'data/language-list.json'));
+  process.env.I18N_DATA_DIR = path.join(dir, 'data');
+  process.env.I18N_DOWNLOADS_DIR = path.join(dir, 'downloads');
+  process.env.I18N_STORAGE = 'json';
+  return {
+    dir,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+// 与 src/server.js 相同的路由注册方式，不监听端口，通过 fastify.inject 发送请求
+async function buildApp() {
+  const fastify = require('fastify')({ logger: false });
+  fastify.register(require('@fastify/multipart'));
+  fastify.register(require('../src/routes/i18n'), { prefix: '/api/i18n' });
+  await fastify.ready();
+  return fastify;
+}
+
+// multipart/form-data 请求体：fields 为普通字段，file 为 { name, filename, content }
+function multipart(fields, file) {
+  const boundary = `----i18n-test-${Date.now()}`;
+  const parts = Object.entries(fields).map(([name, value]) =>
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  if (file) {
+    parts.push(
+      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${file.name || 'file'}"; filename="${file.filename}"\r\n\r\n`),
+      Buffer.from(file.content),
+      Buffer.from('\r\n')
+    );
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+  return {
+    payload: Buffer.concat(parts),
+    headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }
+  };
+}
+
+module.exports = {
+  ROOT,
+  useTempData,
+  buildApp,
+  multipart
+};
@@ -0,0 +1,67 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_HISTORY_CHECKPOINT_INTERVAL = '3';
+let app;
+
+const currentVersion = async () => (await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json().version;
+const readLanguage = async (code) => (await app.inject({ method: 'GET', url: `/api/i18n/language/${code}` })).json().data;
+const listVersions = async () => (await app.inject({ method: 'GET', url: '/api/i18n/versions' })).json().data;
+
+const updateKey = (key, value) => app.inject({
+  method: 'PUT',
+  url: '/api/i18n/languages/update-key',
+  payload: { key, translations: { 'en-US': value } }
+});
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('versions store diffs and a checkpoint every interval', async () => {
+  const baseline = await currentVersion();
+  for (const value of ['Edit 1', 'Edit 2', 'Edit 3', 'Edit 4']) {
+    assert.equal((await updateKey('login.title', value)).statusCode, 200);
+  }
+
+  const versions = (await listVersions()).reverse();
+  assert.equal(versions[0].version, baseline);
+  assert.deepEqual(versions.map(v => v.checkpoint), [true, false, false, true, false]);
+  assert.deepEqual(versions.slice(1).map(v => v.diff), [true, true, true, true]);
+  assert.ok(versions.every(v => v.snapshot));
+  assert.deepEqual(versions[1].changes.keys, ['login.title']);
+  assert.deepEqual(versions[1].changes.languages, { 'en-US': { added: 0, updated: 1, deleted: 0 } });
+
+  const snapshots = fs.readdirSync(path.join(process.env.I18N_DATA_DIR, 'history', 'snapshots')).sort();
+  assert.deepEqual(snapshots, [`${baseline}.json`, `${versions[3].version}.json`].sort());
+});
+
+test('restoring a version rebuilds it from the checkpoint and diffs', async () => {
+  const versions = (await listVersions()).reverse();
+  const target = versions[2];
+  assert.equal(target.checkpoint, false);
+  const previous = await currentVersion();
+
+  const response = await app.inject({ method: 'POST', url: `/api/i18n/versions/${target.version}/restore` });
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.json().data.restoredFrom, target.version);
+  assert.notEqual(await currentVersion(), previous);
+  assert.equal((await readLanguage('en-US')).login.title, 'Edit 2');
+
+  const latest = (await listVersions())[0];
+  assert.equal(latest.restoredFrom, target.version);
+});
+
+test('restoring an unknown version is rejected with 404', async () => {
+  const response = await app.inject({ method: 'POST', url: '/api/i18n/versions/9.9.9/restore' });
+  assert.equal(response.statusCode, 404);
+});
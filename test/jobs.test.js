@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_MT_PROVIDER = 'mock';
+process.env.I18N_JOB_BATCH_SIZE = '2';
+let app;
+
+// 重启前未完成的任务：已处理 1 个 key，剩余 3 个
+const interrupted = {
+  id: 'interrupted-job',
+  type: 'translate',
+  status: 'running',
+  params: { sourceLanguage: 'zh-CN', targetLanguage: 'ja-JP', keys: null, prefix: 'login.' },
+  actor: 'tester',
+  route: 'POST /api/i18n/jobs/translate',
+  createdAt: '2025-01-01T00:00:00.000Z',
+  updatedAt: '2025-01-01T00:00:00.000Z',
+  startedAt: '2025-01-01T00:00:00.000Z',
+  finishedAt: null,
+  progress: { total: 4, processed: 1, translated: 1, failed: 0, skipped: 0 },
+  versions: [],
+  failures: [],
+  error: null,
+  cancelRequested: false,
+  remaining: ['login.title33', 'login.title2', 'login.title2232323']
+};
+fs.mkdirSync(path.join(process.env.I18N_DATA_DIR, 'jobs'), { recursive: true });
+fs.writeFileSync(path.join(process.env.I18N_DATA_DIR, 'jobs', `${interrupted.id}.json`), JSON.stringify(interrupted));
+
+const request = (method, url, payload) => app.inject({ method, url: `/api/i18n${url}`, payload });
+const readLanguage = async (code) => (await request('GET', `/language/${code}`)).json().data;
+
+const waitForJob = async (id, timeout = 10000) => {
+  const started = Date.now();
+  for (;;) {
+    const job = (await request('GET', `/jobs/${id}`)).json().data;
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) return job;
+    if (Date.now() - started > timeout) throw new Error(`Job ${id} did not finish`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+const addLanguage = (code) => request('POST', '/language', { code, name: code, nativeName: code });
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('unfinished jobs resume from the remaining keys after a restart', async () => {
+  const job = await waitForJob(interrupted.id);
+  assert.equal(job.status, 'completed');
+  assert.deepEqual(job.progress, { total: 4, processed: 4, translated: 4, failed: 0, skipped: 0 });
+  assert.equal(job.versions.length, 2);
+  assert.equal(job.remaining, undefined);
+
+  const ja = await readLanguage('ja-JP');
+  assert.equal(ja.login.title33, '[ja-JP] 333');
+  assert.equal(ja.login.title2232323, '[ja-JP] 2');
+});
+
+test('translate jobs fill a new language in batches with one version per batch', async () => {
+  assert.equal((await addLanguage('ko-KR')).statusCode, 200);
+  const created = await request('POST', '/jobs/translate', { target: 'ko-KR', prefix: 'menu.' });
+  assert.equal(created.statusCode, 202);
+  const { id, progress } = created.json().data;
+  assert.ok(progress.total > 2);
+
+  const job = await waitForJob(id);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.progress.translated, progress.total);
+  assert.equal(job.versions.length, Math.ceil(progress.total / 2));
+  assert.equal(job.actor, 'anonymous');
+
+  const ko = await readLanguage('ko-KR');
+  const zh = await readLanguage('zh-CN');
+  assert.equal(ko.menu.projectOverview, `[ko-KR] ${zh.menu.projectOverview}`);
+
+  const listed = (await request('GET', '/jobs?status=completed')).json().data;
+  assert.ok(listed.some(j => j.id === id && j.failures === undefined));
+  assert.ok(fs.existsSync(path.join(process.env.I18N_DATA_DIR, 'jobs', `${id}.json`)));
+});
+
+test('cancelling a running job keeps the batches already written', async () => {
+  assert.equal((await addLanguage('fr-FR')).statusCode, 200);
+  const { id, progress } = (await request('POST', '/jobs/translate', { target: 'fr-FR' })).json().data;
+  const cancelled = await request('POST', `/jobs/${id}/cancel`);
+  assert.equal(cancelled.statusCode, 200);
+
+  const job = await waitForJob(id);
+  assert.equal(job.status, 'cancelled');
+  assert.ok(job.progress.processed < progress.total);
+  assert.equal(job.versions.length, Math.ceil(job.progress.processed / 2));
+
+  const finished = await request('POST', `/jobs/${interrupted.id}/cancel`);
+  assert.match(finished.json().message, /already finished/);
+  assert.equal(finished.json().data.status, 'completed');
+});
+
+test('invalid job requests are rejected', async () => {
+  assert.equal((await request('POST', '/jobs/translate', {})).statusCode, 400);
+  assert.equal((await request('POST', '/jobs/translate', { target: 'zh-CN' })).statusCode, 400);
+  assert.equal((await request('POST', '/jobs/translate', { target: 'ja-JP', keys: 'login.title' })).statusCode, 400);
+  assert.equal((await request('POST', '/jobs/translate', { target: 'xx-XX' })).statusCode, 404);
+  assert.equal((await request('GET', '/jobs/missing')).statusCode, 404);
+  assert.equal((await request('POST', '/jobs/missing/cancel')).statusCode, 404);
+});
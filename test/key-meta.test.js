@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+const getMeta = (key) => app.inject({ method: 'GET', url: `/api/i18n/key-meta/${key}` });
+const putMeta = (key, payload) => app.inject({ method: 'PUT', url: `/api/i18n/key-meta/${key}`, payload });
+const post = (url, payload) => app.inject({ method: 'POST', url: `/api/i18n${url}`, payload });
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('metadata is validated and only saved for existing keys', async () => {
+  assert.equal((await putMeta('login.title', { maxLength: 0 })).statusCode, 400);
+  assert.equal((await putMeta('missing.key', { description: 'x' })).statusCode, 404);
+
+  const saved = await putMeta('login.title', { description: 'Login page heading', maxLength: 20, tags: [' auth ', 'auth'] });
+  assert.equal(saved.statusCode, 200);
+  assert.deepEqual(saved.json().data.tags, ['auth']);
+  assert.equal((await getMeta('login.title')).json().data.maxLength, 20);
+});
+
+test('metadata follows rename-key and is removed by delete-key', async () => {
+  await putMeta('user.welcome', { description: 'Greeting' });
+  assert.equal((await post('/languages/rename-key', { oldKey: 'user.welcome', newKey: 'user.greeting' })).statusCode, 200);
+  assert.equal((await getMeta('user.welcome')).statusCode, 404);
+  assert.equal((await getMeta('user.greeting')).json().data.description, 'Greeting');
+
+  assert.equal((await post('/languages/delete-key', { key: 'user.greeting' })).json().message, 'Key deleted successfully');
+  assert.equal((await getMeta('user.greeting')).statusCode, 404);
+});
+
+test('rename-key and delete-key of a missing key leave metadata alone', async () => {
+  // 元数据中残留的 key（语言文件中已不存在）
+  const file = path.join(process.env.I18N_DATA_DIR, 'key-meta.json');
+  const meta = JSON.parse(fs.readFileSync(file, 'utf8'));
+  meta['ghost.key'] = { description: 'Orphan', updatedAt: new Date().toISOString(), updatedBy: 'test' };
+  fs.writeFileSync(file, JSON.stringify(meta));
+
+  const { version } = (await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json();
+  const deleted = await post('/languages/delete-key', { key: 'ghost.key' });
+  assert.equal(deleted.json().message, 'Key not found');
+  assert.equal((await getMeta('ghost.key')).json().data.description, 'Orphan');
+  assert.equal((await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json().version, version);
+
+  assert.equal((await post('/languages/rename-key', { oldKey: 'ghost.key', newKey: 'ghost.renamed' })).statusCode, 200);
+  assert.equal((await getMeta('ghost.key')).json().data.description, 'Orphan');
+  assert.equal((await getMeta('ghost.renamed')).statusCode, 404);
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+const request = (method, url, payload) => app.inject({ method, url: `/api/i18n${url}`, payload });
+const listKeys = async (query) => {
+  const response = await request('GET', `/keys?${new URLSearchParams(query)}`);
+  assert.equal(response.statusCode, 200);
+  return response.json().data;
+};
+// 过期判断比较审计时间戳，连续写入之间留出间隔
+const write = async (method, url, payload) => {
+  assert.equal((await request(method, url, payload)).statusCode, 200);
+  await new Promise(resolve => setTimeout(resolve, 5));
+};
+
+before(async () => {
+  app = await buildApp();
+  await write('POST', '/languages/create-key', { key: 'table.source', translations: { 'zh-CN': '源文本', 'en-US': 'Source', 'ja-JP': 'ソース' } });
+  await write('PUT', '/languages/update-key', { key: 'table.source', translations: { 'zh-CN': '新的源文本' } });
+  await write('PUT', '/languages/update-key', { key: 'table.source', translations: { 'en-US': 'New source' } });
+  await write('POST', '/languages/create-key', { key: 'table.empty', translations: { 'zh-CN': '空', 'en-US': '' } });
+  await write('PUT', '/languages/update-key', { key: 'table.missing', translations: { 'zh-CN': '缺失' } });
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+const columns = { prefix: 'table.', languages: 'zh-CN,en-US,ja-JP' };
+
+test('rows carry values and missing, empty, outdated and translated status', async () => {
+  const table = await listKeys(columns);
+  assert.equal(table.total, 3);
+  assert.deepEqual(table.languages, ['zh-CN', 'en-US', 'ja-JP']);
+  const rows = Object.fromEntries(table.rows.map(row => [row.key, row]));
+
+  assert.deepEqual(rows['table.source'].status, { 'zh-CN': 'translated', 'en-US': 'translated', 'ja-JP': 'outdated' });
+  assert.deepEqual(rows['table.empty'].status, { 'zh-CN': 'translated', 'en-US': 'empty', 'ja-JP': 'empty' });
+  assert.deepEqual(rows['table.missing'].status, { 'zh-CN': 'translated', 'en-US': 'missing', 'ja-JP': 'missing' });
+  assert.deepEqual(rows['table.missing'].values, { 'zh-CN': '缺失', 'en-US': null, 'ja-JP': null });
+  assert.equal(rows['table.source'].issues, 1);
+  assert.equal(rows['table.source'].meta, null);
+});
+
+test('rows can be filtered by status, sorted and paginated', async () => {
+  const outdated = await listKeys({ ...columns, status: 'outdated' });
+  assert.deepEqual(outdated.rows.map(row => row.key), ['table.source']);
+
+  assert.deepEqual((await listKeys({ ...columns, sort: '-key' })).rows.map(row => row.key),
+    ['table.source', 'table.missing', 'table.empty']);
+  assert.deepEqual((await listKeys({ ...columns, sort: 'status' })).rows.map(row => row.key),
+    ['table.empty', 'table.missing', 'table.source']);
+
+  const page = await listKeys({ ...columns, offset: 1, limit: 1 });
+  assert.equal(page.total, 3);
+  assert.deepEqual(page.rows.map(row => row.key), ['table.missing']);
+
+  const all = await listKeys({ limit: 500 });
+  assert.ok(all.total > 3);
+  assert.equal(Object.keys(all.rows[0].values).length, all.languages.length);
+});
+
+test('invalid key table requests are rejected', async () => {
+  assert.equal((await request('GET', '/keys?sort=value')).statusCode, 400);
+  assert.equal((await request('GET', '/keys?status=stale')).statusCode, 400);
+  assert.equal((await request('GET', '/keys?languages=xx-XX')).statusCode, 404);
+});
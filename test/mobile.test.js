@@ -0,0 +1,95 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const Archiver = require('archiver/lib/core');
+const { useTempData, buildApp, multipart } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_IMPORT_MAX_BYTES = '65536';
+const { IMPORT_MAX_BYTES } = require('../src/utils/upload');
+const android = require('../src/formats/android');
+const ios = require('../src/formats/ios');
+let app;
+
+const sources = {
+  'login.title': 'Sign in',
+  'login.hello': 'Hello, {name}!',
+  'cart.items': 'one item | {count} items',
+  'text.special': 'Tom & "Jerry" <b>\'s</b>\nsecond line \\ 100%'
+};
+const targets = {
+  'login.title': 'ログイン',
+  'login.hello': 'こんにちは、{name}さん！',
+  'cart.items': '{count}個',
+  'text.special': 'トム & "ジェリー" <b>\'s</b>\n二行目 \\ 100%'
+};
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('strings.xml round-trip keeps placeholders, escapes and plurals', () => {
+  const nameMap = android.buildNameMap(Object.keys(sources));
+  const xml = android.buildStringsXml({ sources, targets, nameMap });
+  const { values, unknownNames } = android.parseStringsXml(xml, { sources, nameMap });
+  assert.deepEqual(unknownNames, []);
+  assert.deepEqual(values, targets);
+});
+
+test('.strings round-trip keeps placeholders and escapes', () => {
+  const singular = Object.fromEntries(Object.entries(targets).filter(([key]) => key !== 'cart.items'));
+  const content = ios.buildStrings({ sources, targets: singular });
+  assert.deepEqual(ios.parseStringsFile(content, { sources }), singular);
+});
+
+test('exported Android and iOS files import back without changes', async () => {
+  const exports = [
+    ['android', '/export/android/ja-JP', 'strings.xml'],
+    ['ios', '/export/ios/ja-JP', 'Localizable.strings']
+  ];
+  for (const [platform, url, filename] of exports) {
+    const exported = await app.inject({ method: 'GET', url: `/api/i18n${url}` });
+    assert.equal(exported.statusCode, 200, platform);
+    const response = await app.inject({
+      method: 'POST',
+      url: `/api/i18n/import/${platform}?target=ja-JP`,
+      ...multipart({}, { filename, content: exported.rawPayload })
+    });
+    assert.equal(response.statusCode, 200, platform);
+    assert.deepEqual(response.json().data.updated, [], platform);
+    assert.deepEqual(response.json().data.unknownKeys, [], platform);
+  }
+});
+
+test('mobile package contains one directory per language', async () => {
+  const response = await app.inject({ method: 'GET', url: '/api/i18n/export/mobile?platform=ios' });
+  assert.equal(response.statusCode, 200);
+  const names = new AdmZip(response.rawPayload).getEntries().map(e => e.entryName);
+  assert.ok(names.includes('ja-JP.lproj/Localizable.strings'));
+  assert.ok(names.includes('zh-Hans.lproj/Localizable.stringsdict'));
+});
+
+test('mobile uploads over the import limit are rejected with 413', async () => {
+  const response = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/import/android?target=ja-JP',
+    ...multipart({}, { filename: 'strings.xml', content: Buffer.alloc(IMPORT_MAX_BYTES + 1, 0x20) })
+  });
+  assert.equal(response.statusCode, 413);
+});
+
+test('a failing archive ends the mobile package response', async (t) => {
+  t.mock.method(Archiver.prototype, 'finalize', () => Promise.reject(new Error('archive failed')));
+  let timer;
+  const outcome = await Promise.race([
+    app.inject({ method: 'GET', url: '/api/i18n/export/mobile?platform=ios' }).then(() => 'completed', () => 'destroyed'),
+    new Promise(resolve => { timer = setTimeout(resolve, 2000, 'pending'); })
+  ]);
+  clearTimeout(timer);
+  assert.equal(outcome, 'destroyed');
+});
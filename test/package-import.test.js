@@ -0,0 +1,150 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const { useTempData, buildApp, multipart } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+const get = async (url) => (await app.inject({ method: 'GET', url: `/api/i18n${url}` }));
+
+const zipOf = (languageList, messages) => {
+  const zip = new AdmZip();
+  zip.addFile('language-list.json', Buffer.from(JSON.stringify(languageList)));
+  for (const [code, translations] of Object.entries(messages)) {
+    zip.addFile(`languages/${code}.json`, Buffer.from(JSON.stringify(translations)));
+  }
+  return zip.toBuffer();
+};
+
+const importPackage = (buffer, query = '') => app.inject({
+  method: 'POST',
+  url: `/api/i18n/import/package${query}`,
+  ...multipart({}, { filename: 'language.zip', content: buffer })
+});
+
+// 把 zip 头中声明的解压大小全部改为 1 字节
+const understateSizes = (buffer) => {
+  for (let i = 0; i < buffer.length - 4; i++) {
+    const signature = buffer.readUInt32LE(i);
+    if (signature === 0x04034b50) buffer.writeUInt32LE(1, i + 22);
+    else if (signature === 0x02014b50) buffer.writeUInt32LE(1, i + 24);
+  }
+  return buffer;
+};
+
+// 只含默认语言（修改一个 key）与一个没有任何 key 的新语言
+async function samplePackage() {
+  const complete = (await get('/data/complete')).json();
+  const defaultLanguage = complete.languages.find(l => l.code === complete.defaultLanguage);
+  const translations = structuredClone(complete.messages[complete.defaultLanguage]);
+  translations.login.title = '导入的标题';
+  return {
+    complete,
+    buffer: zipOf(
+      {
+        ...complete,
+        languages: [defaultLanguage, { code: 'ko-KR', name: '韩语', nativeName: '한국어', enabled: true, file: 'ko-KR.json' }]
+      },
+      { [complete.defaultLanguage]: translations, 'ko-KR': {} }
+    )
+  };
+}
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('dry run returns the diff without writing', async () => {
+  const { complete, buffer } = await samplePackage();
+  const response = await importPackage(buffer, '?dryRun=true');
+  assert.equal(response.statusCode, 200);
+  const result = response.json().data;
+  assert.equal(result.dryRun, true);
+  assert.equal(result.changed, true);
+  assert.deepEqual(result.diff.languagesAdded, ['ko-KR']);
+  assert.deepEqual(Object.keys(result.diff.messages[complete.defaultLanguage].updated), ['login.title']);
+
+  assert.equal((await get('/data/complete')).json().version, complete.version);
+  assert.equal((await get('/language/ko-KR')).statusCode, 404);
+});
+
+test('merge import updates keys, keeps local languages and writes new empty languages', async () => {
+  const { complete, buffer } = await samplePackage();
+  const response = await importPackage(buffer);
+  assert.equal(response.statusCode, 200);
+  const result = response.json().data;
+  assert.equal(result.changed, true);
+  assert.notEqual(result.version, complete.version);
+
+  const current = (await get('/data/complete')).json();
+  assert.equal(current.version, result.version);
+  assert.equal(current.messages[complete.defaultLanguage].login.title, '导入的标题');
+  for (const code of Object.keys(complete.messages)) assert.ok(current.messages[code], code);
+
+  const korean = await get('/language/ko-KR');
+  assert.equal(korean.statusCode, 200);
+  assert.deepEqual(korean.json().data, {});
+
+  // 再次导入相同的语言包没有变化
+  const again = (await importPackage(buffer)).json().data;
+  assert.equal(again.changed, false);
+  assert.equal(again.version, null);
+});
+
+test('exported package imports back without changes in replace mode', async () => {
+  const created = (await app.inject({ method: 'POST', url: '/api/i18n/download/create-package' })).json().data;
+  const file = await app.inject({ method: 'GET', url: created.downloadUrl });
+  assert.equal(file.statusCode, 200);
+
+  const result = (await importPackage(file.rawPayload, '?mode=replace')).json().data;
+  assert.equal(result.mode, 'replace');
+  assert.equal(result.changed, false);
+});
+
+test('invalid package is rejected with every problem listed', async () => {
+  const complete = (await get('/data/complete')).json();
+  const buffer = zipOf(
+    { ...complete, languages: [{ code: complete.defaultLanguage }, { code: 'ko-KR' }] },
+    { [complete.defaultLanguage]: [], 'fr-FR': {} }
+  );
+  const response = await importPackage(buffer);
+  assert.equal(response.statusCode, 400);
+  assert.deepEqual(response.json().errors.sort(), [
+    `languages/${complete.defaultLanguage}.json: must be a JSON object`,
+    'languages/fr-FR.json is not listed in language-list.json',
+    'languages/ko-KR.json is missing'
+  ].sort());
+
+  assert.equal((await importPackage(Buffer.from('not a zip'))).statusCode, 400);
+});
+
+test('oversized uploads, corrupt archives and zip bombs are rejected', async () => {
+  const complete = (await get('/data/complete')).json();
+  const language = complete.languages.find(l => l.code === complete.defaultLanguage);
+  const list = { ...complete, languages: [language] };
+
+  // 声明的解压大小很小，实际解压出 60 MB
+  const bomb = new AdmZip(zipOf(list, { [complete.defaultLanguage]: {} }));
+  bomb.addFile(`languages/${complete.defaultLanguage}.json`, Buffer.alloc(60 * 1024 * 1024, 0x20));
+  const bombBuffer = understateSizes(bomb.toBuffer());
+  const bombResponse = await importPackage(bombBuffer);
+  assert.equal(bombResponse.statusCode, 400);
+  assert.match(bombResponse.json().error, /larger than \d+ bytes when extracted/);
+
+  // 数据区损坏（中央目录完好）
+  const corrupt = Buffer.from(zipOf(list, { [complete.defaultLanguage]: { login: { title: 'x'.repeat(2000) } } }));
+  const dataOffset = corrupt.indexOf(Buffer.from(`languages/${complete.defaultLanguage}.json`)) + 40;
+  corrupt.fill(0xff, dataOffset, dataOffset + 20);
+  const corruptResponse = await importPackage(corrupt);
+  assert.equal(corruptResponse.statusCode, 400);
+  assert.match(corruptResponse.json().error, /Invalid zip file/);
+
+  const oversized = await importPackage(Buffer.alloc(21 * 1024 * 1024));
+  assert.equal(oversized.statusCode, 413);
+});
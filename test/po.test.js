@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp, multipart } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_IMPORT_MAX_BYTES = '65536';
+const po = require('../src/formats/po');
+const { IMPORT_MAX_BYTES } = require('../src/utils/upload');
+let app;
+
+const sources = {
+  'login.title': 'Sign in',
+  'login.hello': 'Hello, {name}!',
+  'cart.items': 'one item | {count} items',
+  'cart.zero': 'none | one | {count} items',
+  'text.special': 'Tom & "Jerry"\nsecond line \\ 100%'
+};
+
+const roundTrip = (language, targets) => {
+  const content = po.buildPo({ sourceLanguage: 'en-US', targetLanguage: language, sources, targets, version: '1.0.0' });
+  const parsed = po.parsePo(content);
+  assert.equal(parsed.language, language);
+  const rule = parsed.pluralRule || po.pluralRuleOf(language);
+  const imported = {};
+  for (const entry of parsed.entries) {
+    const value = po.entryTranslation(entry, { branches: po.splitPlural(sources[entry.context]).length, rule });
+    if (value !== '') imported[entry.context] = value;
+  }
+  return imported;
+};
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('PO round-trip keeps plain and plural messages', () => {
+  const cases = [
+    // ja 只有一个复数形式，导入时两个分支取同一条译文
+    ['ja-JP', { 'login.title': 'ログイン', 'login.hello': 'こんにちは、{name}さん！', 'cart.items': '{count}個 | {count}個', 'text.special': 'トム & "ジェリー"\n二行目 \\ 100%' }],
+    ['ru-RU', { 'login.title': 'Войти', 'cart.items': 'один товар | {count} товаров' }],
+    ['en-US', { 'cart.items': 'one item | {count} items' }],
+    // 三分支（含 zero）需要目标语言有单独的 0 形式
+    ['ar', { 'cart.zero': 'لا عناصر | عنصر واحد | {count} عناصر' }]
+  ];
+  for (const [language, targets] of cases) {
+    assert.deepEqual(roundTrip(language, targets), targets, language);
+  }
+});
+
+test('PO msgstr slots follow the target Plural-Forms', () => {
+  const plural = { 'cart.items': 'one item | {count} items' };
+  const slots = (language) => (po.buildPo({ sourceLanguage: 'en-US', targetLanguage: language, sources: plural, version: '1.0.0' })
+    .match(/^msgstr\[\d+\]/gm) || []).length;
+  assert.equal(slots('ja-JP'), 1);
+  assert.equal(slots('en-US'), 2);
+  assert.equal(slots('ru-RU'), 3);
+  assert.equal(slots('ar'), 6);
+  // POT 没有目标语言，输出两个空的 msgstr
+  assert.equal((po.buildPo({ sourceLanguage: 'en-US', sources: plural, version: '1.0.0' }).match(/^msgstr\[\d+\]/gm) || []).length, 2);
+});
+
+test('exported PO imports back into the language', async () => {
+  const exported = await app.inject({ method: 'GET', url: '/api/i18n/export/po/ja-JP' });
+  assert.equal(exported.statusCode, 200);
+  const edited = exported.body.replace(/(msgctxt "login\.submit"\nmsgid "[^"]*"\nmsgstr )"[^"]*"/, '$1"サインイン"');
+  assert.notEqual(edited, exported.body);
+
+  const response = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/import/po',
+    ...multipart({}, { filename: 'ja.po', content: edited })
+  });
+  assert.equal(response.statusCode, 200);
+  const ja = (await app.inject({ method: 'GET', url: '/api/i18n/language/ja-JP' })).json().data;
+  assert.equal(ja.login.submit, 'サインイン');
+});
+
+test('Plural-Forms header is parsed, never evaluated as code', () => {
+  const header = (pluralForms) => `msgid ""\nmsgstr ""\n"Language: ru_RU\\n"\n"Plural-Forms: ${pluralForms}\\n"\n\nmsgctxt "login.title"\nmsgid "Sign in"\nmsgstr "Войти"\n`;
+
+  const parsed = po.parsePo(header('nplurals=3; plural=(n%10==1 && n%100!=11 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);'));
+  assert.deepEqual([1, 2, 5, 11, 21, 22, 111].map(parsed.pluralRule.plural), [0, 1, 2, 2, 0, 1, 2]);
+  assert.equal(po.parsePo(header('nplurals=2; plural=n != 1;')).pluralRule.plural(1), 0);
+  assert.equal(po.parsePo(header('nplurals=1; plural=0;')).pluralRule.nplurals, 1);
+
+  for (const invalid of [
+    'nplurals=2; plural=process.exit(1);',
+    'nplurals=2; plural=(n != 1',
+    'nplurals=2; plural=n n;',
+    'nplurals=0; plural=0;',
+    `nplurals=2; plural=${'('.repeat(40)}n${')'.repeat(40)};`,
+    `nplurals=2; plural=${'n+'.repeat(300)}n;`
+  ]) {
+    assert.throws(() => po.parsePo(header(invalid)), /Unsupported Plural-Forms header/, invalid);
+  }
+});
+
+test('PO upload with an unsupported Plural-Forms header is rejected with 400', async () => {
+  const content = 'msgid ""\nmsgstr ""\n"Language: ja_JP\\n"\n"Plural-Forms: nplurals=1; plural=globalThis.x=1;\\n"\n';
+  const response = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/import/po',
+    ...multipart({}, { filename: 'ja.po', content })
+  });
+  assert.equal(response.statusCode, 400);
+  assert.match(response.json().error, /Unsupported Plural-Forms header/);
+  assert.equal(globalThis.x, undefined);
+});
+
+test('PO uploads over the import limit are rejected with 413', async () => {
+  const response = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/import/po',
+    ...multipart({}, { filename: 'ja.po', content: Buffer.alloc(IMPORT_MAX_BYTES + 1, 0x20) })
+  });
+  assert.equal(response.statusCode, 413);
+});
@@ -0,0 +1,82 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, buildApp, multipart } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_SCREENSHOT_MAX_BYTES = '1024';
+let app;
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(40, 1)]);
+
+const upload = (fields, content = PNG) => app.inject({
+  method: 'POST',
+  url: '/api/i18n/screenshots',
+  ...multipart(fields, { name: 'image', filename: 'shot.png', content })
+});
+const getScreenshot = async (id) => app.inject({ method: 'GET', url: `/api/i18n/screenshots/${id}` });
+const linkedKeys = async (id) => (await getScreenshot(id)).json().data.links.map(link => link.key);
+const post = (url, payload) => app.inject({ method: 'POST', url: `/api/i18n${url}`, payload });
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('uploads are validated by links, image type and size', async () => {
+  const links = JSON.stringify([{ key: 'menu.projectOverview', highlights: [{ x: 1, y: 2, width: 30, height: 10 }] }]);
+  const created = await upload({ links });
+  assert.equal(created.statusCode, 201);
+  assert.deepEqual(created.json().data.links, [{ key: 'menu.projectOverview', highlights: [{ x: 1, y: 2, width: 30, height: 10 }] }]);
+
+  const image = await app.inject({ method: 'GET', url: `/api/i18n/screenshots/${created.json().data.id}/image` });
+  assert.equal(image.headers['content-type'], 'image/png');
+  assert.deepEqual(image.rawPayload, PNG);
+
+  assert.equal((await upload({})).statusCode, 400);
+  assert.equal((await upload({ links: '{bad' })).statusCode, 400);
+  assert.equal((await upload({ keys: 'missing.key' })).statusCode, 400);
+  assert.equal((await upload({ links: JSON.stringify([{ key: 'menu.projectOverview', highlights: [{ x: -1, y: 0, width: 0, height: 1 }] }]) })).statusCode, 400);
+  assert.equal((await upload({ keys: 'menu.projectOverview' }, Buffer.from('not an image at all'))).statusCode, 400);
+  assert.equal((await upload({ keys: 'menu.projectOverview' }, Buffer.concat([PNG, Buffer.alloc(2048)]))).statusCode, 413);
+});
+
+test('rename-key moves links, keeping an existing link unless overwrite is set', async () => {
+  const id = (await upload({ keys: 'login.title, login.submit' })).json().data.id;
+  assert.equal((await post('/languages/rename-key', { oldKey: 'login.title', newKey: 'login.heading' })).statusCode, 200);
+  assert.deepEqual(await linkedKeys(id), ['login.heading', 'login.submit']);
+
+  const links = JSON.stringify([
+    { key: 'login.heading', highlights: [{ x: 0, y: 0, width: 5, height: 5 }] },
+    { key: 'login.password', highlights: [{ x: 9, y: 9, width: 5, height: 5 }] }
+  ]);
+  const both = (await upload({ links })).json().data.id;
+  assert.equal((await post('/languages/rename-key', { oldKey: 'login.heading', newKey: 'login.password', overwrite: true })).statusCode, 200);
+  assert.deepEqual((await getScreenshot(both)).json().data.links, [{ key: 'login.password', highlights: [{ x: 0, y: 0, width: 5, height: 5 }] }]);
+  assert.deepEqual(await linkedKeys(id), ['login.password', 'login.submit']);
+});
+
+test('delete-key unlinks only keys that existed and removes orphaned screenshots', async () => {
+  const id = (await upload({ keys: 'user.welcome, user.logout' })).json().data.id;
+
+  // 索引中残留的 key（语言文件中已不存在）不受 delete-key 影响
+  const indexFile = path.join(process.env.I18N_DATA_DIR, 'screenshots/index.json');
+  const index = JSON.parse(fs.readFileSync(indexFile, 'utf8'));
+  index.screenshots.find(s => s.id === id).links.push({ key: 'ghost.key', highlights: [] });
+  fs.writeFileSync(indexFile, JSON.stringify(index));
+  assert.equal((await post('/languages/delete-key', { key: 'ghost.key' })).json().message, 'Key not found');
+  assert.deepEqual(await linkedKeys(id), ['user.welcome', 'user.logout', 'ghost.key']);
+
+  assert.equal((await post('/languages/delete-key', { key: 'user.welcome' })).statusCode, 200);
+  assert.deepEqual(await linkedKeys(id), ['user.logout', 'ghost.key']);
+
+  const single = (await upload({ keys: 'lang.current' })).json().data;
+  assert.equal((await post('/languages/delete-key', { key: 'lang.current' })).statusCode, 200);
+  assert.equal((await getScreenshot(single.id)).statusCode, 404);
+  assert.equal(fs.existsSync(path.join(process.env.I18N_DATA_DIR, 'screenshots', single.file)), false);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_SEARCH_REGEX_TIMEOUT_MS = '200';
+const { MAX_QUERY_LENGTH } = require('../src/services/search');
+let app;
+
+const search = (query) => app.inject({ method: 'GET', url: `/api/i18n/search?${new URLSearchParams(query)}` });
+const found = async (query) => {
+  const response = await search(query);
+  assert.equal(response.statusCode, 200);
+  return response.json().data;
+};
+
+before(async () => {
+  app = await buildApp();
+  // 对 ^(a+)+$ 会发生灾难性回溯的值
+  const created = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/languages/create-key',
+    payload: { key: 'search.backtrack', translations: { 'en-US': `${'a'.repeat(40)}!` } }
+  });
+  assert.equal(created.statusCode, 200);
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('substring search folds full-width text and returns highlights', async () => {
+  const zh = await found({ q: '登录', lang: 'zh-CN', in: 'value' });
+  assert.deepEqual(zh.results.map(r => [r.key, r.values['zh-CN'].highlights]), [
+    ['login.submit', [[0, 2]]],
+    ['menu.loginLogs', [[0, 2]]],
+    ['user.logout', [[2, 4]]]
+  ]);
+
+  // 半角片假名按 NFKC 归一化后匹配全角原文，高亮位置对应原文
+  const ja = await found({ q: 'ﾛｸﾞｲﾝ', lang: 'ja-JP', in: 'value' });
+  assert.ok(ja.results.some(r => r.key === 'login.title' && r.values['ja-JP'].highlights[0][1] === 4));
+});
+
+test('prefix search matches word starts in Thai and key segments', async () => {
+  const words = await found({ q: 'ระบบ', lang: 'th-TH', in: 'value', mode: 'prefix' });
+  assert.ok(words.results.some(r => r.key === 'login.title'));
+  assert.equal((await found({ q: 'บบ', lang: 'th-TH', in: 'value', mode: 'prefix' })).total, 0);
+  assert.ok((await found({ q: 'บบ', lang: 'th-TH', in: 'value' })).total > 0);
+
+  const keys = await found({ q: 'title', in: 'key', mode: 'prefix', limit: 2, offset: 1 });
+  assert.ok(keys.total > 2);
+  assert.equal(keys.results.length, 2);
+  assert.ok(keys.results.every(r => r.key.startsWith('login.title') && r.keyHighlights[0][0] === 6));
+});
+
+test('regex search runs in a worker and slow patterns time out with 400', async () => {
+  const regex = await found({ q: '^a{40}!$', lang: 'en-US', in: 'value', mode: 'regex' });
+  assert.deepEqual(regex.results.map(r => r.key), ['search.backtrack']);
+
+  const started = Date.now();
+  const slow = await search({ q: '^(a+)+$', lang: 'en-US', in: 'value', mode: 'regex' });
+  assert.equal(slow.statusCode, 400);
+  assert.match(slow.json().error, /too slow/);
+  assert.ok(Date.now() - started < 5000);
+
+  // 超时的 worker 已终止，服务仍可正常响应
+  assert.equal((await found({ q: 'search.backtrack', in: 'key' })).total, 1);
+});
+
+test('invalid search requests are rejected', async () => {
+  assert.equal((await search({})).statusCode, 400);
+  assert.equal((await search({ q: 'x'.repeat(MAX_QUERY_LENGTH + 1) })).statusCode, 400);
+  assert.equal((await search({ q: 'x', mode: 'fuzzy' })).statusCode, 400);
+  assert.equal((await search({ q: 'x', in: 'meta' })).statusCode, 400);
+  assert.equal((await search({ q: '(', mode: 'regex' })).json().error, 'Invalid regular expression');
+  assert.equal((await search({ q: 'x', lang: 'xx-XX' })).statusCode, 404);
+});
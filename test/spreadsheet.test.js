@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp, multipart } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_IMPORT_MAX_BYTES = '65536';
+const { IMPORT_MAX_BYTES } = require('../src/utils/upload');
+const { buildMatrix, toCsv, parseCsv, toXlsx, parseXlsx } = require('../src/formats/spreadsheet');
+let app;
+
+const values = {
+  'en-US': { 'calc.sum': '=SUM(A1:A2)', 'calc.plus': '+1', 'calc.minus': '-1 day', 'calc.at': '@user', 'calc.quote': "'quoted", 'login.title': 'Sign in, "now"' },
+  'ja-JP': { 'calc.sum': '=合計', 'login.title': 'ログイン\n二行目' }
+};
+const keys = Object.keys(values['en-US']);
+
+const importSpreadsheet = (filename, content, query = '') => app.inject({
+  method: 'POST',
+  url: `/api/i18n/import/spreadsheet${query}`,
+  ...multipart({}, { filename, content })
+});
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('CSV round-trip escapes formula cells and restores them', () => {
+  const rows = buildMatrix(['en-US', 'ja-JP'], values, keys);
+  const csv = toCsv(rows);
+  for (const line of csv.replace(/^﻿/, '').split('\r\n').slice(1)) {
+    assert.doesNotMatch(line.split(',')[1] || '', /^[=+\-@]/);
+  }
+  assert.deepEqual(parseCsv(csv), rows);
+});
+
+test('XLSX round-trip keeps every cell', async () => {
+  const rows = buildMatrix(['en-US', 'ja-JP'], values, keys);
+  assert.deepEqual(await parseXlsx(await toXlsx(rows)), rows);
+});
+
+test('exported CSV imports back, dry run first', async () => {
+  const exported = await app.inject({ method: 'GET', url: '/api/i18n/export/spreadsheet?format=csv&languages=en-US,ja-JP' });
+  assert.equal(exported.statusCode, 200);
+
+  const unchanged = (await importSpreadsheet('keys.csv', exported.rawPayload)).json().data;
+  assert.equal(unchanged.changedCells, 0);
+
+  const edited = exported.body.replace(/^(login\.submit,[^,\r\n]*,)[^\r\n]*/m, '$1=サインイン');
+  assert.notEqual(edited, exported.body);
+
+  const preview = (await importSpreadsheet('keys.csv', edited, '?dryRun=true')).json().data;
+  assert.deepEqual(preview.changes, { 'ja-JP': [{ key: 'login.submit', from: 'ログイン', to: '=サインイン' }] });
+  assert.equal(preview.changedCells, 1);
+  let ja = (await app.inject({ method: 'GET', url: '/api/i18n/language/ja-JP' })).json().data;
+  assert.equal(ja.login.submit, 'ログイン');
+
+  const applied = (await importSpreadsheet('keys.csv', edited)).json().data;
+  assert.equal(applied.changedCells, 1);
+  ja = (await app.inject({ method: 'GET', url: '/api/i18n/language/ja-JP' })).json().data;
+  assert.equal(ja.login.submit, '=サインイン');
+});
+
+test('unknown languages and keys are reported as unmapped', async () => {
+  const csv = toCsv([['key', 'en-US', 'xx-XX'], ['login.title', 'Sign in', 'x'], ['missing.key', 'Missing', '']]);
+  const result = (await importSpreadsheet('keys.csv', csv, '?dryRun=true')).json().data;
+  assert.deepEqual(result.unmapped.map(u => u.reason).sort(), ['unknown-key', 'unknown-language']);
+});
+
+test('spreadsheet uploads over the import limit are rejected with 413', async () => {
+  const response = await importSpreadsheet('keys.csv', Buffer.alloc(IMPORT_MAX_BYTES + 1, 0x20));
+  assert.equal(response.statusCode, 413);
+});
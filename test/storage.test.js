@@ -0,0 +1,30 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('module');
+const { useTempData } = require('./helpers');
+
+const data = useTempData();
+const { createStorage } = require('../src/storage');
+
+after(() => {
+  data.cleanup();
+});
+
+test('sqlite storage seeds from the JSON data on first start', async () => {
+  const json = createStorage('json');
+  const sqlite = createStorage('sqlite');
+  assert.deepEqual(await sqlite.readLanguageList(), await json.readLanguageList());
+  assert.deepEqual(await sqlite.readLanguage('en-US'), await json.readLanguage('en-US'));
+  sqlite.db.close();
+});
+
+test('sqlite storage without better-sqlite3 fails with a clear message', (t) => {
+  const load = Module._load;
+  t.mock.method(Module, '_load', function (request, ...rest) {
+    if (request === 'better-sqlite3') {
+      throw Object.assign(new Error("Cannot find module 'better-sqlite3'"), { code: 'MODULE_NOT_FOUND' });
+    }
+    return load.call(this, request, ...rest);
+  });
+  assert.throws(() => createStorage('sqlite'), /I18N_STORAGE=sqlite requires the optional better-sqlite3 module/);
+});
@@ -0,0 +1,38 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+const { MAX_TEXT_LENGTH } = require('../src/services/translation-memory');
+let app;
+
+const suggest = (query) => app.inject({
+  method: 'GET',
+  url: `/api/i18n/suggest?${new URLSearchParams(query)}`
+});
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('suggestions return exact translation memory matches', async () => {
+  const response = await suggest({ lang: 'ja-JP', text: '登录' });
+  assert.equal(response.statusCode, 200);
+  const exact = response.json().data.matches.find(m => m.match === 'exact');
+  assert.equal(exact.target, 'ログイン');
+  assert.ok(exact.keys.includes('login.submit'));
+});
+
+test('suggestion text longer than the limit is rejected with 400', async () => {
+  const response = await suggest({ lang: 'ja-JP', text: '登'.repeat(MAX_TEXT_LENGTH + 1) });
+  assert.equal(response.statusCode, 400);
+  assert.match(response.json().error, /text must be at most/);
+
+  const atLimit = await suggest({ lang: 'ja-JP', text: '登'.repeat(MAX_TEXT_LENGTH) });
+  assert.equal(atLimit.statusCode, 200);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_MT_PROVIDER = 'mock';
+fs.writeFileSync(path.join(process.env.I18N_DATA_DIR, 'api-keys.json'), JSON.stringify({
+  keys: [
+    { key: 'admin-key', name: 'ada', role: 'admin' },
+    { key: 'translator-key', name: 'tina', role: 'translator', languages: ['ja-JP'] }
+  ]
+}));
+let app;
+
+const request = (method, url, payload, key = 'admin-key') => app.inject({
+  method,
+  url: `/api/i18n${url}`,
+  headers: { 'x-api-key': key },
+  payload
+});
+const markers = async () => (await request('GET', '/translate/markers?language=ja-JP')).json().data['ja-JP'] || [];
+
+before(async () => {
+  app = await buildApp();
+  const created = await request('POST', '/languages/create-key', {
+    key: 'mt.greeting',
+    translations: { 'zh-CN': '你好，{name}', 'en-US': 'Hello, {name}', 'ja-JP': '' }
+  });
+  assert.equal(created.statusCode, 200);
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('fill translates empty values, dry run first, and marks them for review', async () => {
+  const preview = await request('POST', '/translate/fill', { target: 'ja-JP', keys: ['mt.greeting'], dryRun: true }, 'translator-key');
+  assert.equal(preview.statusCode, 200);
+  assert.equal(preview.json().data.version, null);
+  assert.equal(preview.json().data.translated.length, 1);
+  assert.deepEqual(await markers(), []);
+
+  const filled = await request('POST', '/translate/fill', { target: 'ja-JP', keys: ['mt.greeting'] }, 'translator-key');
+  assert.equal(filled.statusCode, 200);
+  const ja = (await request('GET', '/language/ja-JP')).json().data;
+  assert.equal(ja.mt.greeting, '[ja-JP] 你好，{name}');
+  assert.deepEqual((await markers()).map(m => [m.key, m.provider]), [['mt.greeting', 'mock']]);
+
+  assert.equal((await request('POST', '/translate/fill', { target: 'en-US', keys: ['mt.greeting'] }, 'translator-key')).statusCode, 403);
+});
+
+test('markers follow rename-key and are removed by delete-key', async () => {
+  assert.equal((await request('POST', '/languages/rename-key', { oldKey: 'mt.greeting', newKey: 'mt.welcome' })).statusCode, 200);
+  assert.deepEqual((await markers()).map(m => m.key), ['mt.welcome']);
+
+  assert.equal((await request('POST', '/languages/delete-key', { key: 'mt.welcome' })).statusCode, 200);
+  const stored = JSON.parse(fs.readFileSync(path.join(process.env.I18N_DATA_DIR, 'auto-translated.json'), 'utf8'));
+  assert.deepEqual(stored, {});
+});
+
+test('review clears markers and validates the body before checking languages', async () => {
+  await request('POST', '/languages/create-key', { key: 'mt.farewell', translations: { 'zh-CN': '再见', 'ja-JP': '' } });
+  await request('POST', '/translate/fill', { target: 'ja-JP', keys: ['mt.farewell'] });
+  assert.equal((await markers()).length, 1);
+
+  const missing = await request('POST', '/translate/markers/review', {}, 'translator-key');
+  assert.equal(missing.statusCode, 400);
+  assert.equal(missing.json().error, 'language is required');
+  assert.equal((await request('POST', '/translate/fill', {}, 'translator-key')).statusCode, 400);
+  assert.equal((await request('POST', '/translate/markers/review', { language: 'en-US' }, 'translator-key')).statusCode, 403);
+
+  const reviewed = await request('POST', '/translate/markers/review', { language: 'ja-JP', keys: ['mt.farewell'] }, 'translator-key');
+  assert.equal(reviewed.json().data.removed, 1);
+  assert.deepEqual(await markers(), []);
+});
@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+let app;
+
+const request = (method, url, payload) => app.inject({ method, url: `/api/i18n${url}`, payload });
+const readLanguage = async (code) => (await request('GET', `/language/${code}`)).json().data;
+const issues = (response) => response.json().data.validationErrors.map(e => [e.language, e.key, e.type]);
+
+before(async () => {
+  app = await buildApp();
+  const created = await request('POST', '/languages/create-key', {
+    key: 'validation.items',
+    translations: {
+      'zh-CN': '{name}，你有 {count} 个项目',
+      'en-US': 'no items | one item | {count} items'
+    }
+  });
+  assert.equal(created.statusCode, 200);
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('values are compared with the default language and errors are returned per key', async () => {
+  const response = await request('PUT', '/languages/update-key', {
+    key: 'validation.items',
+    translations: { 'en-US': 'Hi {nam}', 'ja-JP': '{name}さん、{count}件 @:missing.key', 'de-DE': '' }
+  });
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(issues(response), [
+    ['en-US', 'validation.items', 'placeholder_missing'],
+    ['en-US', 'validation.items', 'placeholder_extra'],
+    ['ja-JP', 'validation.items', 'link_extra'],
+    ['ja-JP', 'validation.items', 'link_unknown']
+  ]);
+  assert.deepEqual(response.json().data.validationErrors[0].placeholders, ['name', 'count']);
+  assert.equal((await readLanguage('en-US')).validation.items, 'Hi {nam}');
+});
+
+test('syntax errors in the default language and ICU mismatches are reported', async () => {
+  const syntax = await request('POST', '/languages/create-key', {
+    key: 'validation.broken',
+    translations: { 'zh-CN': '你好 {name' }
+  });
+  assert.deepEqual(issues(syntax), [['zh-CN', 'validation.broken', 'syntax']]);
+
+  const icu = await request('POST', '/languages/create-key', {
+    key: 'validation.icu',
+    translations: {
+      'zh-CN': '{count, plural, one {# 项} other {# 项}}',
+      'en-US': '{count, select, a {x} other {y}}'
+    }
+  });
+  assert.deepEqual(issues(icu), [['en-US', 'validation.icu', 'icu_mismatch']]);
+});
+
+test('strict writes with validation errors are rejected with 422', async () => {
+  const updateKey = await request('PUT', '/languages/update-key', {
+    key: 'validation.items',
+    translations: { 'en-US': 'items' },
+    strict: true
+  });
+  assert.equal(updateKey.statusCode, 422);
+  assert.equal(updateKey.json().code, 'INVALID_MESSAGE');
+  assert.equal(updateKey.json().validationErrors[0].type, 'placeholder_missing');
+  assert.equal((await readLanguage('en-US')).validation.items, 'Hi {nam}');
+
+  const createKey = await request('POST', '/languages/create-key', {
+    key: 'validation.strict',
+    translations: { 'zh-CN': '你好 {name' },
+    strict: true
+  });
+  assert.equal(createKey.statusCode, 422);
+  assert.equal((await readLanguage('zh-CN')).validation.strict, undefined);
+
+  const ja = await readLanguage('ja-JP');
+  const update = await request('POST', '/language/ja-JP/update', {
+    translations: { ...ja, validation: { ...ja.validation, items: '{count}件' } },
+    strict: true
+  });
+  assert.equal(update.statusCode, 422);
+  assert.deepEqual(update.json().validationErrors.map(e => [e.key, e.type]), [['validation.items', 'placeholder_missing']]);
+  assert.deepEqual(await readLanguage('ja-JP'), ja);
+
+  const valid = await request('PUT', '/languages/update-key', {
+    key: 'validation.items',
+    translations: { 'en-US': '{name}, you have {count} items' },
+    strict: true
+  });
+  assert.equal(valid.statusCode, 200);
+  assert.equal(valid.json().data.validationErrors, undefined);
+});
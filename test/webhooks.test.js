@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.I18N_WEBHOOK_RETRY_BASE_MS = '20';
+// 服务模块在模块加载时读取环境变量，需在上面的设置之后加载
+const webhooks = require('../src/services/webhooks');
+
+const SECRET = 'test-webhook-secret';
+let app;
+let receiver;
+let baseUrl;
+// 接收方记录的请求；failures[path] 为该路径返回 500 的剩余次数
+const received = [];
+const failures = {};
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for webhook deliveries');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const createWebhook = async (path) => {
+  const response = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/webhooks',
+    payload: { url: `${baseUrl}${path}`, secret: SECRET }
+  });
+  assert.equal(response.statusCode, 200);
+  return response.json().data;
+};
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      if (failures[req.url] > 0) {
+        failures[req.url] -= 1;
+        res.writeHead(500).end();
+      } else {
+        res.writeHead(204).end();
+      }
+    });
+  });
+  receiver.listen(0, '127.0.0.1');
+  await once(receiver, 'listening');
+  baseUrl = `http://127.0.0.1:${receiver.address().port}`;
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  receiver.close();
+  data.cleanup();
+});
+
+test('version change is delivered with an HMAC signature and retried after a failure', async () => {
+  const webhook = await createWebhook('/flaky');
+  failures['/flaky'] = 1;
+
+  const update = await app.inject({
+    method: 'PUT',
+    url: '/api/i18n/languages/update-key',
+    payload: { key: 'login.title', translations: { 'en-US': 'Log in' } }
+  });
+  assert.equal(update.statusCode, 200);
+
+  const requests = () => received.filter(r => r.path === '/flaky');
+  await waitFor(() => requests().length === 2);
+  const [first, second] = requests();
+
+  for (const request of [first, second]) {
+    const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(request.body).digest('hex')}`;
+    assert.equal(request.headers['x-i18n-signature'], expected);
+    assert.equal(request.headers['x-i18n-event'], 'version-changed');
+  }
+  // 重试使用同一个投递 ID 与相同的请求体
+  assert.equal(second.headers['x-i18n-delivery'], first.headers['x-i18n-delivery']);
+  assert.equal(second.body, first.body);
+
+  const { version } = JSON.parse(first.body);
+  const list = await app.inject({ method: 'GET', url: '/api/i18n/data/complete' });
+  assert.equal(version, list.json().version);
+
+  await waitFor(() => webhooks.getDeliveries(webhook.id)[0]?.status === 'success');
+  const [delivery] = webhooks.getDeliveries(webhook.id);
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.responseStatus, 204);
+});
+
+test('delivery is marked failed after the maximum number of attempts', async () => {
+  const webhook = await createWebhook('/down');
+  failures['/down'] = Infinity;
+
+  const response = await app.inject({ method: 'POST', url: `/api/i18n/webhooks/${webhook.id}/test` });
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.json().data.status, 'retrying');
+
+  await waitFor(() => webhooks.getDeliveries(webhook.id)[0]?.status === 'failed');
+  const [delivery] = webhooks.getDeliveries(webhook.id);
+  assert.equal(delivery.attempts, 3);
+  assert.equal(received.filter(r => r.path === '/down').length, 3);
+  assert.ok(received.filter(r => r.path === '/down').every(r => r.headers['x-i18n-event'] === 'ping'));
+});
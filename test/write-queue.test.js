@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { useTempData, buildApp } = require('./helpers');
+
+const data = useTempData();
+const { runExclusive } = require('../src/utils/write-queue');
+let app;
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('runExclusive runs tasks one at a time and is re-entrant', async () => {
+  const events = [];
+  const task = (name) => runExclusive(async () => {
+    events.push(`${name}:start`);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    // 队列内再次调用直接执行，不会死锁
+    await runExclusive(async () => events.push(`${name}:nested`));
+    events.push(`${name}:end`);
+  });
+  const failing = runExclusive(async () => { throw new Error('boom'); });
+
+  await Promise.all([task('a'), failing.catch(() => {}), task('b')]);
+  assert.deepEqual(events, ['a:start', 'a:nested', 'a:end', 'b:start', 'b:nested', 'b:end']);
+  await assert.rejects(failing, /boom/);
+});
+
+test('concurrent write requests are all applied with one version each', async () => {
+  const initial = (await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json();
+  const count = 8;
+  const responses = await Promise.all(Array.from({ length: count }, (_, i) => app.inject({
+    method: 'POST',
+    url: '/api/i18n/languages/create-key',
+    payload: { key: `queue.key${i}`, translations: { 'en-US': `Value ${i}`, 'zh-CN': `值 ${i}` } }
+  })));
+  assert.deepEqual(responses.map(r => r.statusCode), Array(count).fill(200));
+
+  const current = (await app.inject({ method: 'GET', url: '/api/i18n/data/complete' })).json();
+  for (let i = 0; i < count; i++) {
+    assert.equal(current.messages['en-US'].queue[`key${i}`], `Value ${i}`);
+    assert.equal(current.messages['zh-CN'].queue[`key${i}`], `值 ${i}`);
+  }
+  const patch = (version) => Number(version.split('.')[2]);
+  assert.equal(patch(current.version) - patch(initial.version), count);
+
+  // 原子写入不会留下临时文件
+  const leftovers = fs.readdirSync(path.join(process.env.I18N_DATA_DIR, 'languages')).filter(name => name.endsWith('.tmp'));
+  assert.deepEqual(leftovers, []);
+});
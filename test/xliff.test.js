@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { useTempData, buildApp, multipart } = require('./helpers');
+
+const data = useTempData();
+process.env.I18N_IMPORT_MAX_BYTES = '65536';
+const { buildXliff, parseXliff } = require('../src/formats/xliff');
+const { IMPORT_MAX_BYTES } = require('../src/utils/upload');
+let app;
+
+const sources = {
+  'login.title': 'Sign in',
+  'login.hello': 'Hello, {name}!',
+  'text.special': 'Tom & "Jerry" <b>\'s</b>\nsecond line \\ 100%'
+};
+const targets = {
+  'login.title': 'ログイン',
+  'login.hello': 'こんにちは、{name}さん！',
+  'text.special': 'トム & "ジェリー" <b>\'s</b>\n二行目 \\ 100%'
+};
+
+before(async () => {
+  app = await buildApp();
+});
+
+after(async () => {
+  await app.close();
+  data.cleanup();
+});
+
+test('XLIFF round-trip keeps keys and targets', () => {
+  const xml = buildXliff({ sourceLanguage: 'en-US', targetLanguage: 'ja-JP', sources, targets });
+  const parsed = parseXliff(xml);
+  assert.equal(parsed.targetLanguage, 'ja-JP');
+  const imported = Object.fromEntries(parsed.units.map(unit => [unit.key, unit.target]));
+  assert.deepEqual(imported, targets);
+});
+
+test('exported XLIFF imports back and only changed targets are written', async () => {
+  const exported = await app.inject({ method: 'GET', url: '/api/i18n/export/xliff?source=en-US&target=ja-JP' });
+  assert.equal(exported.statusCode, 200);
+
+  const unchanged = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/import/xliff',
+    ...multipart({}, { filename: 'ja.xlf', content: exported.body })
+  });
+  assert.equal(unchanged.statusCode, 200);
+  assert.deepEqual(unchanged.json().data.updated, []);
+
+  const edited = exported.body.replace(/(<segment[^>]*>\s*<source>Sign In<\/source>\s*<target>)[^<]*(<\/target>)/, '$1サインイン$2');
+  assert.notEqual(edited, exported.body);
+  const response = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/import/xliff',
+    ...multipart({}, { filename: 'ja.xlf', content: edited })
+  });
+  assert.equal(response.statusCode, 200);
+  assert.deepEqual(response.json().data.updated, ['login.submit']);
+  const ja = (await app.inject({ method: 'GET', url: '/api/i18n/language/ja-JP' })).json().data;
+  assert.equal(ja.login.submit, 'サインイン');
+});
+
+test('invalid XLIFF is rejected with 400', async () => {
+  const response = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/import/xliff',
+    ...multipart({}, { filename: 'ja.xlf', content: '<xliff><broken>' })
+  });
+  assert.equal(response.statusCode, 400);
+});
+
+// 上传若持有写锁，下面的写请求会一直等到上传结束
+test('a stalled upload does not block other writes', async () => {
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  const { port } = app.server.address();
+
+  // 只发送 multipart 的开头，上传保持未完成
+  const boundary = 'stalled-upload';
+  const upload = http.request({
+    port,
+    method: 'POST',
+    path: '/api/i18n/import/xliff',
+    headers: { 'content-type': `multipart/form-data; boundary=${boundary}` }
+  });
+  upload.on('error', () => {});
+  upload.write(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="ja.xlf"\r\n\r\n<?xml version="1.0"?>`);
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  const write = app.inject({
+    method: 'PUT',
+    url: '/api/i18n/languages/update-key',
+    payload: { key: 'login.error', translations: { 'en-US': 'Sign-in failed' } }
+  });
+  const response = await Promise.race([write, new Promise(resolve => setTimeout(resolve, 2000, null))]);
+  upload.destroy();
+  await write;
+  assert.ok(response, 'write waited for the stalled upload');
+  assert.equal(response.statusCode, 200);
+});
+
+test('XLIFF uploads over the import limit are rejected with 413', async () => {
+  const response = await app.inject({
+    method: 'POST',
+    url: '/api/i18n/import/xliff',
+    ...multipart({}, { filename: 'ja.xlf', content: Buffer.alloc(IMPORT_MAX_BYTES + 1, 0x20) })
+  });
+  assert.equal(response.statusCode, 413);
+});